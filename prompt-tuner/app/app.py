@@ -6,12 +6,56 @@ import os
 from flask import Flask, render_template
 
 
+# Backend environments offered in the UI: (name, label, default base URL)
+API_ENVIRONMENTS = (
+    ('local', 'Local', 'http://localhost:8000'),
+    ('dev', 'Development', None),
+    ('test', 'Test', None),
+    ('prod', 'Production', None),
+)
+
+# Offline environment answered in the browser by static/js/manager/mock-backend.js
+MOCK_ENVIRONMENT = {'label': 'Mock (offline)', 'baseUrl': 'mock://backend', 'mock': True}
+
+
+def is_mock_enabled():
+    """Whether the offline mock environment is offered: only when API_MOCK_ENABLED is true"""
+    return os.environ.get('API_MOCK_ENABLED', 'false').lower() in ('true', '1', 'yes')
+
+
+def load_api_environments(mock_enabled=False):
+    """Base URLs per environment from API_BASE_URL_<NAME>; environments without a URL are left out.
+    The mock environment is added when mock_enabled is set"""
+    environments = {}
+    for name, label, default_url in API_ENVIRONMENTS:
+        base_url = os.environ.get(f'API_BASE_URL_{name.upper()}', default_url)
+        if base_url:
+            environments[name] = {'label': label, 'baseUrl': base_url.rstrip('/')}
+    if mock_enabled:
+        environments['mock'] = dict(MOCK_ENVIRONMENT)
+    return environments
+
+
 def create_app():
     """Simple app factory"""
     app = Flask(__name__)
     
     # Minimal required config
     app.config['DEBUG'] = True
+    app.config['API_MOCK_ENABLED'] = is_mock_enabled()
+    app.config['API_ENVIRONMENTS'] = load_api_environments(app.config['API_MOCK_ENABLED'])
+    app.config['API_DEFAULT_ENVIRONMENT'] = os.environ.get('API_ENVIRONMENT', 'local')
+
+    @app.context_processor
+    def inject_api_settings():
+        # Read by static/js/config/api.js through window.API_SETTINGS
+        return {
+            'api_settings': {
+                'environments': app.config['API_ENVIRONMENTS'],
+                'defaultEnvironment': app.config['API_DEFAULT_ENVIRONMENT'],
+                'mockEnabled': app.config['API_MOCK_ENABLED'],
+            }
+        }
     
     @app.route('/')
     def index():
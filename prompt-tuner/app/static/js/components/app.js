@@ -1,8 +1,5 @@
 // Main application logic using Alpine.js
 
-// Access API configuration
-const { baseUrl, endpoints } = window.API_CONFIG;
-
 // Alpine.js data for the main application
 function workflowApp() {
     return {
@@ -28,13 +25,7 @@ function workflowApp() {
             try {
                 this.loading = true;
                 
-                const response = await fetch(`${API_CONFIG.baseUrl}${API_CONFIG.endpoints.workflows}`);
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-                
-                const data = await response.json();
+                const data = await window.apiClient.get('workflows');
                 console.log('API Response:', data); // Debug log
                 
                 // Handle the actual API response structure
@@ -0,0 +1,446 @@
+/**
+ * Batch Evaluation Core - Dataset Runner
+ * Runs a dataset of `user_prompt` payloads against a single prompt revision
+ */
+
+/**
+ * Core functionality class for batch evaluation
+ * Parses uploaded datasets, executes cases with a concurrency limit and builds the combined report
+ */
+class BatchEvaluationCore {
+    /**
+     * Create the initial batch state used by the Alpine.js app
+     * @returns {Object} Batch state
+     */
+    static createInitialState() {
+        return {
+            fileName: '',
+            cases: [],
+            parseErrors: [],
+            concurrency: 3,
+            isRunning: false,
+            abortScope: null,
+            completed: 0,
+            results: [],
+            startedAt: null,
+            finishedAt: null
+        };
+    }
+
+    /**
+     * Parse a JSON or JSONL dataset into evaluation cases
+     * Accepts the structure emitted by JSONResponseBuilder.createFormattedJsonStructure
+     * (`{ user_prompt, conversation_flow }`), a bare `user_prompt` object, or an array of either.
+     * Entries may carry an `expectations` array of AssertionUtils assertions
+     * @param {string} text - Raw file content
+     * @param {string} fileName - Original file name (used to detect JSONL)
+     * @param {string} workflowName - Selected workflow; entries for another conversation_flow are rejected
+     * @returns {Object} Parsed cases and per-line errors
+     */
+    static parseDataset(text, fileName = '', workflowName = null) {
+        const cases = [];
+        const errors = [];
+        const trimmed = (text || '').trim();
+
+        if (!trimmed) {
+            errors.push('Dataset file is empty');
+            return { cases, errors };
+        }
+
+        let entries = [];
+        const looksLikeJsonl = /\.jsonl$/i.test(fileName);
+
+        if (!looksLikeJsonl) {
+            try {
+                const parsed = JSON.parse(trimmed);
+                entries = Array.isArray(parsed) ? parsed.map((entry, index) => ({ entry, line: index + 1 })) : [{ entry: parsed, line: 1 }];
+            } catch (error) {
+                // Not a single JSON document - fall through to JSONL parsing
+                entries = null;
+            }
+        }
+
+        if (looksLikeJsonl || entries === null) {
+            entries = [];
+            trimmed.split(/\r?\n/).forEach((line, index) => {
+                if (!line.trim()) return;
+                try {
+                    entries.push({ entry: JSON.parse(line), line: index + 1 });
+                } catch (error) {
+                    errors.push(`Line ${index + 1}: invalid JSON (${error.message})`);
+                }
+            });
+        }
+
+        entries.forEach(({ entry, line }) => {
+            try {
+                cases.push(this.normalizeCase(entry, cases.length, workflowName));
+            } catch (error) {
+                errors.push(`Entry ${line}: ${error.message}`);
+            }
+        });
+
+        return { cases, errors };
+    }
+
+    /**
+     * Normalize a dataset entry into a case object
+     * @param {Object} entry - Dataset entry
+     * @param {number} index - Case index
+     * @param {string} workflowName - Selected workflow the case must belong to, when given
+     * @returns {Object} Case with id, name, userPrompt, conversationFlow and expectations
+     */
+    static normalizeCase(entry, index, workflowName = null) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new Error('entry must be a JSON object');
+        }
+        this.assertConversationFlow(entry.conversation_flow, workflowName);
+
+        // Bare entries carry their expectations next to the form fields; they are not input
+        const { expectations: rawExpectations, ...bareEntry } = entry;
+        let userPrompt = entry.user_prompt !== undefined ? entry.user_prompt : bareEntry;
+        const expectations = AssertionUtils.normalizeExpectations(rawExpectations);
+        if (typeof userPrompt === 'string') {
+            try {
+                userPrompt = JSON.parse(userPrompt);
+            } catch (error) {
+                throw new Error('user_prompt is a string but not valid JSON');
+            }
+        }
+
+        if (!userPrompt || typeof userPrompt !== 'object' || Array.isArray(userPrompt)) {
+            throw new Error('user_prompt must be a JSON object');
+        }
+
+        const identifier = userPrompt.identifier || entry.identifier || `case-${index + 1}`;
+
+        return {
+            id: `${index + 1}`,
+            name: entry.name || identifier,
+            identifier: identifier,
+            userPrompt: userPrompt,
+            conversationFlow: entry.conversation_flow || null,
+            expectations: expectations
+        };
+    }
+
+    /**
+     * Reject a case recorded for another workflow than the selected one
+     * @throws {Error} When both are set and differ
+     */
+    static assertConversationFlow(conversationFlow, workflowName) {
+        if (conversationFlow && workflowName && conversationFlow !== workflowName) {
+            throw new Error(`conversation_flow "${conversationFlow}" does not match the selected workflow "${workflowName}"`);
+        }
+    }
+
+    /**
+     * Load a dataset file selected through an <input type="file">
+     */
+    static async loadDatasetFile(app, event) {
+        const file = event.target.files?.[0];
+        app.batch = { ...this.createInitialState(), concurrency: app.batch.concurrency };
+        if (!file) return;
+
+        const text = await file.text();
+        const { cases, errors } = this.parseDataset(text, file.name, app.currentSchema);
+
+        app.batch.fileName = file.name;
+        app.batch.cases = cases;
+        app.batch.parseErrors = errors;
+        console.log(`Loaded batch dataset ${file.name}: ${cases.length} cases, ${errors.length} errors`);
+    }
+
+    /**
+     * Replace the dataset with cases generated from the workflow schema
+     * Uses the seed of the sample data controls, so the same dataset can be regenerated
+     */
+    static async generateSampleDataset(app) {
+        if (!window.dynamicWorkflow?.currentSchema) return;
+
+        const seed = String(app.sampleData.seed || '').trim() || SampleDataGenerator.createSeed();
+        const count = Math.min(Math.max(parseInt(app.sampleData.count, 10) || 1, 1), 500);
+        app.sampleData.seed = seed;
+        app.sampleData.count = count;
+
+        try {
+            const { rootModel, definitions } = await window.dynamicWorkflow.getRootSchema();
+            const entries = SampleDataGenerator.generateCases(rootModel, definitions, { count, seed, workflow: app.currentSchema });
+
+            app.batch = { ...this.createInitialState(), concurrency: app.batch.concurrency };
+            app.batch.fileName = `${app.currentSchema}_sample_${seed}.jsonl`;
+            app.batch.cases = entries.map((entry, index) => this.normalizeCase(entry, index));
+            console.log(`Generated sample dataset with seed ${seed}: ${count} cases`);
+        } catch (error) {
+            console.error('Error generating sample dataset:', error);
+            app.batch.parseErrors = [`Could not generate sample data: ${error.message}`];
+        }
+    }
+
+    /**
+     * Download the loaded cases as a JSONL dataset
+     */
+    static downloadDataset(app) {
+        if (app.batch.cases.length === 0) return;
+
+        const entries = app.batch.cases.map(testCase => ({
+            user_prompt: testCase.userPrompt,
+            conversation_flow: testCase.conversationFlow,
+            ...(testCase.expectations?.length > 0 ? { expectations: testCase.expectations } : {})
+        }));
+
+        const dataBlob = new Blob([SampleDataGenerator.toJsonl(entries)], { type: 'application/x-ndjson' });
+        const url = URL.createObjectURL(dataBlob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = app.batch.fileName.replace(/\.jsonl?$/i, '') + '.jsonl';
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Build the chat request payload for a case against the selected revision
+     * @throws {Error} When the case belongs to another workflow than workflowName
+     */
+    static buildRequestPayload(testCase, revisionId, workflowName) {
+        this.assertConversationFlow(testCase.conversationFlow, workflowName);
+        const userPrompt = {
+            ...testCase.userPrompt,
+            revision_id: revisionId,
+            identifier: testCase.identifier
+        };
+
+        return {
+            user_prompt: JSON.stringify(userPrompt),
+            conversation_flow: workflowName || testCase.conversationFlow
+        };
+    }
+
+    /**
+     * Execute a single case and return its result record
+     * @param {Object} testCase - Normalized case
+     * @param {string} revisionId - Revision to evaluate
+     * @param {string} workflowName - Workflow schema name
+     * @param {Object} options - timeoutMs per case, the batch's AbortSignal and the expectations
+     *                           used for cases without their own
+     */
+    static async runCase(testCase, revisionId, workflowName, { timeoutMs = 0, signal = null, expectations = [] } = {}) {
+        const startedAt = performance.now();
+        const scope = PromptEvaluationCore.createAbortScope({ timeoutMs, parentSignal: signal });
+        const record = {
+            caseId: testCase.id,
+            name: testCase.name,
+            identifier: testCase.identifier,
+            status: 'running',
+            error: null,
+            durationMs: 0,
+            result: null
+        };
+
+        try {
+            const requestPayload = this.buildRequestPayload(testCase, revisionId, workflowName);
+            const apiResponse = await PromptEvaluationCore.sendChatRequest(requestPayload, { signal: scope.signal });
+            record.result = PromptEvaluationCore.processApiResponse(apiResponse, workflowName, testCase.userPrompt);
+            const caseExpectations = testCase.expectations?.length > 0 ? testCase.expectations : expectations;
+            const verdict = PromptEvaluationCore.applyExpectations(record.result, caseExpectations, {
+                latencyMs: Math.round(performance.now() - startedAt)
+            });
+
+            // Without expectations any agent output counts as a pass
+            const responseError = this.getResponseError(apiResponse);
+            if (responseError) {
+                record.status = 'failed';
+                record.error = responseError;
+            } else if (verdict && !verdict.passed) {
+                record.status = 'failed';
+                record.error = AssertionUtils.getFailures(verdict).join('; ');
+            } else {
+                record.status = 'passed';
+            }
+        } catch (error) {
+            if (scope.reason === 'cancelled') {
+                record.status = 'cancelled';
+            } else {
+                console.error(`Batch case ${testCase.id} failed:`, error);
+                record.status = 'failed';
+                record.error = scope.reason === 'timeout' ? `Timed out after ${timeoutMs / 1000} seconds` : error.message;
+            }
+        } finally {
+            scope.dispose();
+            record.durationMs = Math.round(performance.now() - startedAt);
+        }
+
+        return record;
+    }
+
+    /**
+     * Reason a chat response counts as failed, regardless of expectations
+     * processApiResponse always adds a placeholder agent, so the raw response is checked instead
+     * @param {Object} apiResponse - Response of sendChatRequest
+     * @returns {string|null} Error message, or null when at least one agent answered
+     */
+    static getResponseError(apiResponse) {
+        const error = apiResponse?.error || apiResponse?.detail;
+        if (error) {
+            return typeof error === 'string' ? error : (error.message || JSON.stringify(error));
+        }
+
+        let agents;
+        try {
+            agents = JSON.parse(apiResponse?.agent_response || '[]');
+        } catch (parseError) {
+            return 'Error parsing agent response data';
+        }
+
+        const hasOutput = Array.isArray(agents) && agents.some(agent => {
+            const content = agent?.__dict__?.chat_response?.chat_message?.__dict__?.content;
+            return typeof content === 'string' && content.trim() !== '';
+        });
+        return hasOutput ? null : 'No agent output received';
+    }
+
+    /**
+     * Run every case with a bounded number of concurrent requests
+     * @param {Array} cases - Cases to run
+     * @param {Object} options - revisionId, workflowName, concurrency, onCaseComplete callback,
+     *                           timeoutMs per case, an AbortSignal that stops the batch and the
+     *                           expectations for cases without their own
+     * @returns {Promise<Array>} Result records in case order; cases never started are left empty
+     */
+    static async runCases(cases, { revisionId, workflowName, concurrency = 3, onCaseComplete = () => {}, timeoutMs = 0, signal = null, expectations = [] }) {
+        const results = new Array(cases.length);
+        const limit = Math.max(1, Math.min(parseInt(concurrency, 10) || 1, cases.length || 1));
+        let nextIndex = 0;
+
+        const worker = async () => {
+            while (nextIndex < cases.length && !signal?.aborted) {
+                const index = nextIndex++;
+                results[index] = await this.runCase(cases[index], revisionId, workflowName, { timeoutMs, signal, expectations });
+                onCaseComplete(results[index], index);
+            }
+        };
+
+        await Promise.all(Array.from({ length: limit }, worker));
+        return results;
+    }
+
+    /**
+     * Run the loaded dataset for the app's selected revision
+     */
+    static async runBatchEvaluation(app) {
+        if (!app.selectedPromptVersion) {
+            alert('Please select a prompt version before running the batch evaluation.');
+            return;
+        }
+        if (app.batch.cases.length === 0) {
+            alert('Please load a dataset with at least one case.');
+            return;
+        }
+        const expectations = PromptEvaluationCore.getExpectations(app);
+        if (!expectations) return;
+
+        app.batch.isRunning = true;
+        app.batch.abortScope = PromptEvaluationCore.createAbortScope();
+        app.batch.completed = 0;
+        app.batch.startedAt = new Date().toISOString();
+        app.batch.finishedAt = null;
+        app.batch.results = app.batch.cases.map(testCase => ({
+            caseId: testCase.id,
+            name: testCase.name,
+            identifier: testCase.identifier,
+            status: 'pending',
+            error: null,
+            durationMs: 0,
+            result: null
+        }));
+
+        try {
+            await this.runCases(app.batch.cases, {
+                revisionId: app.selectedPromptVersion,
+                workflowName: app.currentSchema,
+                concurrency: app.batch.concurrency,
+                timeoutMs: PromptEvaluationCore.getRunTimeoutMs(app),
+                signal: app.batch.abortScope.signal,
+                expectations: expectations,
+                onCaseComplete: (record, index) => {
+                    app.batch.results[index] = record;
+                    app.batch.completed++;
+                }
+            });
+        } finally {
+            app.batch.results.forEach(record => {
+                if (record.status === 'pending') record.status = 'cancelled';
+            });
+            app.batch.abortScope = null;
+            app.batch.isRunning = false;
+            app.batch.finishedAt = new Date().toISOString();
+        }
+    }
+
+    /**
+     * Stop a running batch; running cases are aborted and pending ones skipped
+     */
+    static cancelBatchEvaluation(app) {
+        app.batch.abortScope?.cancel();
+    }
+
+    /**
+     * Summarize batch results
+     */
+    static getSummary(results) {
+        const finished = results.filter(result => result.status === 'passed' || result.status === 'failed');
+        const passed = finished.filter(result => result.status === 'passed').length;
+        const totalDuration = finished.reduce((sum, result) => sum + result.durationMs, 0);
+        const totalTokens = finished.reduce((sum, result) => sum + (result.result?.totalTokens || 0), 0);
+        const verdicts = finished.map(result => result.result?.verdict).filter(Boolean);
+
+        return {
+            total: results.length,
+            passed: passed,
+            failed: finished.length - passed,
+            passRate: finished.length > 0 ? Math.round((passed / finished.length) * 100) : 0,
+            averageDurationMs: finished.length > 0 ? Math.round(totalDuration / finished.length) : 0,
+            totalTokens: totalTokens,
+            scoredCases: verdicts.length,
+            averageScore: verdicts.length > 0 ? Math.round(verdicts.reduce((sum, verdict) => sum + verdict.score, 0) / verdicts.length) : null,
+            assertionsPassed: verdicts.reduce((sum, verdict) => sum + verdict.passedCount, 0),
+            assertionsTotal: verdicts.reduce((sum, verdict) => sum + verdict.total, 0)
+        };
+    }
+
+    /**
+     * Download a combined JSON report for the batch run
+     */
+    static downloadBatchReport(app) {
+        if (app.batch.results.length === 0) return;
+
+        const report = {
+            workflow: app.workflow.name,
+            schema: app.currentSchema,
+            promptVersion: app.selectedPromptVersion,
+            dataset: app.batch.fileName,
+            startedAt: app.batch.startedAt,
+            finishedAt: app.batch.finishedAt,
+            concurrency: app.batch.concurrency,
+            summary: this.getSummary(app.batch.results),
+            cases: app.batch.results.map((record, index) => ({
+                ...record,
+                input: app.batch.cases[index]?.userPrompt
+            }))
+        };
+
+        const dataBlob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(dataBlob);
+        const link = document.createElement('a');
+        link.href = url;
+
+        const workflowName = app.workflow.name.replace(/\s+/g, '_');
+        const dateStr = new Date().toISOString().split('T')[0];
+        link.download = `${workflowName}_v${app.selectedPromptVersion}_batch_${dateStr}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export for global access
+window.BatchEvaluationCore = BatchEvaluationCore;
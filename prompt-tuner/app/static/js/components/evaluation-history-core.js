@@ -0,0 +1,176 @@
+/**
+ * Evaluation History Core - Run archive logic
+ * Records finished evaluations through the EvaluationHistoryManager and backs the history panel
+ */
+
+class EvaluationHistoryCore {
+    /**
+     * Initial history state for the Alpine app
+     */
+    static createInitialState() {
+        return {
+            available: true,
+            isLoading: false,
+            runs: [],
+            filters: {
+                workflow: '',
+                revisionId: '',
+                dateFrom: '',
+                dateTo: '',
+                tag: ''
+            },
+            openedRun: null // Archived run currently shown in the results section
+        };
+    }
+
+    /**
+     * Load every stored run into the app
+     */
+    static async loadHistory(app) {
+        if (!window.evaluationHistory.isAvailable()) {
+            app.history.available = false;
+            return;
+        }
+
+        app.history.isLoading = true;
+        try {
+            app.history.runs = await window.evaluationHistory.listRuns();
+        } catch (error) {
+            console.error('Error loading evaluation history:', error);
+            app.history.available = false;
+        } finally {
+            app.history.isLoading = false;
+        }
+    }
+
+    /**
+     * Store a finished run; failures are logged so they never break the evaluation itself
+     * @param {Object} app - Alpine.js app instance
+     * @param {Object} results - Processed results from PromptEvaluationCore.processApiResponse
+     * @param {Object} options - revisionId, workflow, inputData and mode ('single'|'comparison') of the run
+     */
+    static async recordRun(app, results, { revisionId, workflow, inputData, mode = 'single' }) {
+        if (!app.history.available) return;
+
+        try {
+            // Plain copy: reactive proxies cannot be stored in IndexedDB
+            const run = await window.evaluationHistory.saveRun(JSON.parse(JSON.stringify({
+                workflow: workflow,
+                workflowName: app.workflow.name,
+                revisionId: revisionId,
+                evaluationId: app.evaluationId,
+                threadId: results.threadId,
+                messageId: results.evaluationId,
+                mode: mode,
+                inputData: inputData,
+                workflowOutput: results.workflowOutput,
+                agentResults: results.agentResults.map(({ expanded, status, ...agentResult }) => agentResult),
+                totalTokens: results.totalTokens || results.agentResults.reduce((sum, agent) => sum + (agent.tokensUsed || 0), 0),
+                verdict: results.verdict || null,
+                totalExecutionTime: results.agentResults.reduce((sum, agent) => sum + (agent.executionTime || 0), 0)
+            })));
+            app.history.runs.unshift(run);
+        } catch (error) {
+            console.warn('Could not save the run to the evaluation history:', error);
+        }
+    }
+
+    /**
+     * Runs matching the panel filters
+     */
+    static getFilteredRuns(app) {
+        const { workflow, revisionId, dateFrom, dateTo, tag } = app.history.filters;
+        const tagQuery = tag.trim().toLowerCase();
+
+        return app.history.runs.filter(run => {
+            const runDate = run.createdAt.split('T')[0];
+            return (!workflow || run.workflow === workflow) &&
+                (!revisionId || run.revisionId === revisionId) &&
+                (!dateFrom || runDate >= dateFrom) &&
+                (!dateTo || runDate <= dateTo) &&
+                (!tagQuery || run.tags.some(runTag => runTag.toLowerCase().includes(tagQuery)));
+        });
+    }
+
+    /**
+     * Distinct workflows and revisions found in the stored runs, for the filter selects
+     */
+    static getFilterOptions(app) {
+        const unique = (values) => [...new Set(values.filter(Boolean))].sort();
+        return {
+            workflows: unique(app.history.runs.map(run => run.workflow)),
+            revisions: unique(app.history.runs.map(run => run.revisionId))
+        };
+    }
+
+    /**
+     * Show an archived run in the results section
+     */
+    static openRun(app, run) {
+        app.comparison = null;
+        app.results = {
+            workflowOutput: run.workflowOutput,
+            agentResults: run.agentResults.map(agentResult => ({ ...agentResult, expanded: false })),
+            evaluationId: run.messageId,
+            threadId: run.threadId,
+            totalTokens: run.totalTokens,
+            verdict: run.verdict || null,
+            timestamp: run.createdAt
+        };
+        app.history.openedRun = run;
+        app.hasResults = true;
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    /**
+     * Run an archived input again against the same revision and workflow
+     */
+    static async rerun(app, run) {
+        app.generateNewEvaluationId();
+        await PromptEvaluationCore.runEvaluationWithDynamicData(app, {
+            formData: run.inputData,
+            revisionId: run.revisionId,
+            workflow: run.workflow
+        });
+    }
+
+    /**
+     * Replace the tags of a run with a comma separated list entered by the user
+     */
+    static async tagRun(app, run) {
+        const input = window.prompt('Tags for this run (comma separated):', run.tags.join(', '));
+        if (input === null) return;
+
+        const tags = [...new Set(input.split(',').map(tag => tag.trim()).filter(Boolean))];
+        try {
+            const updated = await window.evaluationHistory.updateRun(run.id, { tags });
+            run.tags = updated.tags;
+        } catch (error) {
+            console.error('Error tagging run:', error);
+            alert(`Error saving tags: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a run from the history
+     */
+    static async deleteRun(app, run) {
+        if (!confirm(`Delete the run from ${new Date(run.createdAt).toLocaleString()} (revision ${run.revisionId})?`)) {
+            return;
+        }
+
+        try {
+            await window.evaluationHistory.deleteRun(run.id);
+            app.history.runs = app.history.runs.filter(storedRun => storedRun.id !== run.id);
+            if (app.history.openedRun?.id === run.id) {
+                app.history.openedRun = null;
+            }
+        } catch (error) {
+            console.error('Error deleting run:', error);
+            alert(`Error deleting run: ${error.message}`);
+        }
+    }
+}
+
+// Export for global access
+window.EvaluationHistoryCore = EvaluationHistoryCore;
@@ -1,7 +1,4 @@
 
-// Access API configuration
-const { baseUrl, endpoints } = window.API_CONFIG;
-
 function managePromptsApp() {
     return {
         // Data properties
@@ -15,11 +12,60 @@ function managePromptsApp() {
         editPromptData: {}, // For the edit modal
         isCreatingNewPrompt: false, // Track if we're creating or editing
         lastSavedTime: null,
+        editorBaseline: { name: '', content: '', hash: null }, // Content the editor was opened with
+        isEditorOpen: false,
+        skipEditorCloseGuard: false,
+        draftKey: null,
+        draftSaveTimer: null,
+        draftSavedTime: null,
+        mergeView: { // Three-way merge shown when the prompt changed on the server while editing
+            active: false,
+            theirs: '',
+            chunks: [],
+            conflicts: 0
+        },
+        forkRevisionData: {}, // For the fork revision modal
+        diffView: { // For the diff modal
+            filePath: '',
+            revisionA: '',
+            revisionB: '',
+            mode: 'unified',
+            loading: false,
+            error: null,
+            missing: [],
+            unifiedRows: [],
+            splitRows: [],
+            stats: null
+        },
+        isForkingRevision: false,
+        isDownloadingBundle: false,
+        canDeletePrompts: true, // Hidden once the backend turns out to have no delete endpoint
+        importData: { // For the import modal
+            targetRevisionId: '',
+            items: [],
+            skipped: [],
+            isDragging: false,
+            isReading: false,
+            isImporting: false
+        },
+        editorPanelTab: 'issues', // Issues, variables or render preview panel below the editor
+        jinjaAnalysis: { errors: [], warnings: [], variables: [] },
+        renderSampleJson: '{}',
+        renderOutput: '',
+        renderError: null,
         loading: false,
         error: null,
 
         // Initialize the application
         async init() {
+            // Re-check the template whenever the editor content changes
+            this.$watch('editPromptData.content', () => {
+                this.analyzeEditorContent();
+                this.scheduleDraftSave();
+            });
+            this.$watch('editPromptData.name', () => this.scheduleDraftSave());
+            this.setupUnsavedChangesGuards();
+            
             this.loadWorkflowInfo();
             await this.loadWorkflowData();
             this.filterPrompts();
@@ -48,76 +94,18 @@ function managePromptsApp() {
                 this.loading = true;
                 console.log('Loading workflow data for:', this.workflowId);
                 
-                // Fetch workflows list from the API
-                const response = await fetch(`${API_CONFIG.baseUrl}${API_CONFIG.endpoints.workflowsList}`);
+                // Load the full revision history for the workflow
+                this.revisions = await window.revisionManager.listRevisions(this.workflowId);
+                console.log('Loaded revisions:', this.revisions);
                 
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-                
-                const data = await response.json();
-                console.log('Workflows API Response:', data);
-                
-                // Find the specific workflow
-                const workflow = data.workflows.find(w => w.workflow === this.workflowId);
+                // Load the prompts of all revisions in parallel, keeping revision order
+                const revisionPrompts = await Promise.all(this.revisions.map(revision => this.loadRevisionPrompts(revision)));
+                this.prompts = revisionPrompts.flat();
                 
-                if (workflow && workflow.prompt_files && workflow.prompt_files.length > 0) {
-                    // Create revisions data (using revision_id)
-                    this.revisions = [{
-                        id: workflow.revision_id,
-                        name: `${workflow.revision_id}`,
-                        date: new Date().toISOString().split('T')[0],
-                        description: `Revision ${workflow.revision_id}`,
-                        author: 'System',
-                        status: 'active'
-                    }];
-                    
-                    // Load prompts for each file
-                    this.prompts = [];
-                    
-                    for (const filename of workflow.prompt_files) {
-                        try {
-                            console.log(`Loading prompt content for: ${filename}`);
-                            const promptContent = await this.loadPromptContent(workflow.revision_id, filename);
-                            
-                            this.prompts.push({
-                                id: `prompt-${filename.replace(/\.[^/.]+$/, "")}`,
-                                name: this.formatPromptName(filename),
-                                revision_id: workflow.revision_id,
-                                status: 'active',
-                                last_modified: new Date().toISOString().split('T')[0],
-                                author: 'System',
-                                size: promptContent.length,
-                                preview: this.generatePreview(promptContent),
-                                file_path: filename,
-                                type: 'system',
-                                content: promptContent
-                            });
-                        } catch (error) {
-                            console.error(`Error loading prompt ${filename}:`, error);
-                            // Add placeholder for failed prompt
-                            this.prompts.push({
-                                id: `prompt-${filename.replace(/\.[^/.]+$/, "")}`,
-                                name: this.formatPromptName(filename),
-                                revision_id: workflow.revision_id,
-                                status: 'error',
-                                last_modified: new Date().toISOString().split('T')[0],
-                                author: 'System',
-                                size: 0,
-                                preview: 'Failed to load prompt content',
-                                file_path: filename,
-                                type: 'system',
-                                content: 'Error loading content'
-                            });
-                        }
-                    }
-                    
+                if (this.prompts.length > 0) {
                     console.log('Successfully loaded prompts:', this.prompts.length);
                 } else {
                     console.log('No prompt files found for workflow:', this.workflowId);
-                    // Don't use fallback data - just set empty arrays to show "not found" message
-                    this.prompts = [];
-                    this.revisions = [];
                 }
                 
             } catch (error) {
@@ -130,18 +118,112 @@ function managePromptsApp() {
             }
         },
 
-        // Load prompt content from API
-        async loadPromptContent(revisionId, filename) {
-            const url = `${API_CONFIG.baseUrl}${API_CONFIG.endpoints.promptView}/${revisionId}/${filename}`;
-            console.log('Fetching prompt content from:', url);
+        // Load the prompt files of a single revision in parallel; a failed file becomes an error placeholder
+        async loadRevisionPrompts(revision) {
+            return Promise.all(revision.promptFiles.map(async filename => {
+                const promptId = `prompt-${revision.id}-${filename.replace(/\.[^/.]+$/, "")}`;
+                
+                try {
+                    console.log(`Loading prompt content for: ${revision.id}/${filename}`);
+                    const promptContent = await this.loadPromptContent(revision.id, filename);
+                    
+                    return {
+                        id: promptId,
+                        name: this.formatPromptName(filename),
+                        revision_id: revision.id,
+                        status: 'active',
+                        last_modified: revision.date,
+                        author: revision.author,
+                        size: promptContent.length,
+                        preview: this.generatePreview(promptContent),
+                        file_path: filename,
+                        type: 'system',
+                        content: promptContent
+                    };
+                } catch (error) {
+                    console.error(`Error loading prompt ${filename}:`, error);
+                    // Placeholder for failed prompt
+                    return {
+                        id: promptId,
+                        name: this.formatPromptName(filename),
+                        revision_id: revision.id,
+                        status: 'error',
+                        last_modified: revision.date,
+                        author: revision.author,
+                        size: 0,
+                        preview: 'Failed to load prompt content',
+                        file_path: filename,
+                        type: 'system',
+                        content: 'Error loading content'
+                    };
+                }
+            }));
+        },
+
+        // Open the fork revision modal
+        openForkRevision() {
+            if (this.revisions.length === 0) {
+                alert('There is no revision to fork yet.');
+                return;
+            }
             
-            const response = await fetch(url);
+            const sourceRevisionId = this.selectedRevision !== 'all' ? this.selectedRevision : this.revisions[0].id;
+            this.forkRevisionData = {
+                sourceRevisionId: sourceRevisionId,
+                revisionId: window.revisionManager.suggestRevisionId(this.revisions, sourceRevisionId),
+                description: ''
+            };
             
-            if (!response.ok) {
-                throw new Error(`Failed to load prompt content: ${response.status}`);
+            const forkModal = new bootstrap.Modal(document.getElementById('forkRevisionModal'));
+            forkModal.show();
+        },
+
+        // Fork the selected revision into a new revision
+        async forkRevision() {
+            const { sourceRevisionId, revisionId, description } = this.forkRevisionData;
+            const sourceRevision = this.revisions.find(r => r.id === sourceRevisionId);
+            
+            if (!sourceRevision) {
+                alert('Please select a revision to fork.');
+                return;
+            }
+            if (this.revisions.some(r => r.id === revisionId)) {
+                alert(`Revision "${revisionId}" already exists.`);
+                return;
             }
             
-            return await response.text();
+            try {
+                this.isForkingRevision = true;
+                const newRevision = await window.revisionManager.forkRevision(this.workflowId, sourceRevision, {
+                    revisionId: revisionId,
+                    description: description
+                });
+                console.log('Forked revision:', newRevision);
+                
+                this.revisions = window.revisionManager.sortRevisions([newRevision, ...this.revisions]);
+                this.prompts.push(...await this.loadRevisionPrompts(newRevision));
+                this.selectedRevision = newRevision.id;
+                this.filterPrompts();
+                
+                const forkModal = bootstrap.Modal.getInstance(document.getElementById('forkRevisionModal'));
+                if (forkModal) {
+                    forkModal.hide();
+                }
+                
+                alert(`Revision "${newRevision.id}" has been created from "${sourceRevision.id}".`);
+            } catch (error) {
+                console.error('Error forking revision:', error);
+                alert(`Error forking revision: ${error.message}`);
+            } finally {
+                this.isForkingRevision = false;
+            }
+        },
+
+        // Load prompt content from API
+        async loadPromptContent(revisionId, filename) {
+            console.log('Fetching prompt content:', revisionId, filename);
+            
+            return await window.apiClient.get('promptView', { path: [revisionId, filename], responseType: 'text' });
         },
 
         // Format filename to readable prompt name
@@ -181,6 +263,12 @@ function managePromptsApp() {
             return revision ? revision.name : revisionId;
         },
 
+        // Get the revision selected in the filter (null for "All Revisions")
+        getSelectedRevision() {
+            if (this.selectedRevision === 'all') return null;
+            return this.revisions.find(r => r.id === this.selectedRevision) || null;
+        },
+
         // Format version text to proper case
         formatVersionText(versionId) {
             if (!versionId) return '';
@@ -233,6 +321,76 @@ function managePromptsApp() {
             modal.show();
         },
 
+        // Open the diff modal for a prompt file, comparing its revision with the previous one
+        async openDiffView(prompt) {
+            const revisionIndex = this.revisions.findIndex(r => r.id === prompt.revision_id);
+            // Revisions are ordered newest first, so the previous revision is the next entry
+            const previousRevision = this.revisions[revisionIndex + 1] || this.revisions.find(r => r.id !== prompt.revision_id);
+            
+            this.diffView = {
+                ...this.diffView,
+                filePath: prompt.file_path,
+                revisionA: previousRevision ? previousRevision.id : prompt.revision_id,
+                revisionB: prompt.revision_id,
+                error: null
+            };
+            
+            const viewModal = bootstrap.Modal.getInstance(document.getElementById('viewPromptModal'));
+            if (viewModal) {
+                viewModal.hide();
+            }
+            
+            const diffModal = new bootstrap.Modal(document.getElementById('diffPromptModal'));
+            diffModal.show();
+            
+            await this.loadDiff();
+        },
+
+        // Load the prompt file from both selected revisions and compute the line diff
+        async loadDiff() {
+            const { filePath, revisionA, revisionB } = this.diffView;
+            if (!filePath || !revisionA || !revisionB) return;
+            
+            this.diffView.loading = true;
+            this.diffView.error = null;
+            this.diffView.missing = [];
+            
+            try {
+                const [contentA, contentB] = await Promise.all([revisionA, revisionB].map(async (revisionId) => {
+                    try {
+                        const rawContent = await this.loadPromptContent(revisionId, filePath);
+                        return this.getPromptContent({ content: rawContent });
+                    } catch (error) {
+                        // File does not exist in this revision - diff against an empty file
+                        console.warn(`Prompt ${filePath} not available in revision ${revisionId}:`, error);
+                        this.diffView.missing.push(revisionId);
+                        return '';
+                    }
+                }));
+                
+                const ops = DiffUtils.diffLines(contentA, contentB);
+                this.diffView.unifiedRows = DiffUtils.toUnifiedRows(ops);
+                this.diffView.splitRows = DiffUtils.toSplitRows(ops);
+                this.diffView.stats = DiffUtils.getStats(ops);
+            } catch (error) {
+                console.error('Error loading diff:', error);
+                this.diffView.error = error.message;
+                this.diffView.unifiedRows = [];
+                this.diffView.splitRows = [];
+                this.diffView.stats = null;
+            } finally {
+                this.diffView.loading = false;
+            }
+        },
+
+        // Swap the two revisions being compared
+        async swapDiffRevisions() {
+            const { revisionA, revisionB } = this.diffView;
+            this.diffView.revisionA = revisionB;
+            this.diffView.revisionB = revisionA;
+            await this.loadDiff();
+        },
+
         // Get agent name from prompt (extract from file path)
         getAgentNameFromPrompt(prompt) {
             // Extract agent name from file path (remove .txt, .md extensions and convert to readable format)
@@ -278,6 +436,8 @@ function managePromptsApp() {
             };
             
             console.log('Edit data initialized:', this.editPromptData);
+            this.resetEditorPanel();
+            this.startEditorSession(this.toJinjaFilename(prompt.file_path));
             
             // Close view modal if open
             const viewModal = bootstrap.Modal.getInstance(document.getElementById('viewPromptModal'));
@@ -290,6 +450,112 @@ function managePromptsApp() {
             editModal.show();
         },
 
+        // Remember what the editor was opened with and offer to restore a local draft
+        startEditorSession(filename) {
+            this.editorBaseline = {
+                name: this.editPromptData.name,
+                content: this.editPromptData.content,
+                hash: DiffUtils.hashText(this.editPromptData.content)
+            };
+            this.mergeView = { active: false, theirs: '', chunks: [], conflicts: 0 };
+            this.draftKey = window.draftManager.buildKey(this.workflowId, this.editPromptData.revision_id, filename);
+            this.draftSavedTime = null;
+            this.skipEditorCloseGuard = false;
+            this.isEditorOpen = true;
+            
+            const draft = window.draftManager.getDraft(this.draftKey);
+            if (!draft) return;
+            
+            if (draft.content === this.editorBaseline.content && draft.name === this.editorBaseline.name) {
+                window.draftManager.clearDraft(this.draftKey);
+                return;
+            }
+            
+            const serverChanged = draft.baseContent !== undefined && draft.baseContent !== this.editorBaseline.content;
+            const message = `You have an unsaved draft of "${draft.name || filename}" from ${new Date(draft.savedAt).toLocaleString()}.` +
+                (serverChanged ? '\n\nThe saved prompt has changed since this draft was started.' : '') +
+                '\n\nRestore the draft? Cancel discards it.';
+            
+            if (confirm(message)) {
+                this.editPromptData.name = draft.name;
+                this.editPromptData.content = draft.content;
+            } else {
+                window.draftManager.clearDraft(this.draftKey);
+            }
+        },
+
+        // Whether the open editor differs from what it was opened with
+        get hasUnsavedChanges() {
+            return this.isEditorOpen && (
+                this.editPromptData.content !== this.editorBaseline.content ||
+                this.editPromptData.name !== this.editorBaseline.name
+            );
+        },
+
+        // Autosave the draft shortly after the user stops typing
+        scheduleDraftSave() {
+            if (!this.isEditorOpen || !this.draftKey) return;
+            
+            clearTimeout(this.draftSaveTimer);
+            this.draftSaveTimer = setTimeout(() => this.saveEditorDraft(), 1000);
+        },
+
+        // Store the editor content as a draft, or drop the draft when nothing changed
+        saveEditorDraft() {
+            clearTimeout(this.draftSaveTimer);
+            if (!this.draftKey) return;
+            
+            if (!this.hasUnsavedChanges) {
+                this.clearEditorDraft();
+                return;
+            }
+            
+            const saved = window.draftManager.saveDraft(this.draftKey, {
+                name: this.editPromptData.name,
+                content: this.editPromptData.content,
+                baseContent: this.editorBaseline.content
+            });
+            if (saved) {
+                this.draftSavedTime = new Date().toLocaleTimeString();
+            }
+        },
+
+        // Remove the draft of the open prompt
+        clearEditorDraft() {
+            clearTimeout(this.draftSaveTimer);
+            if (this.draftKey) {
+                window.draftManager.clearDraft(this.draftKey);
+            }
+            this.draftSavedTime = null;
+        },
+
+        // Ask before the edit modal or the page closes with unsaved changes
+        setupUnsavedChangesGuards() {
+            const editModalElement = document.getElementById('editPromptModal');
+            
+            editModalElement.addEventListener('hide.bs.modal', (event) => {
+                if (this.skipEditorCloseGuard || !this.hasUnsavedChanges) return;
+                
+                if (!confirm('You have unsaved changes. Close the editor anyway?\n\nYour draft is kept in this browser and will be offered the next time you open this prompt.')) {
+                    event.preventDefault();
+                }
+            });
+            
+            editModalElement.addEventListener('hidden.bs.modal', () => {
+                this.saveEditorDraft();
+                this.isEditorOpen = false;
+                this.skipEditorCloseGuard = false;
+            });
+            
+            window.addEventListener('beforeunload', (event) => {
+                if (!this.hasUnsavedChanges) return;
+                
+                this.saveEditorDraft();
+                event.preventDefault();
+                event.returnValue = '';
+            });
+        },
+
         // Computed property for content validation
         get isContentValid() {
             return this.editPromptData.content && 
@@ -298,6 +564,49 @@ function managePromptsApp() {
                 this.editPromptData.name.trim().length > 0;
         },
 
+        // Reset the panel below the editor when opening a prompt
+        resetEditorPanel() {
+            this.editorPanelTab = 'issues';
+            this.renderOutput = '';
+            this.renderError = null;
+        },
+
+        // Highlighted HTML for the editor overlay
+        get highlightedEditorContent() {
+            return JinjaUtils.highlight(this.editPromptData.content || '');
+        },
+
+        // Run the Jinja checks on the editor content
+        analyzeEditorContent() {
+            this.jinjaAnalysis = JinjaUtils.analyze(this.editPromptData.content || '');
+        },
+
+        // Fill the render preview sample JSON with placeholders for every referenced variable
+        fillSampleFromVariables() {
+            const sampleContext = JinjaUtils.buildSampleContext(this.jinjaAnalysis.variables);
+            this.renderSampleJson = JSON.stringify(sampleContext, null, 2);
+        },
+
+        // Render the editor content with the sample JSON
+        renderTemplatePreview() {
+            this.renderOutput = '';
+            this.renderError = null;
+            
+            let context;
+            try {
+                context = JSON.parse(this.renderSampleJson || '{}');
+            } catch (error) {
+                this.renderError = `Sample JSON is invalid: ${error.message}`;
+                return;
+            }
+            
+            try {
+                this.renderOutput = JinjaUtils.render(this.editPromptData.content || '', context);
+            } catch (error) {
+                this.renderError = error.message;
+            }
+        },
+
         // Format prompt content
         formatPromptContent() {
             if (!this.editPromptData.content) return;
@@ -372,7 +681,8 @@ Assistant: [Sample response demonstrating the expected behavior]
             const originalPrompt = this.selectedPrompt;
             this.selectedPrompt = previewPrompt;
             
-            // Close edit modal and show view modal
+            // Close edit modal and show view modal; unsaved edits are kept as a local draft
+            this.skipEditorCloseGuard = true;
             const editModal = bootstrap.Modal.getInstance(document.getElementById('editPromptModal'));
             if (editModal) {
                 editModal.hide();
@@ -396,6 +706,24 @@ Assistant: [Sample response demonstrating the expected behavior]
                 return;
             }
             
+            // Catch broken templates before they reach the backend
+            this.analyzeEditorContent();
+            const { errors, warnings } = this.jinjaAnalysis;
+            if (errors.length > 0) {
+                this.editorPanelTab = 'issues';
+                alert(`The template has ${errors.length} error(s) and cannot be saved:\n\n${errors.map(issue => `Line ${issue.line}: ${issue.message}`).join('\n')}`);
+                return;
+            }
+            if (warnings.length > 0 && !confirm(`The template has ${warnings.length} warning(s):\n\n${warnings.map(issue => `Line ${issue.line}: ${issue.message}`).join('\n')}\n\nSave anyway?`)) {
+                this.editorPanelTab = 'issues';
+                return;
+            }
+            
+            // Stop before overwriting changes someone else saved while this prompt was open
+            if (!this.isCreatingNewPrompt && !(await this.checkForConflicts())) {
+                return;
+            }
+            
             try {
                 console.log('Saving prompt changes:', this.editPromptData);
                 
@@ -411,10 +739,6 @@ Assistant: [Sample response demonstrating the expected behavior]
                 
                 const revisionId = this.editPromptData.revision_id;
                 
-                // Construct the API URL: /api/v1/prompts/update/{revision_id}/{filename}
-                const url = `${API_CONFIG.baseUrl}${API_CONFIG.endpoints.promptUpdate}/${revisionId}/${filename}`;
-                
-                console.log('API URL:', url);
                 console.log('Revision ID:', revisionId);
                 console.log('Filename:', filename);
                 console.log('Is new prompt:', isNewPrompt);
@@ -426,24 +750,8 @@ Assistant: [Sample response demonstrating the expected behavior]
                 
                 console.log('Request body:', requestBody);
                 
-                const response = await fetch(url, {
-                    method: 'POST',
-                    headers: { 
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    },
-                    body: JSON.stringify(requestBody)
-                });
-                
-                console.log('Response status:', response.status);
-                
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    console.error('Error response:', errorText);
-                    throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
-                }
-                
-                const result = await response.json();
+                // POST /api/v1/prompts/update/{revision_id}/{filename}
+                const result = await window.apiClient.post('promptUpdate', requestBody, { path: [revisionId, filename] });
                 console.log('Save result:', result);
                 
                 // Handle the response - either update existing or add new prompt
@@ -464,6 +772,12 @@ Assistant: [Sample response demonstrating the expected behavior]
                     };
                     
                     this.prompts.push(newPrompt);
+                    
+                    // Keep the revision's file list in sync so forks include the new prompt
+                    const revision = this.revisions.find(r => r.id === newPrompt.revision_id);
+                    if (revision && !revision.promptFiles.includes(filename)) {
+                        revision.promptFiles.push(filename);
+                    }
                     console.log('Added new prompt:', newPrompt);
                 } else {
                     // Update existing prompt
@@ -483,6 +797,14 @@ Assistant: [Sample response demonstrating the expected behavior]
                 this.filterPrompts();
                 this.lastSavedTime = new Date().toLocaleTimeString();
                 
+                // The saved content is the new baseline, so the draft is no longer needed
+                this.editorBaseline = {
+                    name: this.editPromptData.name,
+                    content: this.editPromptData.content,
+                    hash: DiffUtils.hashText(this.editPromptData.content)
+                };
+                this.clearEditorDraft();
+                
                 // Close edit modal
                 const editModal = bootstrap.Modal.getInstance(document.getElementById('editPromptModal'));
                 if (editModal) {
@@ -498,63 +820,437 @@ Assistant: [Sample response demonstrating the expected behavior]
             }
         },
 
+        // Compare the server copy with the content the editor was opened with
+        // Returns true when saving is safe, otherwise opens the merge view
+        async checkForConflicts() {
+            const prompt = this.selectedPrompt;
+            let serverContent;
+            
+            try {
+                serverContent = this.getPromptContent({ content: await this.loadPromptContent(prompt.revision_id, prompt.file_path) });
+            } catch (error) {
+                console.warn('Could not load the server copy for conflict detection:', error);
+                return confirm(`Could not check whether this prompt was changed by someone else (${error.message}).\n\nSave anyway?`);
+            }
+            
+            if (DiffUtils.hashText(serverContent) === this.editorBaseline.hash || serverContent === this.editPromptData.content) {
+                return true;
+            }
+            
+            console.log('Prompt changed on the server since it was opened, showing merge view');
+            const { chunks, conflicts } = DiffUtils.merge3(this.editorBaseline.content, this.editPromptData.content, serverContent);
+            this.mergeView = {
+                active: true,
+                theirs: serverContent,
+                chunks: chunks,
+                conflicts: conflicts
+            };
+            return false;
+        },
+
+        // Number of merge conflicts without a chosen resolution
+        get unresolvedConflicts() {
+            return this.mergeView.chunks.filter(chunk => chunk.type === 'conflict' && !chunk.resolution).length;
+        },
+
+        // Finish the merge with the merged result, my version or the server version
+        async applyMerge(strategy) {
+            const { theirs, chunks } = this.mergeView;
+            const content = strategy === 'mine' ? this.editPromptData.content
+                : strategy === 'theirs' ? theirs
+                : DiffUtils.resolveMerge(chunks);
+            
+            if (content === null) {
+                alert('Please resolve every conflict first.');
+                return;
+            }
+            
+            // The server copy is the new base, so saving the result is no longer a conflict
+            this.editPromptData.content = content;
+            this.editorBaseline = { ...this.editorBaseline, content: theirs, hash: DiffUtils.hashText(theirs) };
+            this.mergeView.active = false;
+            
+            if (strategy !== 'theirs') {
+                await this.savePromptChanges();
+            }
+        },
+
+        // Send a request to a revision-scoped prompt file endpoint; throws ApiError on failure
+        async sendPromptRequest(endpointKey, revisionId, filename, options = {}) {
+            const result = await window.apiClient.request(endpointKey, { ...options, path: [revisionId, filename] });
+            return result ?? {};
+        },
+
+        // Ensure a file name ends with the .jinja extension
+        toJinjaFilename(filename) {
+            return filename.endsWith('.jinja') ? filename : `${filename}.jinja`;
+        },
+
+        // Keep a revision's prompt file list in sync with local changes
+        updateRevisionFiles(revisionId, removedFile, addedFile) {
+            const revision = this.revisions.find(r => r.id === revisionId);
+            if (!revision) return;
+            
+            if (removedFile) {
+                revision.promptFiles = revision.promptFiles.filter(file => file !== removedFile);
+            }
+            if (addedFile && !revision.promptFiles.includes(addedFile)) {
+                revision.promptFiles.push(addedFile);
+            }
+        },
+
+        // Snapshot prompts and revisions so an optimistic update can be rolled back
+        snapshotPromptState() {
+            return {
+                prompts: [...this.prompts],
+                revisionFiles: this.revisions.map(revision => [revision.id, [...revision.promptFiles]])
+            };
+        },
+
+        // Restore a snapshot taken by snapshotPromptState
+        restorePromptState(snapshot) {
+            this.prompts = snapshot.prompts;
+            snapshot.revisionFiles.forEach(([revisionId, promptFiles]) => {
+                const revision = this.revisions.find(r => r.id === revisionId);
+                if (revision) revision.promptFiles = promptFiles;
+            });
+            this.filterPrompts();
+        },
+
+        // Find a file name that does not exist yet in a revision (name_copy, name_copy_2, ...)
+        getUniqueCopyFilename(revisionId, filename) {
+            const baseName = filename.replace(/\.[^/.]+$/, '');
+            const existing = this.prompts
+                .filter(p => p.revision_id === revisionId)
+                .map(p => this.toJinjaFilename(p.file_path));
+            
+            let candidate = `${baseName}_copy.jinja`;
+            let counter = 2;
+            while (existing.includes(candidate)) {
+                candidate = `${baseName}_copy_${counter}.jinja`;
+                counter++;
+            }
+            return candidate;
+        },
+
         // Duplicate prompt
         async duplicatePrompt(prompt) {
             console.log('Duplicating prompt:', prompt.id);
             
+            const filename = this.getUniqueCopyFilename(prompt.revision_id, prompt.file_path);
+            const content = this.getPromptFileContent(prompt);
+            const duplicatedPrompt = {
+                ...prompt,
+                id: `prompt-${prompt.revision_id}-${filename.replace(/\.[^/.]+$/, "")}`,
+                name: this.formatPromptName(filename),
+                file_path: filename,
+                status: 'active',
+                last_modified: new Date().toISOString().split('T')[0],
+                author: 'Current User',
+                content: content,
+                size: content.length,
+                preview: this.generatePreview(content)
+            };
+            
+            // Optimistic update
+            const snapshot = this.snapshotPromptState();
+            this.prompts.push(duplicatedPrompt);
+            this.updateRevisionFiles(prompt.revision_id, null, filename);
+            this.filterPrompts();
+            
             try {
-                // TODO: Replace with actual API call
-                /*
-                const response = await fetch(`${PROMPTS_API_CONFIG.baseUrl}${PROMPTS_API_CONFIG.endpoints.duplicatePrompt.replace('{promptId}', prompt.id)}`, {
+                await this.sendPromptRequest('promptUpdate', prompt.revision_id, filename, {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' }
+                    body: { content: content, name: duplicatedPrompt.name }
                 });
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
+                console.log('Duplicated prompt:', duplicatedPrompt);
+            } catch (error) {
+                console.error('Error duplicating prompt:', error);
+                this.restorePromptState(snapshot);
+                alert(`Error duplicating prompt: ${error.message}`);
+            }
+        },
+
+        // Rename prompt file
+        async renamePrompt(prompt) {
+            const currentFilename = this.toJinjaFilename(prompt.file_path);
+            const input = window.prompt('New file name:', currentFilename.replace(/\.jinja$/, ''));
+            if (input === null) return;
+            
+            const newFilename = this.toJinjaFilename(input.trim());
+            if (!/^[\w.-]+\.jinja$/.test(newFilename)) {
+                alert('File name may only contain letters, numbers, dots, dashes and underscores.');
+                return;
+            }
+            if (newFilename === currentFilename) return;
+            if (this.prompts.some(p => p.revision_id === prompt.revision_id && this.toJinjaFilename(p.file_path) === newFilename)) {
+                alert(`A prompt named "${newFilename}" already exists in revision ${prompt.revision_id}.`);
+                return;
+            }
+            
+            console.log(`Renaming prompt ${currentFilename} -> ${newFilename}`);
+            
+            // Optimistic update
+            const snapshot = this.snapshotPromptState();
+            const index = this.prompts.findIndex(p => p.id === prompt.id);
+            const renamedPrompt = {
+                id: `prompt-${prompt.revision_id}-${newFilename.replace(/\.[^/.]+$/, "")}`,
+                name: this.formatPromptName(newFilename),
+                file_path: newFilename,
+                last_modified: new Date().toISOString().split('T')[0]
+            };
+            this.prompts[index] = { ...prompt, ...renamedPrompt };
+            this.updateRevisionFiles(prompt.revision_id, prompt.file_path, newFilename);
+            this.filterPrompts();
+            
+            try {
+                await window.revisionManager.renamePromptFile(prompt.revision_id, currentFilename, newFilename, this.getPromptFileContent(prompt));
+            } catch (error) {
+                console.error('Error renaming prompt:', error);
+                this.restorePromptState(snapshot);
+                this.canDeletePrompts = window.revisionManager.canDeletePrompts;
+                if (error.copiedTo) {
+                    // The copy exists on the backend next to the original
+                    this.prompts.push({ ...prompt, ...renamedPrompt });
+                    this.updateRevisionFiles(prompt.revision_id, null, newFilename);
+                    this.filterPrompts();
                 }
+                alert(`Error renaming prompt: ${error.message}`);
+            }
+        },
+
+        // Get the exact template file content of a prompt
+        getPromptFileContent(prompt) {
+            return window.revisionManager.decodePromptContent(prompt.content || '');
+        },
+
+        // Download prompt as its .jinja file
+        downloadPrompt(prompt) {
+            console.log('Downloading prompt:', prompt.id);
+            
+            if (prompt.status === 'error') {
+                alert('This prompt failed to load and cannot be downloaded.');
+                return;
+            }
+            
+            const blob = new Blob([this.getPromptFileContent(prompt)], { type: 'text/plain' });
+            ZipUtils.downloadBlob(blob, this.toJinjaFilename(prompt.file_path.split('/').pop()));
+        },
+
+        // Download every prompt file of the selected revision as a zip archive with a manifest
+        async downloadRevisionBundle() {
+            const revision = this.getSelectedRevision();
+            if (!revision) {
+                alert('Please select a revision to download.');
+                return;
+            }
+            
+            try {
+                this.isDownloadingBundle = true;
+                const folder = `${this.workflowId}_${revision.id}`;
+                const files = [];
+                const manifestFiles = [];
                 
-                const duplicatedPrompt = await response.json();
-                this.prompts.push(duplicatedPrompt);
-                this.filterPrompts();
-                */
+                for (const filename of revision.promptFiles) {
+                    const loadedPrompt = this.prompts.find(p => p.revision_id === revision.id && p.file_path === filename && p.status !== 'error');
+                    const content = loadedPrompt
+                        ? this.getPromptFileContent(loadedPrompt)
+                        : window.revisionManager.decodePromptContent(await this.loadPromptContent(revision.id, filename));
+                    const bundleFilename = this.toJinjaFilename(filename.split('/').pop());
+                    const bytes = new TextEncoder().encode(content);
+                    
+                    files.push({ name: `${folder}/${bundleFilename}`, content: bytes });
+                    manifestFiles.push({
+                        name: bundleFilename,
+                        source: filename,
+                        size: bytes.length,
+                        crc32: ZipUtils.crc32(bytes).toString(16).padStart(8, '0')
+                    });
+                }
                 
-                // Simulate duplication for demo
-                const duplicatedPrompt = {
-                    ...prompt,
-                    id: `${prompt.id}-copy-${Date.now()}`,
-                    name: `${prompt.name} (Copy)`,
-                    status: 'draft',
-                    last_modified: new Date().toISOString().split('T')[0],
-                    author: 'Current User'
+                const manifest = {
+                    workflow: this.workflowId,
+                    revision: revision.id,
+                    revisionCreatedAt: revision.createdAt,
+                    author: revision.author,
+                    description: revision.description,
+                    exportedAt: new Date().toISOString(),
+                    files: manifestFiles
                 };
+                files.push({ name: `${folder}/manifest.json`, content: JSON.stringify(manifest, null, 2) });
                 
-                this.prompts.push(duplicatedPrompt);
-                this.filterPrompts();
-                
-                alert(`Prompt duplicated successfully: ${duplicatedPrompt.name}`);
+                const archive = ZipUtils.createZip(files);
+                ZipUtils.downloadBlob(new Blob([archive], { type: 'application/zip' }), `${folder}.zip`);
+                console.log('Downloaded revision bundle:', manifest);
             } catch (error) {
-                console.error('Error duplicating prompt:', error);
-                alert('Error duplicating prompt. Please try again.');
+                console.error('Error downloading revision bundle:', error);
+                alert(`Error downloading revision: ${error.message}`);
+            } finally {
+                this.isDownloadingBundle = false;
             }
         },
 
-        // Download prompt
-        downloadPrompt(prompt) {
-            console.log('Downloading prompt:', prompt.id);
+        // Open the import modal
+        openImportPrompts() {
+            this.importData = {
+                targetRevisionId: this.getSelectedRevision()?.id || this.revisions[0]?.id || '',
+                items: [],
+                skipped: [],
+                isDragging: false,
+                isReading: false,
+                isImporting: false
+            };
+            
+            const importModal = new bootstrap.Modal(document.getElementById('importPromptsModal'));
+            importModal.show();
+        },
+
+        // Handle files dropped on the import drop zone
+        async handleImportDrop(event) {
+            this.importData.isDragging = false;
+            await this.addImportFiles(event.dataTransfer.files);
+        },
+
+        // Handle files picked with the import file input
+        async handleImportFileInput(event) {
+            await this.addImportFiles(event.target.files);
+            event.target.value = '';
+        },
+
+        // Read dropped or selected files (and zip bundles) into the import preview
+        async addImportFiles(fileList) {
+            const importableExtensions = /\.(jinja|md|txt)$/i;
+            this.importData.isReading = true;
             
-            // Create a downloadable text file
-            const content = `Prompt Name: ${prompt.name}\nRevision: ${this.getRevisionName(prompt.revision_id)}\nAuthor: ${prompt.author}\nLast Modified: ${prompt.last_modified}\n\nContent:\n${prompt.preview}...`;
+            try {
+                for (const file of Array.from(fileList)) {
+                    if (/\.zip$/i.test(file.name)) {
+                        const entries = await ZipUtils.readZip(await file.arrayBuffer());
+                        entries.forEach(entry => {
+                            const entryName = entry.name.split('/').pop();
+                            if (entryName === 'manifest.json' || entryName.startsWith('.')) return;
+                            if (!importableExtensions.test(entryName)) {
+                                this.importData.skipped.push(`${file.name}: ${entry.name}`);
+                                return;
+                            }
+                            this.addImportItem(entryName, `${file.name}/${entry.name}`, new TextDecoder().decode(entry.content));
+                        });
+                    } else if (importableExtensions.test(file.name)) {
+                        this.addImportItem(file.name, file.name, await file.text());
+                    } else {
+                        this.importData.skipped.push(file.name);
+                    }
+                }
+            } catch (error) {
+                console.error('Error reading import files:', error);
+                alert(`Error reading files: ${error.message}`);
+            } finally {
+                this.importData.isReading = false;
+                this.refreshImportActions();
+            }
+        },
+
+        // Add a file to the import preview; a later file with the same target name replaces an earlier one
+        addImportItem(originalName, source, content) {
+            const filename = this.toJinjaFilename(originalName.replace(/\.(md|txt)$/i, '').replace(/[^\w.-]/g, '_'));
+            const item = {
+                filename: filename,
+                source: source,
+                content: content,
+                size: content.length,
+                include: true,
+                action: 'create',
+                status: 'pending',
+                error: null
+            };
+            
+            const existingIndex = this.importData.items.findIndex(i => i.filename === filename);
+            if (existingIndex > -1) {
+                this.importData.items.splice(existingIndex, 1, item);
+            } else {
+                this.importData.items.push(item);
+            }
+        },
+
+        // Mark each import item as create or overwrite for the target revision
+        refreshImportActions() {
+            const existingFiles = this.prompts
+                .filter(p => p.revision_id === this.importData.targetRevisionId)
+                .map(p => this.toJinjaFilename(p.file_path));
             
-            const blob = new Blob([content], { type: 'text/plain' });
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${prompt.name.replace(/\s+/g, '_')}.txt`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            window.URL.revokeObjectURL(url);
+            this.importData.items.forEach(item => {
+                item.action = existingFiles.includes(item.filename) ? 'overwrite' : 'create';
+            });
+        },
+
+        // Post every selected import item to the target revision
+        async importPrompts() {
+            const revisionId = this.importData.targetRevisionId;
+            const items = this.importData.items.filter(item => item.include && item.status !== 'done');
+            
+            if (!revisionId || items.length === 0) {
+                alert('Please choose a target revision and at least one file to import.');
+                return;
+            }
+            
+            const overwriteCount = items.filter(item => item.action === 'overwrite').length;
+            if (overwriteCount > 0 && !confirm(`${overwriteCount} existing prompt(s) in revision ${revisionId} will be overwritten. Continue?`)) {
+                return;
+            }
+            
+            this.importData.isImporting = true;
+            
+            for (const item of items) {
+                try {
+                    item.status = 'importing';
+                    await this.sendPromptRequest('promptUpdate', revisionId, item.filename, {
+                        method: 'POST',
+                        body: { content: item.content, name: this.formatPromptName(item.filename) }
+                    });
+                    
+                    const importedPrompt = {
+                        id: `prompt-${revisionId}-${item.filename.replace(/\.[^/.]+$/, "")}`,
+                        name: this.formatPromptName(item.filename),
+                        revision_id: revisionId,
+                        status: 'active',
+                        last_modified: new Date().toISOString().split('T')[0],
+                        author: 'Current User',
+                        size: item.content.length,
+                        preview: this.generatePreview(item.content),
+                        file_path: item.filename,
+                        type: 'system',
+                        content: item.content
+                    };
+                    
+                    const existingIndex = this.prompts.findIndex(p => p.revision_id === revisionId && this.toJinjaFilename(p.file_path) === item.filename);
+                    if (existingIndex > -1) {
+                        this.prompts[existingIndex] = { ...this.prompts[existingIndex], ...importedPrompt, file_path: this.prompts[existingIndex].file_path };
+                    } else {
+                        this.prompts.push(importedPrompt);
+                        this.updateRevisionFiles(revisionId, null, item.filename);
+                    }
+                    
+                    item.status = 'done';
+                } catch (error) {
+                    console.error(`Error importing ${item.filename}:`, error);
+                    item.status = 'failed';
+                    item.error = error.message;
+                }
+            }
+            
+            this.importData.isImporting = false;
+            this.filterPrompts();
+            
+            const failed = items.filter(item => item.status === 'failed').length;
+            if (failed > 0) {
+                alert(`${items.length - failed} prompt(s) imported, ${failed} failed. Failed files are kept in the list.`);
+            } else {
+                alert(`${items.length} prompt(s) imported into revision ${revisionId}.`);
+                const importModal = bootstrap.Modal.getInstance(document.getElementById('importPromptsModal'));
+                if (importModal) {
+                    importModal.hide();
+                }
+            }
         },
 
         // Delete prompt
@@ -565,28 +1261,23 @@ Assistant: [Sample response demonstrating the expected behavior]
             
             console.log('Deleting prompt:', prompt.id);
             
+            // Optimistic update
+            const snapshot = this.snapshotPromptState();
+            this.prompts = this.prompts.filter(p => p.id !== prompt.id);
+            this.updateRevisionFiles(prompt.revision_id, prompt.file_path, null);
+            this.filterPrompts();
+            
             try {
-                // TODO: Replace with actual API call
-                /*
-                const response = await fetch(`${PROMPTS_API_CONFIG.baseUrl}${PROMPTS_API_CONFIG.endpoints.deletePrompt.replace('{promptId}', prompt.id)}`, {
-                    method: 'DELETE'
-                });
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-                */
-                
-                // Simulate deletion for demo
-                const index = this.prompts.findIndex(p => p.id === prompt.id);
-                if (index > -1) {
-                    this.prompts.splice(index, 1);
-                    this.filterPrompts();
-                    alert(`Prompt "${prompt.name}" has been deleted.`);
-                }
+                await window.revisionManager.deletePromptFile(prompt.revision_id, this.toJinjaFilename(prompt.file_path));
             } catch (error) {
                 console.error('Error deleting prompt:', error);
-                alert('Error deleting prompt. Please try again.');
+                this.restorePromptState(snapshot);
+                if (error.unsupported) {
+                    this.canDeletePrompts = false;
+                    alert(`${error.message}. The Delete action has been removed.`);
+                    return;
+                }
+                alert(`Error deleting prompt: ${error.message}`);
             }
         },
 
@@ -598,7 +1289,7 @@ Assistant: [Sample response demonstrating the expected behavior]
             // Set up a new prompt with default values
             const newPromptId = `prompt-${Date.now()}`;
             const defaultRevision = this.selectedRevision === 'all' ? 
-                (this.revisions.length > 0 ? this.revisions[this.revisions.length - 1].id : 'v1') : 
+                (this.revisions.length > 0 ? this.revisions[0].id : 'v1') : 
                 this.selectedRevision;
             
             // Create new prompt object
@@ -624,6 +1315,9 @@ Assistant: [Sample response demonstrating the expected behavior]
                 content: ''
             };
             
+            this.resetEditorPanel();
+            this.startEditorSession('__new__');
+            
             // Show edit modal for new prompt
             const editModal = new bootstrap.Modal(document.getElementById('editPromptModal'));
             editModal.show();
@@ -23,17 +23,39 @@ function promptEvaluationApp() {
         // Evaluation-specific state
         workflow: { name: 'Workflow Evaluation', id: null },
         isRunning: false,
+        isStreaming: false, // Agent outputs are arriving from a streamed response
+        activeRun: null, // Abort scope of the running evaluation or comparison
+        evaluationTimeoutSeconds: 120, // Per-run timeout, 0 disables it
         hasResults: false,
         results: null,
         selectedPromptVersion: '',
         revisions: [],
         workflowQueryParam: null,
         formDataExists: false,
+        validationErrors: [], // Schema violations that blocked the last run
+        sampleData: { seed: '', count: 10 }, // Seed and batch size of generated sample inputs
+        expectations: { text: '', error: '', open: false }, // Assertions (JSON) scored against the next runs
         evaluationId: '',
         
+        // A/B comparison state
+        compareMode: false,
+        compareVersion: '',
+        comparison: null,
+        
+        // Batch evaluation state
+        batch: BatchEvaluationCore.createInitialState(),
+        
+        // Evaluation history state
+        history: EvaluationHistoryCore.createInitialState(),
+        
+        // Saved test case library state
+        testCases: TestCaseLibraryCore.createInitialState(),
+        
         // Initialization
         async init() {
             this.generateNewEvaluationId(); // Initialize with a new evaluation ID
+            EvaluationHistoryCore.loadHistory(this);
+            TestCaseLibraryCore.loadCases(this);
             return await PromptEvaluationCore.initialize(this);
         },
         
@@ -58,40 +80,10 @@ function promptEvaluationApp() {
         },
 
         createFormattedJsonStructure(formData) {
-            // DEBUG: Log schema construction details
-            console.log('=== createFormattedJsonStructure (app.js) DEBUG ===');
-            console.log('currentSchema:', this.currentSchema);
-            console.log('window.dynamicWorkflow exists:', !!window.dynamicWorkflow);
-            console.log('currentSchemaData exists:', !!window.dynamicWorkflow?.currentSchemaData);
-            if (window.dynamicWorkflow?.currentSchemaData) {
-                console.log('currentSchemaData structure:', JSON.stringify(window.dynamicWorkflow.currentSchemaData, null, 2));
-            }
-            
-            // Get the full schema object for dynamic field extraction
-            const schemaInfo = PromptEvaluationCore.getSchemaInfo(this);
-            console.log('schemaInfo from PromptEvaluationCore:', schemaInfo);
-            const schemaObject = schemaInfo ? schemaInfo.schema : null;
-            
-            // Try to get full schema from dynamicWorkflow if available
-            let fullSchemaObject = null;
-            if (window.dynamicWorkflow && window.dynamicWorkflow.currentSchemaData) {
-                fullSchemaObject = {
-                    workflow_name: this.currentSchema,
-                    schemas: {
-                        RootModel: window.dynamicWorkflow.currentSchemaData
-                    }
-                };
-                console.log('Constructed fullSchemaObject:', JSON.stringify(fullSchemaObject, null, 2));
-            } else {
-                console.log('No currentSchemaData available, using schemaObject:', schemaObject);
-            }
-            console.log('=== END app.js DEBUG ===');
-            
             return JSONResponseBuilder.createFormattedJsonStructure(
                 formData, 
                 this.selectedPromptVersion, 
                 this.currentSchema, 
-                fullSchemaObject || schemaObject,
                 this.evaluationId
             );
         },
@@ -113,18 +105,10 @@ function promptEvaluationApp() {
             return PromptEvaluationCore.syncState(this);
         },
         
-        forceDataSync() {
-            return PromptEvaluationCore.forceDataSync(this);
-        },
-        
         getFormDataForSchema() {
             return PromptEvaluationCore.getFormDataForSchema(this);
         },
         
-        collectFormDataDirectly() {
-            return PromptEvaluationCore.collectFormDataDirectly(this);
-        },
-        
         initFormDataTracking() {
             return PromptEvaluationCore.initFormDataTracking(this);
         },
@@ -137,10 +121,22 @@ function promptEvaluationApp() {
             return PromptEvaluationCore.downloadFormDataJson(this);
         },
         
+        async importInputFile(event) {
+            return await PromptEvaluationCore.importInputFile(this, event);
+        },
+        
+        async generateSampleInput() {
+            return await PromptEvaluationCore.generateSampleInput(this);
+        },
+        
         async runEvaluationWithDynamicData() {
             return await PromptEvaluationCore.runEvaluationWithDynamicData(this);
         },
         
+        async runComparisonWithDynamicData() {
+            return await PromptEvaluationCore.runComparisonWithDynamicData(this);
+        },
+        
         generateEnhancedResults(workflowId, inputData) {
             return PromptEvaluationCore.generateEnhancedResults(workflowId, inputData);
         },
@@ -153,27 +149,126 @@ function promptEvaluationApp() {
             return PromptEvaluationCore.downloadResults(this);
         },
         
+        downloadComparison() {
+            return PromptEvaluationCore.downloadComparison(this);
+        },
+        
+        // Batch evaluation (delegated to BatchEvaluationCore)
+        async loadBatchFile(event) {
+            return await BatchEvaluationCore.loadDatasetFile(this, event);
+        },
+        
+        async runBatchEvaluation() {
+            return await BatchEvaluationCore.runBatchEvaluation(this);
+        },
+        
+        cancelBatchEvaluation() {
+            BatchEvaluationCore.cancelBatchEvaluation(this);
+        },
+        
+        async generateSampleDataset() {
+            return await BatchEvaluationCore.generateSampleDataset(this);
+        },
+        
+        downloadBatchDataset() {
+            return BatchEvaluationCore.downloadDataset(this);
+        },
+        
+        downloadBatchReport() {
+            return BatchEvaluationCore.downloadBatchReport(this);
+        },
+        
+        getBatchSummary() {
+            return BatchEvaluationCore.getSummary(this.batch.results);
+        },
+        
+        getBatchProgress() {
+            if (this.batch.cases.length === 0) return 0;
+            return Math.round((this.batch.completed / this.batch.cases.length) * 100);
+        },
+        
+        // Test case library (delegated to TestCaseLibraryCore)
+        getFilteredTestCases() {
+            return TestCaseLibraryCore.getFilteredCases(this);
+        },
+        
+        saveTestCase() {
+            TestCaseLibraryCore.saveCurrentInput(this);
+        },
+        
+        async loadTestCase(testCase) {
+            return await TestCaseLibraryCore.loadCase(this, testCase);
+        },
+        
+        deleteTestCase(testCase) {
+            TestCaseLibraryCore.deleteCase(this, testCase);
+        },
+        
+        exportTestCases() {
+            TestCaseLibraryCore.exportLibrary(this);
+        },
+        
+        async importTestCasesFile(event) {
+            return await TestCaseLibraryCore.importLibraryFile(this, event);
+        },
+        
+        // Evaluation history (delegated to EvaluationHistoryCore)
+        getFilteredHistoryRuns() {
+            return EvaluationHistoryCore.getFilteredRuns(this);
+        },
+        
+        getHistoryFilterOptions() {
+            return EvaluationHistoryCore.getFilterOptions(this);
+        },
+        
+        openHistoryRun(run) {
+            EvaluationHistoryCore.openRun(this, run);
+        },
+        
+        async rerunHistoryRun(run) {
+            return await EvaluationHistoryCore.rerun(this, run);
+        },
+        
+        async tagHistoryRun(run) {
+            return await EvaluationHistoryCore.tagRun(this, run);
+        },
+        
+        async deleteHistoryRun(run) {
+            return await EvaluationHistoryCore.deleteRun(this, run);
+        },
+        
         // Simple functions kept inline for Alpine.js
         initializePromptVersion() {
             const versions = this.getAvailableVersions();
             if (versions.length > 0) {
-                this.selectedPromptVersion = versions[0].id;
+                // Prefer the workflow's active revision; revisions are ordered newest first
+                const activeVersion = versions.find(version => version.status === 'active');
+                this.selectedPromptVersion = (activeVersion || versions[0]).id;
             }
         },
         
         getAvailableVersions() {
             return this.revisions.map(revision => ({
                 id: revision.id,
-                display: `${revision.name} (${revision.date})`,
+                display: `${revision.name} (${revision.date}, ${revision.author})`,
                 date: revision.date,
+                author: revision.author,
                 status: revision.status
             }));
         },
         
+        cancelEvaluation() {
+            PromptEvaluationCore.cancelEvaluation(this);
+        },
+        
         resetEvaluation() {
+            PromptEvaluationCore.cancelEvaluation(this);
             this.isRunning = false;
+            this.isStreaming = false;
             this.hasResults = false;
             this.results = null;
+            this.comparison = null;
+            this.history.openedRun = null;
             // Don't reset form data - keep inputs intact for "Run Again"
             // Only reset the evaluation results, not the form inputs
         },
@@ -182,6 +277,22 @@ function promptEvaluationApp() {
             return output.replace(/\n/g, '<br>').replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
         },
         
+        formatDelta(delta, unit = '') {
+            if (!delta) return `±0${unit}`;
+            const sign = delta > 0 ? '+' : '-';
+            return `${sign}${Math.abs(delta).toLocaleString()}${unit}`;
+        },
+        
+        getDeltaClass(delta) {
+            // Lower token usage and execution time is better for revision B
+            if (!delta) return 'text-muted';
+            return delta < 0 ? 'text-success' : 'text-danger';
+        },
+        
+        getVerdictTitle(verdict) {
+            return (verdict?.checks || []).map(check => `${check.passed ? '✓' : '✗'} ${check.message}`).join('\n');
+        },
+        
         getAgentDescription(agentName) {
             const descriptions = {
                 'schema_validator': 'Validates schema structure and data integrity',
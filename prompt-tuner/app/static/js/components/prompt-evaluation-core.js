@@ -54,7 +54,6 @@ class PromptEvaluationCore {
         
         while (attempts < maxAttempts) {
             if (window.dynamicWorkflow && 
-                typeof window.dynamicWorkflow.collectFormDataFromDOM === 'function' &&
                 typeof window.dynamicWorkflow.getFormDataForSchema === 'function') {
                 console.log('DynamicWorkflow is ready after', attempts * 100, 'ms');
                 return;
@@ -77,193 +76,10 @@ class PromptEvaluationCore {
         }, 200);
     }
 
-    /**
-     * Extract schema information for dynamic transformation
-     */
-    static getSchemaInfo(app) {
-        try {
-            console.log('=== getSchemaInfo DEBUG ===');
-            console.log('window.dynamicWorkflow exists:', !!window.dynamicWorkflow);
-            console.log('currentSchemaData exists:', !!window.dynamicWorkflow?.currentSchemaData);
-            console.log('currentSchema:', app.currentSchema);
-            
-            // Method 1: Try to get from currentSchemaData and build proper schema object
-            if (window.dynamicWorkflow?.currentSchemaData) {
-                const currentSchemaData = window.dynamicWorkflow.currentSchemaData;
-                console.log('currentSchemaData structure:', currentSchemaData);
-                
-                // Build the expected schema object structure
-                const fullSchemaObject = {
-                    workflow_name: app.currentSchema || 'unknown',
-                    schemas: {
-                        RootModel: currentSchemaData
-                    }
-                };
-                
-                console.log('✅ Built full schema object:', fullSchemaObject);
-                
-                // Use JSONResponseBuilder to extract info dynamically
-                try {
-                    const schemaInfo = JSONResponseBuilder.extractSchemaInfo(fullSchemaObject);
-                    console.log('✅ Successfully extracted dynamic schema info:', schemaInfo);
-                    
-                    return {
-                        containerName: schemaInfo.containerName,
-                        arrayFieldPatterns: schemaInfo.arrayFieldPatterns,
-                        fieldHierarchy: schemaInfo.fieldHierarchy,
-                        dynamicPatterns: schemaInfo.dynamicPatterns,
-                        schema: fullSchemaObject
-                    };
-                } catch (extractError) {
-                    console.warn('Dynamic extraction failed, trying alternative methods:', extractError);
-                }
-            }
-            
-            // Method 2: Try to get from schema cache
-            if (window.dynamicWorkflow?.schemaCache && app.currentSchema) {
-                const cachedSchema = window.dynamicWorkflow.schemaCache[app.currentSchema];
-                if (cachedSchema) {
-                    console.log('✅ Using cached schema:', cachedSchema);
-                    
-                    try {
-                        const schemaInfo = JSONResponseBuilder.extractSchemaInfo(cachedSchema);
-                        console.log('✅ Successfully extracted from cached schema:', schemaInfo);
-                        
-                        return {
-                            containerName: schemaInfo.containerName,
-                            arrayFieldPatterns: schemaInfo.arrayFieldPatterns,
-                            fieldHierarchy: schemaInfo.fieldHierarchy,
-                            dynamicPatterns: schemaInfo.dynamicPatterns,
-                            schema: cachedSchema
-                        };
-                    } catch (cacheError) {
-                        console.warn('Cached schema extraction failed:', cacheError);
-                    }
-                }
-            }
-            
-            // Method 3: Use schema name to let JSONResponseBuilder handle it
-            if (app.currentSchema) {
-                console.log('⚠️ Falling back to schema name only, letting JSONResponseBuilder handle loading');
-                
-                try {
-                    // Let JSONResponseBuilder attempt to extract from cached data
-                    const containerName = JSONResponseBuilder.extractContainerFieldName(null, app.currentSchema);
-                    
-                    return {
-                        containerName: containerName,
-                        arrayFieldPatterns: [containerName], // Basic fallback
-                        fieldHierarchy: {},
-                        dynamicPatterns: [],
-                        schema: null
-                    };
-                } catch (nameError) {
-                    console.error('Schema name fallback failed:', nameError);
-                }
-            }
-            
-            console.log('=== END getSchemaInfo DEBUG ===');
-            
-            // Last resort: This should not happen if everything is working correctly
-            console.error('❌ All schema info extraction methods failed');
-            throw new Error('Cannot extract schema information - no valid schema data available');
-            
-        } catch (error) {
-            console.error('Error in getSchemaInfo:', error);
-            throw new Error(`Schema info extraction failed: ${error.message}`);
-        }
-    }
-
-    /**
-     * Load schema directly from schema file (fallback method) - DEPRECATED
-     * This method should no longer be used as all schema info should be extracted dynamically
-     */
-    static loadSchemaFromFile(schemaName) {
-        console.error('⚠️ loadSchemaFromFile called - this method is deprecated and should not be used');
-        console.error('Schema loading should be handled dynamically through JSONResponseBuilder.extractContainerFieldName');
-        throw new Error(`Deprecated method loadSchemaFromFile called for schema: ${schemaName}`);
-    }
-
-    /**
-     * Extract array field patterns from schema definitions
-     * This identifies field prefixes that should be cleaned up during transformation
-     */
-    static extractArrayFieldPatterns(schema) {
-        const patterns = [];
-        
-        try {
-            // Look through all schema definitions for array fields
-            if (schema.definitions || schema.$defs) {
-                const definitions = schema.definitions || schema.$defs;
-                
-                Object.keys(definitions).forEach(defKey => {
-                    const definition = definitions[defKey];
-                    if (definition.properties) {
-                        Object.keys(definition.properties).forEach(propKey => {
-                            const property = definition.properties[propKey];
-                            
-                            // If this property is an array, add its name to patterns
-                            if (property.type === 'array') {
-                                patterns.push(propKey);
-                            }
-                        });
-                    }
-                });
-            }
-            
-            // Also check the root schema properties for arrays
-            if (schema.properties) {
-                Object.keys(schema.properties).forEach(propKey => {
-                    const property = schema.properties[propKey];
-                    if (property.type === 'array') {
-                        patterns.push(propKey);
-                    }
-                });
-            }
-            
-            console.log('Extracted array field patterns from schema:', patterns);
-            
-        } catch (error) {
-            console.error('Error extracting array field patterns:', error);
-        }
-        
-        return patterns.length > 0 ? patterns : ['bike_sales', 'laptop_sales']; // fallback
-    }
-
-    /**
-     * Synchronize state with modular classes
-     */
-    static syncState(app) {
-        if (window.dynamicWorkflow) {
-            app.availableWorkflows = [...(window.dynamicWorkflow.availableWorkflows || [])];
-            app.schemasLoaded = window.dynamicWorkflow.schemasLoaded || false;
-            app.currentSchema = window.dynamicWorkflow.currentSchema || null;
-            app.showFormHeader = window.dynamicWorkflow.showFormHeader || false;
-            app.showFormActions = window.dynamicWorkflow.showFormActions || false;
-            app.showResults = window.dynamicWorkflow.showResults || false;
-            app.formTitle = window.dynamicWorkflow.formTitle || 'Dynamic Form';
-            app.dynamicFormHtml = window.dynamicWorkflow.dynamicFormHtml || '';
-            app.resultsHtml = window.dynamicWorkflow.resultsHtml || '';
-            
-            // Update workflow name for header
-            if (app.currentSchema) {
-                const selectedWorkflow = app.availableWorkflows.find(w => w.name === app.currentSchema);
-                if (selectedWorkflow) {
-                    app.workflow = { 
-                        name: selectedWorkflow.title, 
-                        id: selectedWorkflow.name 
-                    };
-                }
-            }
-        }
-    }
-
     /**
      * Console logging functionality
      */
     static logFormDataToConsole(app) {
-        app.forceDataSync();
-        
         const formData = app.getFormDataForSchema();
         
         if (!formData || Object.keys(formData).length === 0) {
@@ -277,182 +93,24 @@ class PromptEvaluationCore {
             return;
         }
         
-        // Transform the form data to handle indexed container fields (schema-driven)
-        const schemaInfo = this.getSchemaInfo(app);
-        console.log('SchemaInfo from getSchemaInfo:', schemaInfo);
-        
-        const transformedData = JSONResponseBuilder.transformFormDataForStores(formData, schemaInfo);
-        
-        // Get full schema object for dynamic field extraction
-        let fullSchemaObject = null;
-        if (window.dynamicWorkflow && window.dynamicWorkflow.currentSchemaData) {
-            fullSchemaObject = {
-                workflow_name: app.currentSchema,
-                schemas: {
-                    RootModel: window.dynamicWorkflow.currentSchemaData
-                }
-            };
-        }
-        
-        // If we don't have a full schema object, but we have schemaInfo with containerName,
-        // create a minimal schema object that our extraction function can understand
-        if (!fullSchemaObject && schemaInfo && schemaInfo.containerName) {
-            fullSchemaObject = {
-                workflow_name: app.currentSchema,
-                schemas: {
-                    RootModel: {
-                        properties: {
-                            [schemaInfo.containerName]: {
-                                type: 'array',
-                                items: {}
-                            }
-                        }
-                    }
-                }
-            };
-            console.log('Created minimal schema object from schemaInfo:', fullSchemaObject);
-        }
-        
         const formattedData = JSONResponseBuilder.createFormattedJsonStructure(
-            transformedData, 
+            formData, 
             app.selectedPromptVersion, 
-            app.currentSchema, 
-            fullSchemaObject || schemaInfo.schema
+            app.currentSchema
         );
         
         console.log('=== FORM DATA JSON ===');
-        console.log('Raw form data:', formData);
-        console.log('Transformed data:', transformedData);
+        console.log('Form data:', formData);
         console.log('Formatted JSON structure:', formattedData);
         console.log('JSON formatted:', JSON.stringify(formattedData, null, 2));
         console.log('=== END FORM DATA ===');
     }
 
     /**
-     * Force data synchronization with DOM
-     */
-    static forceDataSync(app) {
-        try {
-            if (window.dynamicWorkflow && typeof window.dynamicWorkflow.collectFormDataFromDOM === 'function') {
-                const domData = window.dynamicWorkflow.collectFormDataFromDOM();
-                
-                if (domData && Object.keys(domData).length > 0 && window.dynamicWorkflow.dataManager) {
-                    const storedData = window.dynamicWorkflow.dataManager.getFormDataForSchema(app.currentSchema) || {};
-                    const mergedData = { ...storedData, ...domData };
-                    
-                    if (typeof window.dynamicWorkflow.dataManager.setFormData === 'function') {
-                        window.dynamicWorkflow.dataManager.setFormData(app.currentSchema, mergedData);
-                        console.log('Force synced data from DOM:', mergedData);
-                    }
-                }
-            }
-        } catch (error) {
-            console.error('Error in forceDataSync:', error);
-        }
-    }
-
-    /**
-     * Get form data (enhanced to prioritize fresh DOM data)
+     * Get form data from the dynamic workflow's form model, shaped like the workflow schema
      */
     static getFormDataForSchema(app) {
-        try {
-            let formData = {};
-            
-            // Method 1: Get data from dynamic workflow system
-            if (window.dynamicWorkflow && 
-                typeof window.dynamicWorkflow.getFormDataForSchema === 'function') {
-                formData = window.dynamicWorkflow.getFormDataForSchema() || {};
-            }
-            
-            // Method 2: Always collect fresh data from DOM and merge
-            const freshDomData = app.collectFormDataDirectly();
-            if (freshDomData && Object.keys(freshDomData).length > 0) {
-                formData = { ...formData, ...freshDomData };
-                console.log('Merged stored and fresh DOM data:', formData);
-            }
-            
-            // Method 3: Fallback if no data found
-            if (Object.keys(formData).length === 0) {
-                console.log('No data found, using comprehensive DOM scan');
-                formData = app.collectFormDataDirectly();
-            }
-            
-            return formData;
-        } catch (error) {
-            console.error('Error getting form data:', error);
-            return app.collectFormDataDirectly();
-        }
-    }
-
-    /**
-     * Enhanced fallback method to collect form data directly from DOM
-     */
-    static collectFormDataDirectly(app) {
-        const formData = {};
-        
-        try {
-            const container = document.getElementById('dynamicFormsContainer');
-            if (!container) {
-                console.log('Dynamic forms container not found');
-                return formData;
-            }
-            
-            // Collect data from all input types
-            const inputs = container.querySelectorAll('input, select, textarea');
-            inputs.forEach(input => {
-                if (input.id) {
-                    let fieldName = FormDataUtils.parseFieldNameFromInputId(input.id);
-                    let value = input.value;
-                    
-                    if (value.trim() === '' && input.type !== 'checkbox' && input.type !== 'radio') {
-                        return;
-                    }
-                    
-                    if (input.type === 'number' && value !== '') {
-                        value = parseFloat(value) || 0;
-                    } else if (input.type === 'checkbox') {
-                        value = input.checked;
-                    } else {
-                        value = value.trim();
-                    }
-                    
-                    FormDataUtils.setNestedFieldValue(formData, fieldName, value);
-                }
-            });
-            
-            // Collect data from selected union options
-            const selectedOptions = container.querySelectorAll('.option-card.selected');
-            selectedOptions.forEach(option => {
-                const optionName = option.querySelector('.option-name');
-                const parentGroup = option.closest('.form-group');
-                if (optionName && parentGroup) {
-                    const label = parentGroup.querySelector('.form-label');
-                    if (label) {
-                        const fieldName = FormDataUtils.sanitizeFieldName(label.textContent);
-                        formData[fieldName] = optionName.textContent.trim();
-                    }
-                }
-            });
-            
-            // Collect data from array containers
-            const arrayContainers = container.querySelectorAll('.array-container, [class*="array"]');
-            arrayContainers.forEach(arrayContainer => {
-                const arrayFieldName = FormDataUtils.extractArrayFieldName(arrayContainer);
-                if (arrayFieldName) {
-                    const arrayData = FormDataUtils.collectArrayData(arrayContainer);
-                    if (arrayData.length > 0) {
-                        formData[arrayFieldName] = arrayData;
-                    }
-                }
-            });
-            
-            console.log('Enhanced direct form data collection result:', formData);
-            
-        } catch (error) {
-            console.error('Error in enhanced direct form data collection:', error);
-        }
-        
-        return formData;
+        return window.dynamicWorkflow?.getFormDataForSchema() || {};
     }
 
     /**
@@ -471,34 +129,7 @@ class PromptEvaluationCore {
      */
     static updateFormDataStatus(app) {
         try {
-            const container = document.getElementById('dynamicFormsContainer');
-            if (!container) {
-                app.formDataExists = false;
-                return;
-            }
-            
-            let hasData = false;
-            
-            const inputs = container.querySelectorAll('input, select, textarea');
-            for (let input of inputs) {
-                if (input.type === 'checkbox' || input.type === 'radio') {
-                    if (input.checked) {
-                        hasData = true;
-                        break;
-                    }
-                } else if (input.value && input.value.trim() !== '') {
-                    hasData = true;
-                    break;
-                }
-            }
-            
-            if (!hasData) {
-                const selectedOptions = container.querySelectorAll('.option-card.selected');
-                hasData = selectedOptions.length > 0;
-            }
-            
-            app.formDataExists = hasData;
-            
+            app.formDataExists = Boolean(window.dynamicWorkflow?.formModel.hasValues());
         } catch (error) {
             console.error('Error in updateFormDataStatus:', error);
             app.formDataExists = false;
@@ -509,8 +140,6 @@ class PromptEvaluationCore {
      * Download form data as JSON file
      */
     static downloadFormDataJson(app) {
-        app.forceDataSync();
-        
         const formData = app.getFormDataForSchema();
         
         if (!formData || Object.keys(formData).length === 0) {
@@ -523,43 +152,10 @@ class PromptEvaluationCore {
             return;
         }
         
-        const schemaInfo = this.getSchemaInfo(app);
-        const transformedData = JSONResponseBuilder.transformFormDataForStores(formData, schemaInfo);
-        
-        // Get full schema object for dynamic field extraction
-        let fullSchemaObject = null;
-        if (window.dynamicWorkflow && window.dynamicWorkflow.currentSchemaData) {
-            fullSchemaObject = {
-                workflow_name: app.currentSchema,
-                schemas: {
-                    RootModel: window.dynamicWorkflow.currentSchemaData
-                }
-            };
-        }
-        
-        // If we don't have a full schema object, but we have schemaInfo with containerName,
-        // create a minimal schema object that our extraction function can understand
-        if (!fullSchemaObject && schemaInfo && schemaInfo.containerName) {
-            fullSchemaObject = {
-                workflow_name: app.currentSchema,
-                schemas: {
-                    RootModel: {
-                        properties: {
-                            [schemaInfo.containerName]: {
-                                type: 'array',
-                                items: {}
-                            }
-                        }
-                    }
-                }
-            };
-        }
-        
         const downloadData = JSONResponseBuilder.createFormattedJsonStructure(
-            transformedData, 
+            formData, 
             app.selectedPromptVersion, 
             app.currentSchema, 
-            fullSchemaObject || schemaInfo.schema,
             app.evaluationId
         );
         const jsonString = JSON.stringify(downloadData, null, 2);
@@ -577,66 +173,606 @@ class PromptEvaluationCore {
         console.log('📥 Form data JSON downloaded (new format):', downloadData);
     }
 
+    /**
+     * Load an input exported with downloadFormDataJson back into the dynamic form
+     */
+    static async importInputFile(app, event) {
+        const file = event.target.files?.[0];
+        event.target.value = ''; // Allow importing the same file again
+        if (!file) return;
+
+        if (!window.dynamicWorkflow?.currentSchema) {
+            alert('Please select a workflow before importing input.');
+            return;
+        }
+
+        let testCase;
+        try {
+            testCase = BatchEvaluationCore.normalizeCase(JSON.parse(await file.text()), 0);
+        } catch (error) {
+            alert(`Could not read ${file.name}: ${error.message}`);
+            return;
+        }
+
+        if (testCase.conversationFlow && testCase.conversationFlow !== app.currentSchema &&
+            !confirm(`${file.name} was exported from the "${testCase.conversationFlow}" workflow, but "${app.currentSchema}" is loaded. Import it anyway?`)) {
+            return;
+        }
+
+        try {
+            const skipped = await window.dynamicWorkflow.populateForm(testCase.userPrompt);
+            app.updateFormDataStatus();
+
+            if (skipped.length > 0) {
+                alert(`Imported ${file.name}, but these values have no matching form field and were skipped:\n\n${skipped.join('\n')}`);
+            }
+            console.log('📤 Form input imported from', file.name);
+        } catch (error) {
+            console.error('Error importing form input:', error);
+            alert(`Error importing input: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fill the dynamic form with randomized values generated from the workflow schema
+     * An empty seed is replaced by a random one, which stays visible so the input can be regenerated
+     */
+    static async generateSampleInput(app) {
+        if (!window.dynamicWorkflow?.currentSchema) {
+            alert('Please select a workflow before generating sample data.');
+            return;
+        }
+
+        const seed = String(app.sampleData.seed || '').trim() || SampleDataGenerator.createSeed();
+        app.sampleData.seed = seed;
+
+        try {
+            const { rootModel, definitions } = await window.dynamicWorkflow.getRootSchema();
+            const sampleInput = SampleDataGenerator.generate(rootModel, definitions, { seed });
+            const skipped = await window.dynamicWorkflow.populateForm(sampleInput);
+            app.updateFormDataStatus();
+
+            if (skipped.length > 0) {
+                console.warn('Generated values without a matching form field:', skipped);
+            }
+            console.log(`🎲 Sample input generated with seed ${seed}`);
+        } catch (error) {
+            console.error('Error generating sample input:', error);
+            alert(`Error generating sample data: ${error.message}`);
+        }
+    }
+
     /**
      * Run evaluation with dynamic data
+     * @param {Object} app - Alpine.js app instance
+     * @param {Object} overrides - formData, revisionId and workflow to run instead of the current form (used to re-run archived runs)
      */
-    static async runEvaluationWithDynamicData(app) {
-        if (!app.selectedPromptVersion) {
+    static async runEvaluationWithDynamicData(app, overrides = {}) {
+        const revisionId = overrides.revisionId || app.selectedPromptVersion;
+        if (!revisionId) {
             alert('Please select a prompt version before running the evaluation.');
             return;
         }
+        // Archived inputs (re-runs from the history) are sent as they were
+        if (!overrides.formData && !await PromptEvaluationCore.validateFormInput(app)) {
+            return;
+        }
+        const expectations = PromptEvaluationCore.getExpectations(app);
+        if (!expectations) return;
         
         app.isRunning = true;
         app.hasResults = false;
+        app.history.openedRun = null;
+        const run = PromptEvaluationCore.startRun(app);
         
         try {
-            const dynamicFormData = app.getFormDataForSchema();
+            const dynamicFormData = overrides.formData || app.getFormDataForSchema();
+            const workflow = overrides.workflow || app.currentSchema;
             console.log('Running evaluation with modular data:', dynamicFormData);
             
-            // Transform form data to match the required format
-            const transformedFormData = {
-                revision_id: app.selectedPromptVersion,
-                identifier: app.evaluationId,
-                ...dynamicFormData
-            };
-            
             // Prepare the API request payload in the required format
-            const requestPayload = {
-                user_prompt: JSON.stringify(transformedFormData),
-                conversation_flow: app.currentSchema
-            };
+            const requestPayload = PromptEvaluationCore.buildChatPayload(app, revisionId, dynamicFormData);
+            requestPayload.conversation_flow = workflow;
             
             // Simple request body log for testing
             console.log('REQUEST BODY:', JSON.stringify(requestPayload, null, 2));
-            
-            // Make API call to the chat endpoint
-            const response = await fetch(`${window.API_CONFIG.baseUrl}${window.API_CONFIG.endpoints.chat}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestPayload)
+
+            // Agent outputs are shown as they arrive when the backend streams
+            app.results = PromptEvaluationCore.createStreamingResults();
+            const startedAt = performance.now();
+            const apiResponse = await PromptEvaluationCore.sendChatRequest(requestPayload, {
+                signal: run.signal,
+                onStreamEvent: (event, agent, agentIndex) => {
+                    app.isStreaming = true;
+                    app.hasResults = true;
+                    PromptEvaluationCore.applyStreamEvent(app.results, event, agent, agentIndex);
+                }
             });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Error Response Body:', errorText);
-                throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-            }
-            
-            const apiResponse = await response.json();
-            console.log('API response received:', apiResponse);
-            
-            // Process the API response and format for display
-            app.results = PromptEvaluationCore.processApiResponse(apiResponse, app.currentSchema, dynamicFormData);
+
+            // Process the API response and format for display, keeping agents opened while streaming
+            const finalResults = PromptEvaluationCore.processApiResponse(apiResponse, workflow, dynamicFormData);
+            PromptEvaluationCore.applyExpectations(finalResults, expectations, { latencyMs: Math.round(performance.now() - startedAt) });
+            finalResults.agentResults.forEach(agentResult => {
+                const streamed = app.results.agentResults.find(result => result.agentName === agentResult.agentName);
+                if (streamed) agentResult.expanded = streamed.expanded;
+            });
+            app.results = finalResults;
             
             app.isRunning = false;
+            app.isStreaming = false;
             app.hasResults = true;
             
+            EvaluationHistoryCore.recordRun(app, finalResults, { revisionId, workflow, inputData: dynamicFormData });
+            
         } catch (error) {
-            console.error('Error running evaluation:', error);
+            PromptEvaluationCore.handleRunError(app, run, error, 'evaluation');
+        } finally {
+            PromptEvaluationCore.finishRun(app, run);
+        }
+    }
+
+    /**
+     * Validate the form input against the workflow schema before it is sent
+     * Invalid fields are marked inline and listed in app.validationErrors
+     * @returns {Promise<boolean>} Whether the run may proceed
+     */
+    static async validateFormInput(app) {
+        app.validationErrors = [];
+        const workflowManager = window.dynamicWorkflow;
+        if (!workflowManager?.currentSchema) return true;
+
+        let result;
+        try {
+            result = await workflowManager.validateFormData();
+        } catch (error) {
+            // Without a schema the backend stays the only validator
+            console.warn('Skipping input validation:', error);
+            return true;
+        }
+
+        workflowManager.showValidationErrors(result.fieldErrors);
+        if (result.isValid) return true;
+
+        app.validationErrors = result.errors;
+        document.querySelector('#dynamicFormsContainer .is-invalid')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        console.log('Input validation failed:', result.errors);
+        return false;
+    }
+
+    /**
+     * Parse the expectations entered for the next run
+     * @returns {Array|null} Assertions (empty when none are entered), or null when they are invalid
+     */
+    static getExpectations(app) {
+        app.expectations.error = '';
+        try {
+            return AssertionUtils.parseExpectations(app.expectations.text);
+        } catch (error) {
+            app.expectations.error = error.message;
+            app.expectations.open = true;
+            return null;
+        }
+    }
+
+    /**
+     * Score processed results against expectations
+     * Stores the verdict on the results and each agent's verdict on its agent result
+     * @param {Object} results - Results from processApiResponse
+     * @param {Array} expectations - Assertions
+     * @param {Object} options - latencyMs of the run
+     * @returns {Object|null} Verdict from AssertionUtils.evaluate
+     */
+    static applyExpectations(results, expectations, options = {}) {
+        results.verdict = AssertionUtils.evaluate(results, expectations, options);
+        results.agentResults.forEach(agentResult => {
+            agentResult.verdict = results.verdict?.agents[agentResult.agentName] || null;
+        });
+        return results.verdict;
+    }
+
+    /**
+     * Create an abort scope for a run: aborts on cancel(), after timeoutMs, or when a parent signal aborts
+     * @param {Object} options - timeoutMs (0 for none) and an optional parentSignal
+     * @returns {Object} Scope with signal, reason ('cancelled'|'timeout'|null), cancel() and dispose()
+     */
+    static createAbortScope({ timeoutMs = 0, parentSignal = null } = {}) {
+        const controller = new AbortController();
+        const scope = { signal: controller.signal, reason: null, timeoutMs: timeoutMs };
+        const abort = (reason) => {
+            if (!scope.reason) scope.reason = reason;
+            controller.abort();
+        };
+        const onParentAbort = () => abort('cancelled');
+
+        if (parentSignal?.aborted) {
+            onParentAbort();
+        } else {
+            parentSignal?.addEventListener('abort', onParentAbort);
+        }
+        const timer = timeoutMs > 0 ? setTimeout(() => abort('timeout'), timeoutMs) : null;
+
+        scope.cancel = () => abort('cancelled');
+        scope.dispose = () => {
+            clearTimeout(timer);
+            parentSignal?.removeEventListener('abort', onParentAbort);
+        };
+        return scope;
+    }
+
+    /**
+     * Timeout of a single run in milliseconds, from the app's timeout setting in seconds
+     */
+    static getRunTimeoutMs(app) {
+        const seconds = parseFloat(app.evaluationTimeoutSeconds);
+        return seconds > 0 ? seconds * 1000 : 0;
+    }
+
+    /**
+     * Start tracking the app's current run so it can be cancelled or time out
+     */
+    static startRun(app) {
+        app.activeRun?.cancel();
+        const run = PromptEvaluationCore.createAbortScope({ timeoutMs: PromptEvaluationCore.getRunTimeoutMs(app) });
+        app.activeRun = run;
+        return run;
+    }
+
+    /**
+     * Stop tracking a run once it has settled
+     */
+    static finishRun(app, run) {
+        run.dispose();
+        if (app.activeRun === run) {
+            app.activeRun = null;
+        }
+    }
+
+    /**
+     * Cancel the app's current run
+     */
+    static cancelEvaluation(app) {
+        if (app.activeRun) {
+            console.log('Cancelling evaluation');
+            app.activeRun.cancel();
+        }
+    }
+
+    /**
+     * Reset the run state after a failed, cancelled or timed out run and tell the user why
+     */
+    static handleRunError(app, run, error, label) {
+        app.isRunning = false;
+        app.isStreaming = false;
+        app.hasResults = false;
+        app.results = null;
+
+        if (run.reason === 'cancelled') {
+            console.log(`The ${label} was cancelled`);
+            return;
+        }
+        if (run.reason === 'timeout') {
+            console.error(`The ${label} timed out after ${run.timeoutMs}ms`);
+            alert(`The ${label} timed out after ${run.timeoutMs / 1000} seconds. Increase the timeout or try again.`);
+            return;
+        }
+        if (error instanceof AuthError) {
+            // The authentication panel is already open and explains the failure
+            console.warn(`The ${label} needs authentication:`, error.message);
+            return;
+        }
+
+        console.error(`Error running ${label}:`, error);
+        alert(`Error running ${label}: ${error.message}`);
+    }
+
+    /**
+     * Build the chat request payload for the current form data against a revision
+     * @param {Object} app - Alpine.js app instance
+     * @param {string} revisionId - Prompt revision to evaluate
+     * @param {Object} formData - Form data for the current schema
+     * @returns {Object} Request payload
+     */
+    static buildChatPayload(app, revisionId, formData) {
+        // Same envelope as downloaded inputs; the backend expects user_prompt as a JSON string
+        const payload = JSONResponseBuilder.createFormattedJsonStructure(formData, revisionId, app.currentSchema, app.evaluationId);
+        return {
+            user_prompt: JSON.stringify(payload.user_prompt),
+            conversation_flow: payload.conversation_flow
+        };
+    }
+
+    /**
+     * Run the current form data against two revisions in parallel and compare the results
+     */
+    static async runComparisonWithDynamicData(app) {
+        if (!app.selectedPromptVersion || !app.compareVersion) {
+            alert('Please select two prompt versions before running the comparison.');
+            return;
+        }
+        if (app.selectedPromptVersion === app.compareVersion) {
+            alert('Please select two different prompt versions to compare.');
+            return;
+        }
+        if (!await PromptEvaluationCore.validateFormInput(app)) {
+            return;
+        }
+        const expectations = PromptEvaluationCore.getExpectations(app);
+        if (!expectations) return;
+
+        app.isRunning = true;
+        app.hasResults = false;
+        app.history.openedRun = null;
+        const run = PromptEvaluationCore.startRun(app);
+
+        try {
+            const dynamicFormData = app.getFormDataForSchema();
+            const revisionIds = [app.selectedPromptVersion, app.compareVersion];
+            console.log('Running comparison for revisions:', revisionIds);
+
+            const [resultsA, resultsB] = await Promise.all(revisionIds.map(async (revisionId) => {
+                const requestPayload = PromptEvaluationCore.buildChatPayload(app, revisionId, dynamicFormData);
+                const startedAt = performance.now();
+                const apiResponse = await PromptEvaluationCore.sendChatRequest(requestPayload, { signal: run.signal });
+                const results = PromptEvaluationCore.processApiResponse(apiResponse, app.currentSchema, dynamicFormData);
+                PromptEvaluationCore.applyExpectations(results, expectations, { latencyMs: Math.round(performance.now() - startedAt) });
+                return results;
+            }));
+
+            app.results = null;
+            app.comparison = {
+                ...PromptEvaluationCore.buildComparison(resultsA, resultsB, revisionIds[0], revisionIds[1]),
+                // The form may be edited after the run; downloads pair the results with this input
+                inputData: dynamicFormData
+            };
+            [resultsA, resultsB].forEach((results, index) => {
+                EvaluationHistoryCore.recordRun(app, results, {
+                    revisionId: revisionIds[index],
+                    workflow: app.currentSchema,
+                    inputData: dynamicFormData,
+                    mode: 'comparison'
+                });
+            });
+
             app.isRunning = false;
-            alert('Error running evaluation: ' + error.message);
+            app.hasResults = true;
+
+        } catch (error) {
+            PromptEvaluationCore.handleRunError(app, run, error, 'comparison');
+        } finally {
+            PromptEvaluationCore.finishRun(app, run);
+        }
+    }
+
+    /**
+     * Pair the results of two revisions by agent and compute text diffs and metric deltas
+     * Deltas are B minus A, so a negative value means revision B used less
+     * @param {Object} resultsA - Processed results for revision A
+     * @param {Object} resultsB - Processed results for revision B
+     * @param {string} revisionA - Revision id of A
+     * @param {string} revisionB - Revision id of B
+     * @returns {Object} Comparison data for display
+     */
+    static buildComparison(resultsA, resultsB, revisionA, revisionB) {
+        const sumMetric = (agents, key) => agents.reduce((sum, agent) => sum + (agent[key] || 0), 0);
+        const metricDelta = (a, b) => ({ a, b, delta: b - a });
+
+        const agentNames = [];
+        [...resultsA.agentResults, ...resultsB.agentResults].forEach(agent => {
+            if (!agentNames.includes(agent.agentName)) agentNames.push(agent.agentName);
+        });
+
+        const agents = agentNames.map(agentName => {
+            const agentA = resultsA.agentResults.find(agent => agent.agentName === agentName) || null;
+            const agentB = resultsB.agentResults.find(agent => agent.agentName === agentName) || null;
+            const diffOps = DiffUtils.diffWords(agentA?.output || '', agentB?.output || '');
+
+            return {
+                agentName: agentName,
+                displayName: (agentA || agentB).displayName,
+                a: agentA,
+                b: agentB,
+                diffHtml: DiffUtils.toInlineHtml(diffOps),
+                identical: agentA?.output === agentB?.output,
+                promptTokens: metricDelta(agentA?.promptTokens || 0, agentB?.promptTokens || 0),
+                completionTokens: metricDelta(agentA?.completionTokens || 0, agentB?.completionTokens || 0),
+                executionTime: metricDelta(agentA?.executionTime || 0, agentB?.executionTime || 0),
+                expanded: false,
+                showDiff: false
+            };
+        });
+
+        return {
+            revisionA: revisionA,
+            revisionB: revisionB,
+            resultsA: resultsA,
+            resultsB: resultsB,
+            workflowOutputDiffHtml: DiffUtils.toInlineHtml(DiffUtils.diffWords(resultsA.workflowOutput, resultsB.workflowOutput)),
+            totals: {
+                promptTokens: metricDelta(sumMetric(resultsA.agentResults, 'promptTokens'), sumMetric(resultsB.agentResults, 'promptTokens')),
+                completionTokens: metricDelta(sumMetric(resultsA.agentResults, 'completionTokens'), sumMetric(resultsB.agentResults, 'completionTokens')),
+                executionTime: metricDelta(sumMetric(resultsA.agentResults, 'executionTime'), sumMetric(resultsB.agentResults, 'executionTime'))
+            },
+            agents: agents,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Send a chat request to the backend and return the parsed JSON response
+     * Streamed responses are read through readChatStream and resolve to the same shape
+     * @param {Object} requestPayload - Body with `user_prompt` (JSON string) and `conversation_flow`
+     * @param {Object} options - onStreamEvent callback for live updates while the response streams, and an AbortSignal
+     * @returns {Promise<Object>} Raw API response
+     */
+    static async sendChatRequest(requestPayload, { onStreamEvent = null, signal = null } = {}) {
+        // Not retried: a chat run is expensive and a 5xx may come after the agents already ran
+        const response = await window.apiClient.post('chat', requestPayload, {
+            signal: signal,
+            responseType: 'response',
+            headers: {
+                // Ask for a stream only when the caller renders progress; the backend may still answer with plain JSON
+                'Accept': onStreamEvent ? 'text/event-stream, application/x-ndjson;q=0.9, application/json;q=0.8' : 'application/json'
+            }
+        });
+
+        const contentType = response.headers.get('Content-Type') || '';
+        if (response.body && /text\/event-stream|application\/x-ndjson/.test(contentType)) {
+            console.log('Streaming API response:', contentType);
+            return await PromptEvaluationCore.readChatStream(response, onStreamEvent);
+        }
+
+        const apiResponse = await response.json();
+        console.log('API response received:', apiResponse);
+        return apiResponse;
+    }
+
+    /**
+     * Read a streamed chat response (Server-Sent Events or newline-delimited JSON)
+     * Each event updates an agent in the `agent_response` shape; `onStreamEvent` receives
+     * the event and the updated agent. Resolves with the final response from a `final`
+     * event, or one assembled from the streamed agents when the stream ends without it.
+     * @param {Response} response - Fetch response with a readable body
+     * @param {Function|null} onStreamEvent - Callback (event, agent, agentIndex)
+     * @returns {Promise<Object>} API response in the same shape as the blocking call
+     */
+    static async readChatStream(response, onStreamEvent = null) {
+        const isSse = (response.headers.get('Content-Type') || '').includes('text/event-stream');
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const agents = [];
+        const metadata = {};
+        let finalResponse = null;
+        let buffer = '';
+
+        const handleEvent = (data, eventName) => {
+            if (!data || data === '[DONE]') return;
+
+            let payload;
+            try {
+                payload = JSON.parse(data);
+            } catch (error) {
+                console.warn('Skipping unparseable stream event:', data);
+                return;
+            }
+
+            const type = payload.type || payload.event || eventName || 'message';
+            if (type === 'error') {
+                throw new Error(payload.message || payload.detail || 'The evaluation stream reported an error');
+            }
+            ['message_id', 'thread_id', 'token_count'].forEach(key => {
+                if (payload[key] !== undefined) metadata[key] = payload[key];
+            });
+            if (type === 'final' || type === 'done' || type === 'complete') {
+                finalResponse = payload.response || payload;
+                return;
+            }
+
+            const agentName = payload.chat_name || payload.agent_name || payload.agent?.__dict__?.chat_name;
+            if (!agentName) return;
+
+            let agentIndex = agents.findIndex(agent => agent.__dict__.chat_name === agentName);
+            if (agentIndex === -1) {
+                agents.push({ __dict__: { chat_name: agentName, chat_response: { chat_message: { __dict__: { content: '' } } } } });
+                agentIndex = agents.length - 1;
+            }
+
+            const agent = agents[agentIndex];
+            if (payload.agent?.__dict__) {
+                // Complete agent entry - replaces anything streamed so far
+                agents[agentIndex] = payload.agent;
+            } else if (payload.content || payload.delta) {
+                agent.__dict__.chat_response.chat_message.__dict__.content += payload.content || payload.delta;
+            }
+
+            onStreamEvent?.({ type, agentName }, agents[agentIndex], agentIndex);
+        };
+
+        const flushBlocks = (final) => {
+            const separator = isSse ? '\n\n' : '\n';
+            const blocks = buffer.replace(/\r\n?/g, '\n').split(separator);
+            buffer = final ? '' : blocks.pop();
+
+            blocks.forEach(block => {
+                if (!isSse) {
+                    handleEvent(block.trim());
+                    return;
+                }
+                let eventName = null;
+                const dataLines = [];
+                block.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) eventName = line.slice(6).trim();
+                    else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+                });
+                handleEvent(dataLines.join('\n'), eventName);
+            });
+        };
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+                flushBlocks(false);
+            }
+            buffer += decoder.decode();
+            flushBlocks(true);
+        } catch (error) {
+            reader.cancel().catch(() => {});
+            throw error;
+        }
+
+        if (finalResponse) {
+            console.log('API stream completed:', finalResponse);
+            return finalResponse;
+        }
+
+        return {
+            ...metadata,
+            agent_response: JSON.stringify(agents)
+        };
+    }
+
+    /**
+     * Create the results object that is filled while a response streams in
+     */
+    static createStreamingResults() {
+        return {
+            workflowOutput: 'Waiting for the workflow output...',
+            agentResults: [],
+            evaluationId: null,
+            threadId: null,
+            totalTokens: 0,
+            timestamp: new Date().toISOString(),
+            streaming: true
+        };
+    }
+
+    /**
+     * Apply a streamed agent update to the live results shown while streaming
+     * The agent that sent the event is marked running and earlier agents done
+     */
+    static applyStreamEvent(results, event, agent, agentIndex) {
+        const agentResult = PromptEvaluationCore.buildAgentResult(agent, agentIndex);
+        if (!agentResult) return;
+
+        const finished = ['agent_end', 'agent_complete', 'agent_message'].includes(event.type);
+        if (!finished && !agent.__dict__.chat_response?.chat_message?.__dict__?.content) {
+            agentResult.output = '';
+        }
+        const existing = results.agentResults.find(result => result.agentName === agentResult.agentName);
+
+        results.agentResults.forEach(result => {
+            if (result !== existing && result.status === 'running') result.status = 'done';
+        });
+
+        if (existing) {
+            Object.assign(existing, { ...agentResult, expanded: existing.expanded, status: finished ? 'done' : 'running' });
+        } else {
+            results.agentResults.push({ ...agentResult, expanded: true, status: finished ? 'done' : 'running' });
+        }
+
+        if (agentResult.agentName === 'summary') {
+            results.workflowOutput = agentResult.output;
         }
     }
 
@@ -697,27 +833,8 @@ class PromptEvaluationCore {
                     const agentResponseData = JSON.parse(apiResponse.agent_response);
                     
                     agentResponseData.forEach((agent, index) => {
-                        const agentDict = agent.__dict__;
-                        if (!agentDict) return;
-                        
-                        const chatResponse = agentDict.chat_response?.chat_message?.__dict__;
-                        const agentName = agentDict.chat_name || `agent_${index + 1}`;
-                        
-                        // Clean up agent display name
-                        const displayName = BaseManager.cleanDisplayName(agentName);
-                        
-                        agentResults.push({
-                            agentName: agentName,
-                            displayName: displayName,
-                            output: chatResponse?.content || 'No output available',
-                            tokensUsed: (agentDict.prompt_tokens || 0) + (agentDict.completion_tokens || 0),
-                            model: chatResponse?.models_usage?.model || 'Unknown',
-                            executionTime: agentDict.end_time && agentDict.start_time ? 
-                                Math.round((agentDict.end_time - agentDict.start_time) * 1000) : 0,
-                            expanded: false, // For UI state
-                            promptTokens: agentDict.prompt_tokens || 0,
-                            completionTokens: agentDict.completion_tokens || 0
-                        });
+                        const agentResult = PromptEvaluationCore.buildAgentResult(agent, index);
+                        if (agentResult) agentResults.push(agentResult);
                     });
                 } catch (parseError) {
                     console.error('Error processing individual agents:', parseError);
@@ -761,6 +878,33 @@ class PromptEvaluationCore {
         }
     }
 
+    /**
+     * Format a single agent entry of `agent_response` for display
+     * @param {Object} agent - Agent object with a `__dict__` payload
+     * @param {number} index - Position of the agent, used for unnamed agents
+     * @returns {Object|null} Agent result, or null when the entry has no payload
+     */
+    static buildAgentResult(agent, index) {
+        const agentDict = agent.__dict__;
+        if (!agentDict) return null;
+        
+        const chatResponse = agentDict.chat_response?.chat_message?.__dict__;
+        const agentName = agentDict.chat_name || `agent_${index + 1}`;
+        
+        return {
+            agentName: agentName,
+            displayName: BaseManager.cleanDisplayName(agentName),
+            output: chatResponse?.content || 'No output available',
+            tokensUsed: (agentDict.prompt_tokens || 0) + (agentDict.completion_tokens || 0),
+            model: chatResponse?.models_usage?.model || 'Unknown',
+            executionTime: agentDict.end_time && agentDict.start_time ? 
+                Math.round((agentDict.end_time - agentDict.start_time) * 1000) : 0,
+            expanded: false, // For UI state
+            promptTokens: agentDict.prompt_tokens || 0,
+            completionTokens: agentDict.completion_tokens || 0
+        };
+    }
+
     /**
      * Load revisions from API
      */
@@ -768,56 +912,16 @@ class PromptEvaluationCore {
         try {
             console.log('Loading revisions from API for workflow:', app.workflowQueryParam);
             
-            // Fetch workflows list from the API
-            const response = await fetch(`${API_CONFIG.baseUrl}${API_CONFIG.endpoints.workflowsList}`);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            console.log('Workflows API Response:', data);
-            
             if (app.workflowQueryParam) {
-                // Find the specific workflow
-                const workflow = data.workflows.find(w => w.workflow === app.workflowQueryParam);
-                
-                if (workflow && workflow.prompt_files && workflow.prompt_files.length > 0) {
-                    // Create revisions data based on the workflow's revision_id (only if prompt files exist)
-                    app.revisions = [{
-                        id: workflow.revision_id,
-                        name: workflow.revision_id,
-                        date: new Date().toISOString().split('T')[0],
-                        description: `Revision ${workflow.revision_id}`,
-                        author: 'System',
-                        status: 'active'
-                    }];
-                    
-                    console.log('Successfully loaded revisions:', app.revisions);
-                } else {
-                    console.log('Workflow not found or no prompt files available:', app.workflowQueryParam);
-                    app.revisions = [];
-                }
+                // Full revision history for the specific workflow (only revisions with prompt files)
+                const revisions = await window.revisionManager.listRevisions(app.workflowQueryParam);
+                app.revisions = revisions.filter(revision => revision.promptFiles.length > 0);
             } else {
-                // If no specific workflow, collect all unique revisions from workflows that have prompt files
-                const uniqueRevisions = new Map();
-                
-                data.workflows.forEach(workflow => {
-                    if (workflow.revision_id && workflow.prompt_files && workflow.prompt_files.length > 0 && !uniqueRevisions.has(workflow.revision_id)) {
-                        uniqueRevisions.set(workflow.revision_id, {
-                            id: workflow.revision_id,
-                            name: workflow.revision_id,
-                            date: new Date().toISOString().split('T')[0],
-                            description: `Revision ${workflow.revision_id}`,
-                            author: 'System',
-                            status: 'active'
-                        });
-                    }
-                });
-                
-                app.revisions = Array.from(uniqueRevisions.values());
-                console.log('Successfully loaded all available revisions with prompt files:', app.revisions);
+                // If no specific workflow, collect the active revision of every workflow that has prompt files
+                app.revisions = await window.revisionManager.listAllActiveRevisions();
             }
+            
+            console.log('Successfully loaded revisions:', app.revisions);
         } catch (error) {
             console.error('Error loading revisions from API:', error);
             // Fallback to empty array instead of hardcoded data
@@ -825,19 +929,65 @@ class PromptEvaluationCore {
         }
     }
 
+    /**
+     * Download comparison results together with the input they were run on
+     */
+    static downloadComparison(app) {
+        const comparison = app.comparison;
+        if (!comparison) return;
+
+        const comparisonData = {
+            workflow: app.workflow.name,
+            schema: app.currentSchema,
+            timestamp: comparison.timestamp,
+            evaluationId: app.evaluationId,
+            inputData: comparison.inputData,
+            revisions: [comparison.revisionA, comparison.revisionB],
+            totals: comparison.totals,
+            workflowOutput: {
+                [comparison.revisionA]: comparison.resultsA.workflowOutput,
+                [comparison.revisionB]: comparison.resultsB.workflowOutput
+            },
+            agents: comparison.agents.map(agent => ({
+                agentName: agent.agentName,
+                identical: agent.identical,
+                promptTokens: agent.promptTokens,
+                completionTokens: agent.completionTokens,
+                executionTime: agent.executionTime,
+                outputs: {
+                    [comparison.revisionA]: agent.a?.output ?? null,
+                    [comparison.revisionB]: agent.b?.output ?? null
+                }
+            }))
+        };
+
+        const dataBlob = new Blob([JSON.stringify(comparisonData, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(dataBlob);
+        const link = document.createElement('a');
+        link.href = url;
+
+        const workflowName = app.workflow.name.replace(/\s+/g, '_');
+        const dateStr = new Date().toISOString().split('T')[0];
+        link.download = `${workflowName}_v${comparison.revisionA}_vs_v${comparison.revisionB}_eval${app.evaluationId || 'no-id'}_${dateStr}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Download results
      */
     static downloadResults(app) {
         if (!app.results) return;
         
+        // An archived run is downloaded with the input and revision it was run with
+        const openedRun = app.history.openedRun;
         const resultsData = {
             workflow: app.workflow.name,
-            schema: app.currentSchema,
-            timestamp: new Date().toISOString(),
-            evaluationId: app.evaluationId,
-            promptVersion: app.selectedPromptVersion,
-            inputData: app.getFormDataForSchema(),
+            schema: openedRun ? openedRun.workflow : app.currentSchema,
+            timestamp: openedRun ? openedRun.createdAt : new Date().toISOString(),
+            evaluationId: openedRun ? openedRun.evaluationId : app.evaluationId,
+            promptVersion: openedRun ? openedRun.revisionId : app.selectedPromptVersion,
+            inputData: openedRun ? openedRun.inputData : app.getFormDataForSchema(),
             workflowOutput: app.results.workflowOutput,
             agentResults: app.results.agentResults
         };
@@ -850,8 +1000,8 @@ class PromptEvaluationCore {
         
         // Create filename with prompt version and evaluation ID
         const workflowName = app.workflow.name.replace(/\s+/g, '_');
-        const promptVersion = app.selectedPromptVersion || 'unknown';
-        const evaluationId = app.evaluationId || 'no-id';
+        const promptVersion = resultsData.promptVersion || 'unknown';
+        const evaluationId = resultsData.evaluationId || 'no-id';
         const dateStr = new Date().toISOString().split('T')[0];
         
         link.download = `${workflowName}_v${promptVersion}_eval${evaluationId}_${dateStr}.json`;
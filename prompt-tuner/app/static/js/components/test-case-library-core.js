@@ -0,0 +1,167 @@
+/**
+ * Test Case Library Core - Saved form inputs
+ * Saves the current form input as a named case of the workflow, loads cases back into
+ * the form and exports/imports a workflow's library as JSON
+ */
+
+class TestCaseLibraryCore {
+    /**
+     * Initial library state for the Alpine app
+     */
+    static createInitialState() {
+        return {
+            cases: [],
+            search: '',
+            draft: {
+                name: '',
+                description: '',
+                tags: ''
+            }
+        };
+    }
+
+    /**
+     * Load every stored case into the app
+     */
+    static loadCases(app) {
+        app.testCases.cases = window.testCaseLibrary.listCases();
+    }
+
+    /**
+     * Cases of the current workflow matching the search text (name, description or tag)
+     */
+    static getFilteredCases(app) {
+        const query = app.testCases.search.trim().toLowerCase();
+
+        return app.testCases.cases
+            .filter(testCase => testCase.workflow === app.currentSchema)
+            .filter(testCase => !query ||
+                testCase.name.toLowerCase().includes(query) ||
+                testCase.description.toLowerCase().includes(query) ||
+                testCase.tags.some(tag => tag.toLowerCase().includes(query)))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Save the current form input and expectations under the name, description and tags of the draft
+     */
+    static saveCurrentInput(app) {
+        const { name, description, tags } = app.testCases.draft;
+        if (!app.currentSchema || !window.dynamicWorkflow) return;
+
+        if (!name.trim()) {
+            alert('Please enter a name for the test case.');
+            return;
+        }
+
+        const input = window.dynamicWorkflow.getFormDataForSchema();
+        if (Object.keys(input).length === 0) {
+            alert('No form data to save. Please fill out the form fields first.');
+            return;
+        }
+
+        const expectations = PromptEvaluationCore.getExpectations(app);
+        if (!expectations) return;
+
+        if (window.testCaseLibrary.findCase(app.currentSchema, name) &&
+            !confirm(`A test case named "${name.trim()}" already exists for this workflow. Replace it?`)) {
+            return;
+        }
+
+        try {
+            // Plain copy: reactive proxies cannot be serialized reliably
+            window.testCaseLibrary.saveCase({
+                workflow: app.currentSchema,
+                name: name,
+                description: description,
+                tags: tags,
+                input: JSON.parse(JSON.stringify(input)),
+                expectations: expectations
+            });
+            app.testCases.draft = this.createInitialState().draft;
+            this.loadCases(app);
+        } catch (error) {
+            console.error('Error saving test case:', error);
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Load a saved case into the dynamic form and its expectations into the expectations editor
+     */
+    static async loadCase(app, testCase) {
+        const expectations = testCase.expectations || [];
+        app.expectations.text = expectations.length > 0 ? JSON.stringify(expectations, null, 2) : '';
+        app.expectations.error = '';
+
+        try {
+            const skipped = await window.dynamicWorkflow.populateForm(testCase.input);
+            app.updateFormDataStatus();
+
+            if (skipped.length > 0) {
+                alert(`Loaded "${testCase.name}", but these values have no matching form field and were skipped:\n\n${skipped.join('\n')}`);
+            }
+        } catch (error) {
+            console.error('Error loading test case:', error);
+            alert(`Error loading test case: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a saved case
+     */
+    static deleteCase(app, testCase) {
+        if (!confirm(`Delete the test case "${testCase.name}"?`)) return;
+
+        try {
+            window.testCaseLibrary.deleteCase(testCase.id);
+            this.loadCases(app);
+        } catch (error) {
+            console.error('Error deleting test case:', error);
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Download the current workflow's cases as JSON
+     */
+    static exportLibrary(app) {
+        const library = window.testCaseLibrary.exportCases(app.currentSchema);
+        if (library.cases.length === 0) return;
+
+        const dataBlob = new Blob([JSON.stringify(library, null, 2) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(dataBlob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${app.currentSchema}_test_cases.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Merge a library JSON file selected through an <input type="file">
+     */
+    static async importLibraryFile(app, event) {
+        const file = event.target.files?.[0];
+        event.target.value = ''; // Allow importing the same file again
+        if (!file) return;
+
+        try {
+            const library = JSON.parse(await file.text());
+            if (library.workflow && library.workflow !== app.currentSchema &&
+                !confirm(`${file.name} holds test cases of the "${library.workflow}" workflow, not "${app.currentSchema}". Import them anyway? They are listed under "${library.workflow}".`)) {
+                return;
+            }
+
+            const { added, updated } = window.testCaseLibrary.importCases(library);
+            this.loadCases(app);
+            alert(`Imported ${file.name}: ${added} new, ${updated} replaced test case(s).`);
+        } catch (error) {
+            console.error('Error importing test cases:', error);
+            alert(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
+}
+
+// Export for global access
+window.TestCaseLibraryCore = TestCaseLibraryCore;
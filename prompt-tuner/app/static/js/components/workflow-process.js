@@ -1,7 +1,4 @@
 
-// Access API configuration
-const { baseUrl, endpoints } = window.API_CONFIG;
-
 function workflowProcessApp() {
     return {
         workflow: {
@@ -60,13 +57,7 @@ function workflowProcessApp() {
         // Get workflow info from the workflows API (same as used in workflow hub)
         async getWorkflowInfo(workflowId) {
             try {
-                const response = await fetch(`${API_CONFIG.baseUrl}${API_CONFIG.endpoints.workflows}`);
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-                
-                const data = await response.json();
+                const data = await window.apiClient.get('workflows');
                 
                 // Find the workflow by ID, supporting both formats (bike_insights and bike-insights)
                 const workflow = data.workflows.find(w => 
@@ -91,16 +82,9 @@ function workflowProcessApp() {
         // Load workflow agents from API
         async loadWorkflowAgents(workflowName) {
             try {
-                const apiUrl = `${API_CONFIG.baseUrl}${API_CONFIG.endpoints.workflowAgents.replace('{workflow-name}', workflowName)}`;
-                console.log('Attempting to fetch agents from:', apiUrl);
-                
-                const response = await fetch(apiUrl);
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
+                console.log('Attempting to fetch agents for:', workflowName);
                 
-                const data = await response.json();
+                const data = await window.apiClient.get('workflowAgents', { params: { 'workflow-name': workflowName } });
                 
                 // Update workflow with agents data only (preserve name/description from workflows API)
                 this.workflow.id = data.workflow_name;
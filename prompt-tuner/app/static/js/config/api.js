@@ -1,14 +1,124 @@
+/**
+ * API Configuration
+ * Backend environments (local/dev/test/prod) come from window.API_SETTINGS, which the Flask
+ * templates inject from the server config; the selected environment is kept in localStorage.
+ * Every backend request goes through window.apiClient, which builds its URL with API_CONFIG.buildUrl.
+ * Environments flagged `mock` are answered offline by manager/mock-backend.js.
+ */
+const API_SETTINGS = window.API_SETTINGS || {};
+const API_ENVIRONMENT_STORAGE_KEY = 'promptTuner.apiEnvironment';
+
 const API_CONFIG = {
-    baseUrl: 'http://localhost:8000',
+    environments: API_SETTINGS.environments && Object.keys(API_SETTINGS.environments).length > 0
+        ? API_SETTINGS.environments
+        : {
+            local: { label: 'Local', baseUrl: 'http://localhost:8000' },
+            // Same gate as API_MOCK_ENABLED in app.py
+            ...(API_SETTINGS.mockEnabled === true ? { mock: { label: 'Mock (offline)', baseUrl: 'mock://backend', mock: true } } : {})
+        },
+    defaultEnvironment: API_SETTINGS.defaultEnvironment || 'local',
     endpoints: {
         workflows: '/api/v1/workflows',
         workflowAgents: '/api/v1/custom-workflows/agents/{workflow-name}',
         workflowsList: '/api/v1/workflows/list',
-        promptView: '/api/v1/prompts/view', 
+        promptView: '/api/v1/prompts/view',
         promptUpdate: '/api/v1/prompts/update',
         workflowSchemaRetriever: '/api/v1/custom-workflows/schema/{custom-workflow-name}',
-        chat: '/api/v1/chat'
+        chat: '/api/v1/chat',
+        // Optional endpoints, not served by the current backend and expected to answer 404/405.
+        // RevisionManager falls back when they are missing: revisions to the workflows list,
+        // revisionFork and promptRename to copying files with promptUpdate; promptDelete has no
+        // fallback, so the Delete action is hidden. The mock backend serves promptRename and promptDelete.
+        revisions: '/api/v1/prompts/revisions/{workflow-name}',
+        revisionFork: '/api/v1/prompts/revisions/{workflow-name}/fork',
+        promptRename: '/api/v1/prompts/rename',
+        promptDelete: '/api/v1/prompts/delete'
         // Add more endpoints as needed
+    },
+
+    /**
+     * Name of the selected environment: the stored choice when it still exists, else the default
+     */
+    get environment() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(API_ENVIRONMENT_STORAGE_KEY);
+        } catch (error) {
+            // Storage disabled - use the default environment
+        }
+        if (stored && this.environments[stored]) return stored;
+        return this.environments[this.defaultEnvironment] ? this.defaultEnvironment : Object.keys(this.environments)[0];
+    },
+
+    /**
+     * Base URL of the selected environment
+     */
+    get baseUrl() {
+        return this.environments[this.environment].baseUrl.replace(/\/+$/, '');
+    },
+
+    /**
+     * Whether the selected environment is served by the mock backend instead of the network
+     */
+    get isMock() {
+        return this.environments[this.environment].mock === true;
+    },
+
+    /**
+     * Select an environment; callers reload the page so nothing from the previous backend stays cached
+     * @param {string} name - Environment name
+     */
+    setEnvironment(name) {
+        if (!this.environments[name]) {
+            throw new Error(`Unknown API environment: ${name}`);
+        }
+        try {
+            localStorage.setItem(API_ENVIRONMENT_STORAGE_KEY, name);
+        } catch (error) {
+            console.warn('Could not store the API environment:', error);
+        }
+    },
+
+    /**
+     * Build the URL of an endpoint in the selected environment
+     * @param {string} endpointKey - Key of API_CONFIG.endpoints
+     * @param {Object} params - Values for the {placeholders} of the endpoint (URL encoded)
+     * @param {...string} pathSegments - Segments appended after the endpoint (URL encoded), e.g. revision ID and file name
+     * @returns {string} Full URL
+     */
+    buildUrl(endpointKey, params = {}, ...pathSegments) {
+        const endpoint = this.endpoints[endpointKey];
+        if (!endpoint) {
+            throw new Error(`Unknown API endpoint: ${endpointKey}`);
+        }
+
+        const path = endpoint.replace(/\{([^}]+)\}/g, (placeholder, name) => {
+            if (params[name] === undefined) {
+                throw new Error(`Missing "${name}" for API endpoint ${endpointKey}`);
+            }
+            return encodeURIComponent(params[name]);
+        });
+        return [`${this.baseUrl}${path}`, ...pathSegments.map(segment => encodeURIComponent(segment))].join('/');
+    },
+
+    /**
+     * Fill the environment selects of the page (`select[data-api-environment]`)
+     */
+    mountEnvironmentSwitchers() {
+        document.querySelectorAll('select[data-api-environment]').forEach(select => {
+            select.innerHTML = Object.entries(this.environments).map(([name, environment]) => `
+                <option value="${name}">${environment.label || name}</option>
+            `).join('');
+            select.value = this.environment;
+            select.title = `Backend: ${this.baseUrl}`;
+            select.addEventListener('change', () => {
+                this.setEnvironment(select.value);
+                window.location.reload();
+            });
+        });
     }
 };
-window.API_CONFIG = API_CONFIG; // Make it globally availables
\ No newline at end of file
+
+document.addEventListener('DOMContentLoaded', () => API_CONFIG.mountEnvironmentSwitchers());
+
+window.API_CONFIG = API_CONFIG; // Make it globally available
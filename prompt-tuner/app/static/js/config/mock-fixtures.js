@@ -0,0 +1,218 @@
+/**
+ * Mock Backend Fixtures
+ * Data served by manager/mock-backend.js when the "mock" API environment is selected:
+ * a bike-insights workflow with its schema, agents and prompt files, and the agent outputs
+ * of its canned chat response. Edit freely for demos; nothing here reaches a real backend.
+ */
+const MOCK_FIXTURES = {
+    workflows: [
+        {
+            workflow: 'bike_insights',
+            supported_names: ['bike-insights'],
+            description: 'Analyzes bike store sales and stock levels and summarizes recommendations for store managers.',
+            category: 'analytics',
+            external_services: ['sales_analysis', 'stock_analysis', 'summary'],
+            ready: true,
+            configured: true,
+            revision_id: 'v1',
+            created_at: '2024-05-02T09:30:00Z',
+            author: 'Demo User'
+        }
+    ],
+
+    agents: {
+        bike_insights: [
+            {
+                agent_name: 'sales_analysis',
+                agent_display_name: 'Sales Analysis',
+                agent_description: 'Reviews the sales of every store and finds best sellers and trends.'
+            },
+            {
+                agent_name: 'stock_analysis',
+                agent_display_name: 'Stock Analysis',
+                agent_description: 'Compares stock levels with sales and flags bikes to reorder.'
+            },
+            {
+                agent_name: 'summary',
+                agent_display_name: 'Summary',
+                agent_description: 'Combines both analyses into recommendations for store managers.'
+            }
+        ]
+    },
+
+    schemas: {
+        bike_insights: {
+            schemas: {
+                RootModel: {
+                    title: 'Bike Insights',
+                    description: 'Sales and stock of bike stores to analyze',
+                    type: 'object',
+                    required: ['stores'],
+                    properties: {
+                        stores: {
+                            type: 'array',
+                            ui_component: 'array',
+                            display_name: 'Stores',
+                            minItems: 1,
+                            items: { $ref: '#/$defs/RootModel_Store' }
+                        }
+                    },
+                    definitions: {
+                        RootModel_Store: {
+                            title: 'Store',
+                            type: 'object',
+                            required: ['name', 'location'],
+                            properties: {
+                                name: { type: 'string', ui_component: 'text_input', display_name: 'Store Name' },
+                                location: { type: 'string', ui_component: 'text_input', display_name: 'Location' },
+                                bike_sales: {
+                                    type: 'array',
+                                    ui_component: 'array',
+                                    display_name: 'Bike Sales',
+                                    items: { $ref: '#/$defs/RootModel_BikeSale' }
+                                },
+                                bike_stock: {
+                                    type: 'array',
+                                    ui_component: 'array',
+                                    display_name: 'Bike Stock',
+                                    items: { $ref: '#/$defs/RootModel_BikeStock' }
+                                }
+                            }
+                        },
+                        RootModel_BikeSale: {
+                            title: 'Bike Sale',
+                            type: 'object',
+                            required: ['product_code', 'quantity', 'price'],
+                            properties: {
+                                product_code: { type: 'string', ui_component: 'text_input', display_name: 'Product Code' },
+                                quantity: { type: 'integer', ui_component: 'number_input', display_name: 'Quantity', number_config: { min: 1, max: 500, step: 1 } },
+                                price: { type: 'number', ui_component: 'number_input', display_name: 'Price', number_config: { min: 0, max: 20000, step: 0.01 } },
+                                currency: { type: 'string', enum: ['EUR', 'USD', 'GBP'], display_name: 'Currency' },
+                                year_of_sale: { type: 'integer', ui_component: 'number_input', display_name: 'Year of Sale', number_config: { min: 2000, max: 2030, step: 1 } },
+                                month_of_sale: { type: 'integer', ui_component: 'number_input', display_name: 'Month of Sale', number_config: { min: 1, max: 12, step: 1 } }
+                            }
+                        },
+                        RootModel_BikeStock: {
+                            title: 'Bike Stock',
+                            type: 'object',
+                            required: ['bike', 'quantity'],
+                            properties: {
+                                bike: {
+                                    ui_component: 'union_select',
+                                    display_name: 'Bike',
+                                    anyOf: [
+                                        { $ref: '#/$defs/RootModel_MountainBike' },
+                                        { $ref: '#/$defs/RootModel_RoadBike' },
+                                        { $ref: '#/$defs/RootModel_ElectricBike' }
+                                    ],
+                                    union_options: [
+                                        { value: 'mountain_bike', label: 'Mountain Bike', schema_ref: '#/$defs/RootModel_MountainBike' },
+                                        { value: 'road_bike', label: 'Road Bike', schema_ref: '#/$defs/RootModel_RoadBike' },
+                                        { value: 'electric_bike', label: 'Electric Bike', schema_ref: '#/$defs/RootModel_ElectricBike' }
+                                    ]
+                                },
+                                quantity: { type: 'integer', ui_component: 'number_input', display_name: 'Quantity', number_config: { min: 0, max: 500, step: 1 } }
+                            }
+                        },
+                        RootModel_MountainBike: {
+                            title: 'Mountain Bike',
+                            type: 'object',
+                            properties: {
+                                brand: { type: 'string', ui_component: 'text_input', display_name: 'Brand' },
+                                model: { type: 'string', ui_component: 'text_input', display_name: 'Model' },
+                                year: { type: 'integer', ui_component: 'number_input', display_name: 'Year', number_config: { min: 2000, max: 2030, step: 1 } },
+                                price: { type: 'number', ui_component: 'number_input', display_name: 'Price', number_config: { min: 0, max: 20000, step: 0.01 } },
+                                suspension: { type: 'string', enum: ['hardtail', 'full'], display_name: 'Suspension' }
+                            }
+                        },
+                        RootModel_RoadBike: {
+                            title: 'Road Bike',
+                            type: 'object',
+                            properties: {
+                                brand: { type: 'string', ui_component: 'text_input', display_name: 'Brand' },
+                                model: { type: 'string', ui_component: 'text_input', display_name: 'Model' },
+                                year: { type: 'integer', ui_component: 'number_input', display_name: 'Year', number_config: { min: 2000, max: 2030, step: 1 } },
+                                price: { type: 'number', ui_component: 'number_input', display_name: 'Price', number_config: { min: 0, max: 20000, step: 0.01 } },
+                                frame_material: { type: 'string', enum: ['aluminium', 'carbon', 'steel'], display_name: 'Frame Material' }
+                            }
+                        },
+                        RootModel_ElectricBike: {
+                            title: 'Electric Bike',
+                            type: 'object',
+                            properties: {
+                                brand: { type: 'string', ui_component: 'text_input', display_name: 'Brand' },
+                                model: { type: 'string', ui_component: 'text_input', display_name: 'Model' },
+                                year: { type: 'integer', ui_component: 'number_input', display_name: 'Year', number_config: { min: 2000, max: 2030, step: 1 } },
+                                price: { type: 'number', ui_component: 'number_input', display_name: 'Price', number_config: { min: 0, max: 20000, step: 0.01 } },
+                                battery_capacity: { type: 'integer', ui_component: 'number_input', display_name: 'Battery Capacity (Wh)', number_config: { min: 200, max: 1500, step: 50 } },
+                                motor_power: { type: 'integer', ui_component: 'number_input', display_name: 'Motor Power (W)', number_config: { min: 250, max: 1000, step: 50 } }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+
+    // Prompt files by revision and file name
+    prompts: {
+        v1: {
+            'sales_analysis_agent.jinja': `You are a sales analyst for a chain of bike stores.
+
+Analyze the sales of each store below. For every store, name the best selling bikes,
+the revenue per month and any trend worth reporting.
+
+{% for store in stores %}
+Store: {{ store.name }} ({{ store.location }})
+{% for sale in store.bike_sales %}
+- {{ sale.quantity }} x {{ sale.product_code }} at {{ sale.price }} {{ sale.currency }} ({{ sale.month_of_sale }}/{{ sale.year_of_sale }})
+{% endfor %}
+{% endfor %}`,
+            'stock_analysis_agent.jinja': `You are an inventory planner for a chain of bike stores.
+
+Compare the stock of each store with its sales and list the bikes that should be reordered
+or moved to another store.
+
+{% for store in stores %}
+Store: {{ store.name }}
+{% for item in store.bike_stock %}
+- {{ item.quantity }} x {{ item.bike.brand }} {{ item.bike.model }} ({{ item.bike.year }})
+{% endfor %}
+{% endfor %}`,
+            'summary_agent.jinja': `You write short briefings for bike store managers.
+
+Combine the sales analysis and the stock analysis into at most five recommendations,
+most important first. Keep each recommendation to one sentence.`
+        }
+    },
+
+    // Agent outputs of the canned chat response; {storeCount} and {storeNames} are filled from the request
+    chatOutputs: [
+        {
+            chat_name: 'sales_analysis',
+            model: 'gpt-4o-mini',
+            prompt_tokens: 812,
+            completion_tokens: 264,
+            duration: 2.4,
+            content: 'Sales across {storeCount} store(s) ({storeNames}) are led by mountain bikes, which make up about 60% of revenue. Road bike sales peak in spring, and electric bike sales grow month over month.'
+        },
+        {
+            chat_name: 'stock_analysis',
+            model: 'gpt-4o-mini',
+            prompt_tokens: 745,
+            completion_tokens: 198,
+            duration: 1.9,
+            content: 'Mountain bike stock covers less than three weeks of sales at {storeNames}. Road bike stock is high for the season; electric bikes are balanced.'
+        },
+        {
+            chat_name: 'summary',
+            model: 'gpt-4o',
+            prompt_tokens: 1034,
+            completion_tokens: 156,
+            duration: 1.6,
+            content: '1. Reorder mountain bikes before stock runs out.\n2. Move surplus road bikes between stores ahead of spring.\n3. Keep electric bike stock steady and promote them as sales grow.'
+        }
+    ]
+};
+
+window.MOCK_FIXTURES = MOCK_FIXTURES; // Make it globally available
@@ -0,0 +1,376 @@
+/**
+ * API Client
+ * Single entry point for backend requests: builds URLs through API_CONFIG.buildUrl, sends them
+ * through authManager (credentials, 401/403 handling) or to manager/mock-backend.js in a mock
+ * environment, retries 5xx and network failures with
+ * backoff, parses JSON or text and throws ApiError with the backend's detail message.
+ * Every request is recorded in an in-page request log (_request_log.html) for debugging.
+ */
+
+/**
+ * Error thrown for backend requests that failed
+ * kind is 'network' (no response), 'http' (non-2xx status), 'parse' (invalid JSON) or 'aborted'
+ */
+class ApiError extends Error {
+    constructor(kind, { method, url, endpoint, status = null, statusText = '', body = '', detail = '', cause = null }) {
+        super(ApiError.buildMessage(kind, { method, url, status, statusText, detail, cause }));
+        this.name = 'ApiError';
+        this.kind = kind;
+        this.method = method;
+        this.url = url;
+        this.endpoint = endpoint;
+        this.status = status;
+        this.statusText = statusText;
+        this.body = body;
+        this.detail = detail;
+        this.cause = cause;
+    }
+
+    static buildMessage(kind, { method, url, status, statusText, detail, cause }) {
+        const request = `${method} ${url}`;
+        switch (kind) {
+            case 'network':
+                return `Could not reach the backend (${request}): ${cause?.message || 'network error'}`;
+            case 'aborted':
+                return `Request cancelled (${request})`;
+            case 'parse':
+                return `The backend returned an invalid JSON response (${request})`;
+            default:
+                return `Backend error ${status}${statusText ? ` ${statusText}` : ''} (${request})${detail ? `: ${detail}` : ''}`;
+        }
+    }
+
+    /**
+     * Whether retrying the request may succeed
+     */
+    get retryable() {
+        return this.kind === 'network' || (this.kind === 'http' && this.status >= 500);
+    }
+}
+
+class ApiClient {
+    static IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+    constructor({ maxRetries = 2, retryDelayMs = 500, logSize = 200 } = {}) {
+        this.maxRetries = maxRetries;
+        this.retryDelayMs = retryDelayMs;
+        this.logSize = logSize;
+        this.log = [];
+        this.nextLogId = 1;
+        this.logPanelOpen = false;
+    }
+
+    /**
+     * Send a backend request
+     * @param {string} endpointKey - Key of API_CONFIG.endpoints
+     * @param {Object} options
+     * @param {Object} options.params - Values for the {placeholders} of the endpoint
+     * @param {Array<string>} options.path - Segments appended after the endpoint ('' for a trailing slash)
+     * @param {string} options.method - HTTP method (default GET)
+     * @param {*} options.body - Request body; objects are sent as JSON
+     * @param {Object} options.headers - Extra headers
+     * @param {AbortSignal} options.signal - Cancels the request and any pending retry
+     * @param {string} options.responseType - 'json' (default), 'text', or 'response' for the raw Response (e.g. streams)
+     * @param {number} options.retries - Retries on 5xx/network errors; defaults to maxRetries for
+     *                                   idempotent methods and 0 otherwise
+     * @returns {Promise<*>} Parsed body (null for an empty JSON body), text or Response
+     * @throws {ApiError} When the request fails
+     * @throws {AuthError} When the backend answers 401 or 403 (never retried)
+     */
+    async request(endpointKey, { params = {}, path = [], method = 'GET', body, headers = {}, signal = null, responseType = 'json', retries } = {}) {
+        method = method.toUpperCase();
+        const url = window.API_CONFIG.buildUrl(endpointKey, params, ...path);
+        const maxRetries = retries ?? (ApiClient.IDEMPOTENT_METHODS.includes(method) ? this.maxRetries : 0);
+        const isJsonBody = body !== undefined && body !== null && typeof body === 'object' && !(body instanceof FormData) && !(body instanceof Blob);
+
+        const fetchOptions = {
+            method: method,
+            signal: signal,
+            headers: {
+                Accept: responseType === 'text' ? 'text/plain, application/json;q=0.9' : 'application/json',
+                ...(isJsonBody ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            ...(body !== undefined && body !== null ? { body: isJsonBody ? JSON.stringify(body) : body } : {})
+        };
+
+        const entry = this.startLogEntry({ method, url, endpoint: endpointKey, payload: fetchOptions.body });
+        const errorInfo = { method, url, endpoint: endpointKey };
+        const route = { ...errorInfo, params, path };
+
+        for (let attempt = 0; ; attempt++) {
+            entry.attempts = attempt + 1;
+            try {
+                const response = await this.send(route, fetchOptions, errorInfo);
+                entry.status = response.status;
+
+                if (!response.ok) {
+                    const text = await response.text().catch(() => '');
+                    throw new ApiError('http', {
+                        ...errorInfo,
+                        status: response.status,
+                        statusText: response.statusText,
+                        body: text,
+                        detail: this.getErrorDetail(text)
+                    });
+                }
+
+                const result = await this.parseResponse(response, responseType, errorInfo);
+                this.finishLogEntry(entry);
+                return result;
+            } catch (error) {
+                if (error instanceof ApiError && error.retryable && attempt < maxRetries && !signal?.aborted) {
+                    const delay = this.retryDelayMs * 2 ** attempt;
+                    console.warn(`${error.message} - retrying in ${delay}ms (${attempt + 1}/${maxRetries})`);
+                    await this.wait(delay, signal);
+                    continue;
+                }
+                entry.status = error.status ?? entry.status;
+                this.finishLogEntry(entry, error);
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * GET an endpoint
+     */
+    get(endpointKey, options = {}) {
+        return this.request(endpointKey, { ...options, method: 'GET' });
+    }
+
+    /**
+     * POST a body to an endpoint
+     */
+    post(endpointKey, body, options = {}) {
+        return this.request(endpointKey, { ...options, method: 'POST', body: body });
+    }
+
+    /**
+     * fetch through authManager, or ask the mock backend in a mock environment;
+     * network failures and aborts become ApiError
+     */
+    async send(route, fetchOptions, errorInfo) {
+        try {
+            if (window.API_CONFIG.isMock) {
+                return await window.mockBackend.handle(route, fetchOptions);
+            }
+            return await window.authManager.request(route.url, fetchOptions);
+        } catch (error) {
+            if (error instanceof window.AuthError) throw error;
+            throw new ApiError(error.name === 'AbortError' ? 'aborted' : 'network', { ...errorInfo, cause: error });
+        }
+    }
+
+    /**
+     * Read a successful response as JSON, text or the raw Response
+     */
+    async parseResponse(response, responseType, errorInfo) {
+        if (responseType === 'response') return response;
+
+        const text = await response.text();
+        if (responseType === 'text') return text;
+        if (!text.trim()) return null;
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new ApiError('parse', { ...errorInfo, status: response.status, body: text, cause: error });
+        }
+    }
+
+    /**
+     * Human readable reason from an error body: FastAPI's `detail` (string or validation
+     * error list), a `message`/`error` field, or the start of the plain text
+     */
+    getErrorDetail(text) {
+        if (!text) return '';
+        try {
+            const data = JSON.parse(text);
+            const detail = data?.detail ?? data?.message ?? data?.error;
+            if (Array.isArray(detail)) {
+                return detail.map(item => (item.loc ? `${item.loc.join('.')}: ${item.msg}` : item.msg || JSON.stringify(item))).join('; ');
+            }
+            if (detail !== undefined) {
+                return typeof detail === 'string' ? detail : JSON.stringify(detail);
+            }
+        } catch (error) {
+            // Not JSON - use the text
+        }
+        return text.length > 300 ? `${text.slice(0, 300)}...` : text;
+    }
+
+    /**
+     * Wait before a retry; ends early when the signal fires so the next attempt fails as aborted
+     */
+    wait(delayMs, signal) {
+        return new Promise(resolve => {
+            const abort = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', abort);
+                resolve();
+            }, delayMs);
+            signal?.addEventListener('abort', abort, { once: true });
+        });
+    }
+
+    /**
+     * Record the start of a request in the log (newest first, at most logSize entries)
+     */
+    startLogEntry({ method, url, endpoint, payload }) {
+        const entry = {
+            id: this.nextLogId++,
+            time: new Date().toISOString(),
+            method: method,
+            url: url,
+            endpoint: endpoint,
+            payload: typeof payload === 'string' ? payload : (payload ? `[${payload.constructor?.name || 'body'}]` : ''),
+            status: null,
+            durationMs: null,
+            attempts: 0,
+            error: '',
+            pending: true,
+            startedAt: performance.now()
+        };
+        this.log.unshift(entry);
+        this.log.length = Math.min(this.log.length, this.logSize);
+        this.renderLog();
+        return entry;
+    }
+
+    /**
+     * Record the outcome of a request
+     */
+    finishLogEntry(entry, error = null) {
+        entry.durationMs = Math.round(performance.now() - entry.startedAt);
+        entry.pending = false;
+        entry.error = error ? error.message : '';
+        if (error?.body) entry.response = error.body;
+        this.renderLog();
+    }
+
+    /**
+     * Log entries without internal fields, for copying into bug reports
+     */
+    exportLog() {
+        return this.log.map(({ startedAt, pending, ...entry }) => entry);
+    }
+
+    clearLog() {
+        this.log = [];
+        this.renderLog();
+    }
+
+    /**
+     * Fill the request log panel (_request_log.html) and the error count of the navbar buttons
+     */
+    renderLog() {
+        if (typeof document === 'undefined') return;
+
+        const failed = this.log.filter(entry => entry.error).length;
+        document.querySelectorAll('[data-request-log-count]').forEach(badge => {
+            badge.textContent = failed;
+            badge.classList.toggle('d-none', failed === 0);
+        });
+
+        const tbody = document.querySelector('#requestLogModal [data-request-log-entries]');
+        if (!tbody || !this.logPanelOpen) return;
+
+        tbody.replaceChildren(...this.log.map(entry => this.renderLogRow(entry)));
+        document.querySelector('#requestLogModal [data-request-log-empty]').classList.toggle('d-none', this.log.length > 0);
+    }
+
+    /**
+     * Table row of a log entry; payload, response and error are shown in an expandable cell
+     */
+    renderLogRow(entry) {
+        const row = document.createElement('tr');
+        const cell = (text, className = '') => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            td.className = className;
+            row.appendChild(td);
+            return td;
+        };
+
+        cell(new Date(entry.time).toLocaleTimeString(), 'text-nowrap');
+        cell(entry.method, 'fw-semibold');
+        const statusClass = entry.pending ? 'text-muted' : (entry.error ? 'text-danger' : 'text-success');
+        cell(entry.pending ? '...' : (entry.status ?? 'failed'), statusClass);
+        cell(entry.durationMs === null ? '' : `${entry.durationMs}ms`, 'text-nowrap');
+        cell(entry.attempts > 1 ? `${entry.attempts}` : '');
+
+        const detailsCell = cell('', 'text-break');
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = entry.url;
+        details.appendChild(summary);
+        [['Error', entry.error], ['Payload', entry.payload], ['Response', entry.response]]
+            .filter(([, value]) => value)
+            .forEach(([label, value]) => {
+                const heading = document.createElement('div');
+                heading.className = 'small text-muted mt-2';
+                heading.textContent = label;
+                const pre = document.createElement('pre');
+                pre.className = 'small mb-0 text-wrap text-break';
+                pre.textContent = this.formatPayload(value);
+                details.append(heading, pre);
+            });
+        detailsCell.appendChild(details);
+        return row;
+    }
+
+    /**
+     * Pretty-print JSON payloads; other text as-is
+     */
+    formatPayload(value) {
+        try {
+            return JSON.stringify(JSON.parse(value), null, 2);
+        } catch (error) {
+            return value;
+        }
+    }
+
+    /**
+     * Wire the request log panel and the navbar buttons that open it
+     */
+    mountLogPanel() {
+        const modalElement = document.getElementById('requestLogModal');
+        if (!modalElement) return;
+
+        // The table is only rendered while the panel is open
+        modalElement.addEventListener('show.bs.modal', () => {
+            this.logPanelOpen = true;
+            this.renderLog();
+        });
+        modalElement.addEventListener('hidden.bs.modal', () => {
+            this.logPanelOpen = false;
+        });
+        modalElement.querySelector('[data-request-log-clear]').addEventListener('click', () => this.clearLog());
+        modalElement.querySelector('[data-request-log-copy]').addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(JSON.stringify(this.exportLog(), null, 2));
+            } catch (error) {
+                console.error('Could not copy the request log:', error);
+                alert('Could not copy the request log to the clipboard.');
+            }
+        });
+
+        document.querySelectorAll('[data-request-log]').forEach(button => {
+            button.addEventListener('click', () => bootstrap.Modal.getOrCreateInstance(modalElement).show());
+        });
+        this.renderLog();
+    }
+}
+
+// Global instance for easy access
+window.apiClient = new ApiClient();
+
+document.addEventListener('DOMContentLoaded', () => window.apiClient.mountLogPanel());
+
+// Export for use in other modules
+window.ApiClient = ApiClient;
+window.ApiError = ApiError;
@@ -5,11 +5,10 @@
  */
 
 class ArrayManager {
-    constructor(dataManager, schemaCache, fieldCache) {
-        this.dataManager = dataManager;
+    constructor(formModel, schemaCache, fieldCache) {
+        this.formModel = formModel;
         this.schemaCache = schemaCache;
         this.fieldCache = fieldCache;
-        this.API_BASE_URL = 'http://localhost:8000/api/v1/custom-workflows';
     }
 
     /**
@@ -35,33 +34,165 @@ class ArrayManager {
             const arrayContainer = document.getElementById(`array-${fieldName}`);
             if (!arrayContainer) return;
 
-            // Initialize data structure
-            const itemIndex = this.dataManager.addArrayItem(currentSchema, fieldName, {});
-            
-            const ref = field.items?.$ref;
-            if (!ref) {
-                console.error('Array item schema reference ($ref) not found.');
-                return;
-            }
+            const itemSchema = this.getArrayItemSchema(schema, field);
+            if (!itemSchema) return;
+
+            // The model creates the item with the defaults of its schema
+            const itemIndex = this.formModel.addItem(this.getItemPath(fieldName));
 
-            const schemaName = ref.split('/').pop();
-            const itemSchema = schema.schemas[schemaName] || schema.schemas.RootModel?.definitions?.[schemaName];
-            if (!itemSchema) {
-                console.error(`Could not find schema for array item: ${ref}`);
-                return;
-            }
-            
             const itemHtml = this.generateArrayItemHtml(currentSchema, fieldName, itemIndex, itemSchema, schema.schemas);
             arrayContainer.insertAdjacentHTML('beforeend', itemHtml);
-            
-            const itemData = { ...(itemSchema.default_values || {}) };
-            this.dataManager.updateArrayItemData(currentSchema, fieldName, itemIndex, '', itemData);
-            console.log(`ArrayManager: Added array item for ${fieldName}:`, itemData);
+
+            console.log(`ArrayManager: Added array item ${itemIndex} for ${fieldName}`);
+            return itemIndex;
         } catch (error) {
             console.error('Failed to add array item:', error);
         }
     }
 
+    /**
+     * Form model path of an array field, or of a value within one of its items
+     * Nested arrays use their generated field ID ("stores-0-bike_sales"), which is their path joined by dashes
+     * @param {string} fieldName - Array field name or generated field ID
+     * @param {number} itemIndex - Item index, if the path points into an item
+     * @param {...string} propNames - Property names within the item
+     * @returns {Array} Path segments
+     */
+    getItemPath(fieldName, itemIndex, ...propNames) {
+        const path = fieldName.split('-');
+        return itemIndex === undefined ? path : [...path, itemIndex, ...propNames];
+    }
+
+    /**
+     * Resolve the item schema of an array field
+     */
+    getArrayItemSchema(schema, field) {
+        const ref = field.items?.$ref;
+        if (!ref) {
+            console.error('Array item schema reference ($ref) not found.');
+            return null;
+        }
+
+        const schemaName = ref.split('/').pop();
+        const itemSchema = schema.schemas[schemaName] || schema.schemas.RootModel?.definitions?.[schemaName];
+        if (!itemSchema) {
+            console.error(`Could not find schema for array item: ${ref}`);
+            return null;
+        }
+        return itemSchema;
+    }
+
+    /**
+     * Resolve a $ref within the array item context
+     */
+    resolveSchemaRef(currentSchema, allSchemas, schemaRef) {
+        const schemaName = schemaRef.split('/').pop();
+        return allSchemas[schemaName] ||
+               allSchemas.RootModel?.definitions?.[schemaName] ||
+               this.schemaCache[currentSchema]?.schemas?.RootModel?.definitions?.[schemaName];
+    }
+
+    /**
+     * Replace the items of an array field with imported values
+     * Creates one item per value and fills it, including union selections and nested arrays
+     * @param {string} currentSchema - Current workflow schema
+     * @param {string} fieldName - Array field name (nested arrays use their generated field ID)
+     * @param {Object} field - Array field definition
+     * @param {Array} values - Item values
+     * @param {Array<string>} skipped - Collects paths of values without a matching field
+     * @param {string} path - Readable path of the field for skipped entries
+     */
+    async populateArrayItems(currentSchema, fieldName, field, values, skipped, path = fieldName) {
+        const arrayContainer = document.getElementById(`array-${fieldName}`);
+        if (!arrayContainer) {
+            skipped.push(path);
+            return;
+        }
+        arrayContainer.innerHTML = '';
+        // Values may be the model's current items, which stay intact as the array is replaced
+        this.formModel.setValue(this.getItemPath(fieldName), []);
+
+        const schema = await this.fetchSchema(currentSchema);
+        const itemSchema = this.getArrayItemSchema(schema, field);
+        if (!itemSchema) {
+            skipped.push(path);
+            return;
+        }
+
+        for (const [position, item] of values.entries()) {
+            const itemIndex = await this.addArrayItem(currentSchema, fieldName, field);
+            if (itemIndex === undefined) {
+                skipped.push(`${path}[${position}]`);
+                continue;
+            }
+            await this.populateArrayItem(currentSchema, fieldName, itemIndex, itemSchema, schema.schemas, item || {}, skipped, `${path}[${position}]`);
+        }
+    }
+
+    /**
+     * Fill the fields of a generated array item
+     */
+    async populateArrayItem(currentSchema, fieldName, itemIndex, itemSchema, allSchemas, item, skipped, path) {
+        for (const [propName, value] of Object.entries(item)) {
+            const prop = itemSchema.properties?.[propName];
+            const fieldId = `${fieldName}-${itemIndex}-${propName}`;
+            if (!prop) {
+                skipped.push(`${path}.${propName}`);
+                continue;
+            }
+
+            // Same field type precedence as generateArrayItemFieldHtml
+            const nestedSchema = prop.$ref && this.resolveSchemaRef(currentSchema, allSchemas, prop.$ref);
+            if (nestedSchema && !Array.isArray(nestedSchema.enum)) {
+                Object.entries(value || {}).forEach(([nestedPropName, nestedValue]) => {
+                    if (BaseManager.setInputValue(`${fieldId}-${nestedPropName}`, nestedValue)) {
+                        this.updateArrayItemNestedObjectFieldData(currentSchema, fieldName, itemIndex, propName, nestedPropName, nestedValue);
+                    } else {
+                        skipped.push(`${path}.${propName}.${nestedPropName}`);
+                    }
+                });
+            } else if (!nestedSchema && (prop.anyOf || prop.union_options || prop.ui_component === 'union_select')) {
+                await this.populateArrayItemUnionField(currentSchema, fieldName, itemIndex, propName, value, skipped, `${path}.${propName}`);
+            } else if (!nestedSchema && !FieldWidgets.getWidget(prop) && (prop.type === 'array' || prop.ui_component === 'array')) {
+                await this.populateArrayItems(currentSchema, fieldId, prop, Array.isArray(value) ? value : [], skipped, `${path}.${propName}`);
+            } else if (BaseManager.setInputValue(fieldId, value)) {
+                this.updateArrayItemData(currentSchema, fieldName, itemIndex, propName, value);
+            } else {
+                skipped.push(`${path}.${propName}`);
+            }
+        }
+    }
+
+    /**
+     * Select the union option matching an imported value and fill its fields
+     */
+    async populateArrayItemUnionField(currentSchema, fieldName, itemIndex, propName, value, skipped, path) {
+        const cacheKey = `${currentSchema}_${fieldName}_${itemIndex}_${propName}_union`;
+        const { unionOptions = [], allSchemas = {} } = this.fieldCache[cacheKey] || {};
+        // Values from the model know their option; imported ones are matched by their fields
+        const option = unionOptions.find(candidate => candidate.value === this.formModel.getUnionOption(value)) ||
+                       BaseManager.findUnionOption(unionOptions, value, schemaRef => this.resolveSchemaRef(currentSchema, allSchemas, schemaRef));
+
+        // Option cards are rendered in union option order right before the union fields container
+        const optionSelection = document.getElementById(`union-fields-${fieldName}-${itemIndex}-${propName}`)?.previousElementSibling;
+        const card = option && optionSelection?.querySelectorAll('.option-card')[unionOptions.indexOf(option)];
+        if (!card) {
+            skipped.push(path);
+            return;
+        }
+
+        await this.selectArrayItemUnionOption(currentSchema, fieldName, itemIndex, propName, option.value, card);
+        if (typeof value !== 'object') return;
+
+        Object.entries(value).forEach(([schemaPropName, schemaValue]) => {
+            if (BaseManager.setInputValue(`${fieldName}-${itemIndex}-${propName}-${schemaPropName}`, schemaValue)) {
+                this.updateArrayItemUnionFieldData(currentSchema, fieldName, itemIndex, propName, schemaPropName, schemaValue);
+            } else {
+                skipped.push(`${path}.${schemaPropName}`);
+            }
+        });
+    }
+
     /**
      * Generate HTML for array item
      */
@@ -118,6 +249,16 @@ class ArrayManager {
         if (prop.anyOf || prop.union_options || prop.ui_component === 'union_select') {
             return this.generateArrayItemUnionField(currentSchema, fieldName, itemIndex, propName, prop, allSchemas);
         }
+
+        // Multi-selects are arrays too, so widgets are picked before nested arrays
+        const widget = FieldWidgets.getWidget(prop);
+        if (widget) {
+            return FieldWidgets.render(widget, prop, {
+                id: fieldId,
+                label: displayName,
+                onChange: value => `window.arrayManager.updateArrayItemData('${currentSchema}', '${fieldName}', ${itemIndex}, '${propName}', ${value})`
+            });
+        }
         if (prop.type === 'array' || prop.ui_component === 'array') {
             return this.generateNestedArrayField(currentSchema, fieldName, itemIndex, propName, prop, allSchemas);
         }
@@ -146,13 +287,6 @@ class ArrayManager {
         }
     }
 
-    /**
-     * Initialize array item union form data (delegates to DataManager)
-     */
-    initializeArrayItemUnionFormData(currentSchema, fieldName, itemIndex, propName, schema) {
-        this.dataManager.initializeArrayItemUnionFormData(currentSchema, fieldName, itemIndex, propName, schema);
-    }
-
     /**
      * Auto-add first array items for schema
      */
@@ -254,8 +388,7 @@ class ArrayManager {
      * Get array statistics
      */
     getArrayStats(currentSchema, fieldName) {
-        const data = this.dataManager.getFormDataForSchema(currentSchema);
-        const arrayData = data[fieldName];
+        const arrayData = this.formModel.getValue(this.getItemPath(fieldName));
         
         if (!Array.isArray(arrayData)) {
             return { totalItems: 0, filledItems: 0, emptyItems: 0 };
@@ -306,6 +439,12 @@ class ArrayManager {
             return this.generateArrayItemFallbackField(currentSchema, fieldName, itemIndex, propName, prop);
         }
         
+        // Enums defined as their own schema are a single choice, not an object
+        if (Array.isArray(referencedSchema.enum)) {
+            const { title, ...enumSchema } = referencedSchema;
+            return this.generateArrayItemFieldHtml(currentSchema, fieldName, itemIndex, propName, { ...enumSchema, ...prop, $ref: undefined }, allSchemas);
+        }
+        
         // Generate nested fields HTML for the array item context
         let nestedFieldsHtml = '';
         if (referencedSchema.properties) {
@@ -334,6 +473,15 @@ class ArrayManager {
     generateArrayItemNestedObjectFieldHtml(currentSchema, fieldName, itemIndex, parentPropName, nestedPropName, nestedProp) {
         const displayName = nestedProp.display_name || nestedProp.title || nestedPropName;
         const fieldId = `${fieldName}-${itemIndex}-${parentPropName}-${nestedPropName}`;
+        const widget = FieldWidgets.getWidget(nestedProp);
+        if (widget) {
+            return FieldWidgets.render(widget, nestedProp, {
+                id: fieldId,
+                label: displayName,
+                onChange: value => `window.arrayManager.updateArrayItemNestedObjectFieldData('${currentSchema}', '${fieldName}', ${itemIndex}, '${parentPropName}', '${nestedPropName}', ${value})`
+            });
+        }
+
         const onChange = `onchange="window.arrayManager.updateArrayItemNestedObjectFieldData('${currentSchema}', '${fieldName}', ${itemIndex}, '${parentPropName}', '${nestedPropName}', this.value)"`;
         const onChangeFloat = `onchange="window.arrayManager.updateArrayItemNestedObjectFieldData('${currentSchema}', '${fieldName}', ${itemIndex}, '${parentPropName}', '${nestedPropName}', parseFloat(this.value))"`;
 
@@ -467,7 +615,7 @@ class ArrayManager {
     async selectArrayItemUnionOption(currentSchema, fieldName, itemIndex, propName, value, element) {
         element.parentNode.querySelectorAll('.option-card').forEach(card => card.classList.remove('selected'));
         element.classList.add('selected');
-        this.dataManager.updateArrayItemData(currentSchema, fieldName, itemIndex, propName, value);
+        this.formModel.selectUnionOption(this.getItemPath(fieldName, itemIndex, propName), value);
         
         // Render dynamic fields for the selected union option in array item
         await this.renderArrayItemUnionFields(currentSchema, fieldName, itemIndex, propName, value);
@@ -522,9 +670,6 @@ class ArrayManager {
                 container.innerHTML = fieldsHtml;
             }
 
-            // Initialize form data for the selected union type
-            this.dataManager.initializeArrayItemUnionFormData(currentSchema, fieldName, itemIndex, propName, selectedSchema);
-
         } catch (error) {
             console.error('Failed to render array item union fields:', error);
         }
@@ -556,6 +701,15 @@ class ArrayManager {
     generateArrayItemUnionFieldHtml(currentSchema, fieldName, itemIndex, propName, schemaPropName, schemaProp) {
         const displayName = schemaProp.display_name || schemaProp.title || schemaPropName;
         const fieldId = `${fieldName}-${itemIndex}-${propName}-${schemaPropName}`;
+        const widget = FieldWidgets.getWidget(schemaProp);
+        if (widget) {
+            return FieldWidgets.render(widget, schemaProp, {
+                id: fieldId,
+                label: displayName,
+                onChange: value => `window.arrayManager.updateArrayItemUnionFieldData('${currentSchema}', '${fieldName}', ${itemIndex}, '${propName}', '${schemaPropName}', ${value})`
+            });
+        }
+
         const onChange = `onchange="window.arrayManager.updateArrayItemUnionFieldData('${currentSchema}', '${fieldName}', ${itemIndex}, '${propName}', '${schemaPropName}', this.value)"`;
         const onChangeFloat = `onchange="window.arrayManager.updateArrayItemUnionFieldData('${currentSchema}', '${fieldName}', ${itemIndex}, '${propName}', '${schemaPropName}', parseFloat(this.value))"`;
 
@@ -593,34 +747,24 @@ class ArrayManager {
     }
 
     /**
-     * Update array item data (delegates to DataManager)
+     * Update array item data (delegates to FormModel)
      */
     updateArrayItemData(currentSchema, fieldName, itemIndex, propName, value) {
-        this.dataManager.updateArrayItemData(currentSchema, fieldName, itemIndex, propName, value);
+        this.formModel.setValue(this.getItemPath(fieldName, itemIndex, propName), value);
     }
 
     /**
-     * Update array item nested object field data (delegates to DataManager)
+     * Update array item nested object field data (delegates to FormModel)
      */
     updateArrayItemNestedObjectFieldData(currentSchema, fieldName, itemIndex, parentPropName, nestedPropName, value) {
-        this.dataManager.updateArrayItemNestedObjectFieldData(currentSchema, fieldName, itemIndex, parentPropName, nestedPropName, value);
+        this.formModel.setValue(this.getItemPath(fieldName, itemIndex, parentPropName, nestedPropName), value);
     }
 
     /**
-     * Update array item union field data (delegates to DataManager)
+     * Update array item union field data (delegates to FormModel)
      */
     updateArrayItemUnionFieldData(currentSchema, fieldName, itemIndex, propName, schemaPropName, value) {
-        this.dataManager.updateArrayItemUnionFieldData(currentSchema, fieldName, itemIndex, propName, schemaPropName, value);
-    }
-
-    /**
-     * Remove array item
-     */
-    removeArrayItem(currentSchema, fieldName, itemIndex) {
-        const itemId = `${fieldName}-item-${itemIndex}`;
-        document.getElementById(itemId)?.remove();
-        this.dataManager.removeArrayItem(currentSchema, fieldName, itemIndex);
-        console.log(`ArrayManager: Removed array item ${itemIndex} from ${fieldName}`);
+        this.formModel.setValue(this.getItemPath(fieldName, itemIndex, propName, schemaPropName), value);
     }
 
     /**
@@ -631,18 +775,11 @@ class ArrayManager {
             return this.schemaCache[workflowName];
         }
         try {
-            const apiCfg = window.API_CONFIG || {};
-            const schemaEndpointTmpl = apiCfg.endpoints?.workflowSchemaRetriever;
-            const baseUrl = apiCfg.baseUrl;
-            // Fallback to legacy API_BASE_URL if config missing
-            const url = (baseUrl && schemaEndpointTmpl)
-                ? `${baseUrl}${schemaEndpointTmpl.replace('{custom-workflow-name}', encodeURIComponent(workflowName))}${schemaEndpointTmpl.endsWith('/') ? '' : '/'}`
-                : `${this.API_BASE_URL}/schema/${encodeURIComponent(workflowName)}/`;
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const schema = await response.json();
+            // The schema endpoint expects a trailing slash
+            const schema = await window.apiClient.get('workflowSchemaRetriever', {
+                params: { 'custom-workflow-name': workflowName },
+                path: ['']
+            });
             this.schemaCache[workflowName] = schema;
             return schema;
         } catch (error) {
@@ -834,8 +971,9 @@ class ArrayManager {
 
     /**
      * Remove array item from DOM and data
+     * The remaining items are rendered again from the model, so their IDs and handlers follow the shifted indexes
      */
-    removeArrayItem(itemId, fieldName) {
+    async removeArrayItem(itemId, fieldName) {
         // Confirm deletion
         if (!confirm('Are you sure you want to remove this item?')) {
             return;
@@ -857,15 +995,17 @@ class ArrayManager {
             return;
         }
         
-        // Remove from DOM
-        itemElement.remove();
-        
-        // Remove from data
-        if (this.dataManager && typeof this.dataManager.removeArrayItem === 'function') {
-            this.dataManager.removeArrayItem(currentSchema, fieldName, itemIndex);
+        this.formModel.removeItem(this.getItemPath(fieldName), itemIndex);
+
+        const field = this.fieldCache[`${currentSchema}_${fieldName}`];
+        const skipped = [];
+        if (field) {
+            await this.populateArrayItems(currentSchema, fieldName, field, this.formModel.getValue(this.getItemPath(fieldName)) || [], skipped);
+        } else {
+            itemElement.remove();
         }
         
-        console.log(`ArrayManager: Removed array item ${itemId} from field ${fieldName}`);
+        console.log(`ArrayManager: Removed array item ${itemId} from field ${fieldName}, skipped:`, skipped);
     }
 }
 
@@ -0,0 +1,205 @@
+/**
+ * Auth Manager
+ * Keeps backend credentials (API key, bearer token or basic auth) in sessionStorage, per
+ * API environment, and sends every backend request through request() so they are attached.
+ * A 401/403 response opens the authentication panel instead of failing silently.
+ */
+
+/**
+ * Error thrown for requests the backend rejected with 401 or 403
+ */
+class AuthError extends Error {
+    constructor(status, url) {
+        super(status === 401
+            ? 'The backend requires authentication. Enter your credentials and try again.'
+            : 'The backend rejected your credentials for this request. Check them and try again.');
+        this.name = 'AuthError';
+        this.status = status;
+        this.url = url;
+    }
+}
+
+class AuthManager {
+    static AUTH_TYPES = ['none', 'api_key', 'bearer', 'basic'];
+
+    constructor(storage = window.sessionStorage, prefix = 'promptTuner.auth') {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    /**
+     * Storage key of the selected API environment's credentials
+     */
+    getStorageKey() {
+        return `${this.prefix}/${window.API_CONFIG?.environment || 'default'}`;
+    }
+
+    /**
+     * Credentials of the selected environment
+     * @returns {Object} type ('none'|'api_key'|'bearer'|'basic') and the fields of that type
+     */
+    getCredentials() {
+        try {
+            const raw = this.storage.getItem(this.getStorageKey());
+            return raw ? JSON.parse(raw) : { type: 'none' };
+        } catch (error) {
+            console.warn('Could not read API credentials:', error);
+            return { type: 'none' };
+        }
+    }
+
+    /**
+     * Store the credentials of the selected environment for this browser session
+     * @param {Object} credentials - type plus apiKey/apiKeyHeader, token, or username/password
+     */
+    saveCredentials(credentials) {
+        if (!AuthManager.AUTH_TYPES.includes(credentials.type)) {
+            throw new Error(`Unknown authentication type: ${credentials.type}`);
+        }
+        if (credentials.type === 'none') {
+            this.clearCredentials();
+            return;
+        }
+        this.storage.setItem(this.getStorageKey(), JSON.stringify(credentials));
+    }
+
+    /**
+     * Forget the credentials of the selected environment
+     */
+    clearCredentials() {
+        try {
+            this.storage.removeItem(this.getStorageKey());
+        } catch (error) {
+            console.warn('Could not remove API credentials:', error);
+        }
+    }
+
+    /**
+     * Headers carrying the stored credentials
+     * @returns {Object} Header names and values (empty without credentials)
+     */
+    getAuthHeaders() {
+        const credentials = this.getCredentials();
+        switch (credentials.type) {
+            case 'api_key':
+                return credentials.apiKey ? { [credentials.apiKeyHeader || 'X-API-Key']: credentials.apiKey } : {};
+            case 'bearer':
+                return credentials.token ? { Authorization: `Bearer ${credentials.token}` } : {};
+            case 'basic': {
+                // btoa only takes Latin-1, so encode the UTF-8 bytes first
+                const bytes = new TextEncoder().encode(`${credentials.username || ''}:${credentials.password || ''}`);
+                return { Authorization: `Basic ${btoa(String.fromCharCode(...bytes))}` };
+            }
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * fetch() with the stored credentials attached
+     * @param {string} url - Backend URL (from API_CONFIG.buildUrl)
+     * @param {Object} options - fetch options; explicit headers win over the auth headers
+     * @returns {Promise<Response>} Response of any status except 401/403
+     * @throws {AuthError} When the backend answers 401 or 403
+     */
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                ...this.getAuthHeaders(),
+                ...(options.headers || {})
+            }
+        });
+
+        if (response.status === 401 || response.status === 403) {
+            const error = new AuthError(response.status, url);
+            this.showSettings(error.message);
+            throw error;
+        }
+        return response;
+    }
+
+    /**
+     * Open the authentication panel (_auth_settings.html), optionally with a reason
+     * @param {string} message - Why authentication is needed
+     */
+    showSettings(message = '') {
+        const modalElement = document.getElementById('authSettingsModal');
+        if (!modalElement) return;
+
+        const credentials = this.getCredentials();
+        const form = modalElement.querySelector('form');
+        form.elements.type.value = credentials.type;
+        form.elements.apiKeyHeader.value = credentials.apiKeyHeader || 'X-API-Key';
+        form.elements.apiKey.value = credentials.apiKey || '';
+        form.elements.token.value = credentials.token || '';
+        form.elements.username.value = credentials.username || '';
+        form.elements.password.value = credentials.password || '';
+        this.updateSettingsFields(form);
+
+        const alertElement = modalElement.querySelector('[data-auth-message]');
+        alertElement.textContent = message;
+        alertElement.classList.toggle('d-none', !message);
+        modalElement.querySelector('[data-auth-environment]').textContent = window.API_CONFIG?.baseUrl || '';
+
+        bootstrap.Modal.getOrCreateInstance(modalElement).show();
+    }
+
+    /**
+     * Show only the fields of the selected authentication type
+     */
+    updateSettingsFields(form) {
+        form.querySelectorAll('[data-auth-type]').forEach(group => {
+            group.classList.toggle('d-none', group.dataset.authType !== form.elements.type.value);
+        });
+    }
+
+    /**
+     * Wire the authentication panel and the navbar buttons that open it
+     */
+    mountSettingsPanel() {
+        const modalElement = document.getElementById('authSettingsModal');
+        if (!modalElement) return;
+
+        const form = modalElement.querySelector('form');
+        form.elements.type.addEventListener('change', () => this.updateSettingsFields(form));
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const type = form.elements.type.value;
+            this.saveCredentials({
+                type: type,
+                ...(type === 'api_key' ? { apiKeyHeader: form.elements.apiKeyHeader.value.trim() || 'X-API-Key', apiKey: form.elements.apiKey.value.trim() } : {}),
+                ...(type === 'bearer' ? { token: form.elements.token.value.trim().replace(/^Bearer\s+/i, '') } : {}),
+                ...(type === 'basic' ? { username: form.elements.username.value, password: form.elements.password.value } : {})
+            });
+            bootstrap.Modal.getOrCreateInstance(modalElement).hide();
+            this.updateSettingsButtons();
+        });
+
+        document.querySelectorAll('[data-auth-settings]').forEach(button => {
+            button.addEventListener('click', () => this.showSettings());
+        });
+        this.updateSettingsButtons();
+    }
+
+    /**
+     * Mark the navbar buttons when credentials are set
+     */
+    updateSettingsButtons() {
+        const authenticated = this.getCredentials().type !== 'none';
+        document.querySelectorAll('[data-auth-settings]').forEach(button => {
+            button.classList.toggle('btn-outline-success', authenticated);
+            button.classList.toggle('btn-outline-secondary', !authenticated);
+            button.title = authenticated ? 'Backend credentials set' : 'Backend credentials';
+        });
+    }
+}
+
+// Global instance for easy access
+window.authManager = new AuthManager();
+
+document.addEventListener('DOMContentLoaded', () => window.authManager.mountSettingsPanel());
+
+// Export for use in other modules
+window.AuthManager = AuthManager;
+window.AuthError = AuthError;
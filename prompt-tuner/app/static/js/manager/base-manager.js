@@ -197,6 +197,64 @@ class BaseManager {
     static generateUniqueId(prefix = 'id') {
         return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
+
+    /**
+     * Set the value of a generated form input, including FieldWidgets checkboxes,
+     * multi-selects and radio groups
+     * @param {string} elementId - Input element ID
+     * @param {*} value - Value to show; undefined and null clear the input
+     * @returns {boolean} Whether the input exists
+     */
+    static setInputValue(elementId, value) {
+        const element = document.getElementById(elementId);
+        if (!element) return false;
+
+        if (element.type === 'checkbox') {
+            element.checked = value === true || value === 'true';
+        } else if (element.multiple) {
+            const values = [].concat(value ?? []).map(String);
+            Array.from(element.options).forEach(option => {
+                option.selected = values.includes(option.value);
+            });
+        } else if (element.dataset?.widget === 'radio') {
+            element.querySelectorAll('input[type="radio"]').forEach(input => {
+                input.checked = value !== undefined && value !== null && input.value === String(value);
+            });
+        } else {
+            element.value = value === undefined || value === null ? '' : value;
+        }
+        return true;
+    }
+
+    /**
+     * Find the union option a stored value belongs to
+     * Union values are stored as plain objects without the selected option, so the
+     * option whose schema shares the most properties with the value is picked
+     * @param {Array} unionOptions - Options with value and schema_ref
+     * @param {*} value - Stored value (an option value or an object of option fields)
+     * @param {Function} resolveSchema - Returns the schema for a schema_ref
+     * @returns {Object|null} Matching option
+     */
+    static findUnionOption(unionOptions, value, resolveSchema) {
+        if (!unionOptions || value === undefined || value === null) return null;
+
+        if (typeof value !== 'object') {
+            return unionOptions.find(option => option.value === value) || null;
+        }
+
+        const valueKeys = Object.keys(value);
+        let bestOption = null;
+        let bestScore = 0;
+        unionOptions.forEach(option => {
+            const properties = (option.schema_ref && resolveSchema(option.schema_ref)?.properties) || {};
+            const score = valueKeys.filter(key => key in properties).length;
+            if (score > bestScore) {
+                bestOption = option;
+                bestScore = score;
+            }
+        });
+        return bestOption;
+    }
 }
 
 // Export for both CommonJS and ES6 modules
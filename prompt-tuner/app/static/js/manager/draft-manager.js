@@ -0,0 +1,78 @@
+/**
+ * Draft Manager
+ * Keeps unsaved prompt editor content in localStorage so edits survive a closed
+ * modal, a page reload or a crashed tab
+ */
+
+class DraftManager {
+    constructor(storage = window.localStorage, prefix = 'promptTuner.draft') {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    /**
+     * Build the storage key of a prompt file draft
+     * @param {string} workflowId - Workflow the prompt belongs to
+     * @param {string} revisionId - Revision the prompt belongs to
+     * @param {string} filename - Prompt file name (new prompts use a placeholder name)
+     * @returns {string} Storage key
+     */
+    buildKey(workflowId, revisionId, filename) {
+        return [this.prefix, workflowId || 'default', revisionId, filename].map(part => encodeURIComponent(part)).join('/');
+    }
+
+    /**
+     * Save a draft
+     * @param {string} key - Key from buildKey
+     * @param {Object} draft - name and content of the edited prompt, plus baseContent it was started from
+     * @returns {boolean} Whether the draft was stored
+     */
+    saveDraft(key, { name, content, baseContent }) {
+        try {
+            this.storage.setItem(key, JSON.stringify({
+                name: name,
+                content: content,
+                baseContent: baseContent,
+                savedAt: new Date().toISOString()
+            }));
+            return true;
+        } catch (error) {
+            // Quota exceeded or storage disabled - drafts are best effort
+            console.warn('Could not save prompt draft:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load a draft
+     * @param {string} key - Key from buildKey
+     * @returns {Object|null} Draft with name, content, baseContent and savedAt
+     */
+    getDraft(key) {
+        try {
+            const raw = this.storage.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn('Could not read prompt draft:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remove a draft
+     * @param {string} key - Key from buildKey
+     */
+    clearDraft(key) {
+        try {
+            this.storage.removeItem(key);
+        } catch (error) {
+            console.warn('Could not remove prompt draft:', error);
+        }
+    }
+}
+
+// Global instance for easy access
+window.draftManager = new DraftManager();
+
+// Export for use in other modules
+window.DraftManager = DraftManager;
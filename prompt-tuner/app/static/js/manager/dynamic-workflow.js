@@ -7,7 +7,7 @@
 class DynamicWorkflowManager {
     constructor() {
         // Dependencies
-        this.dataManager = null;
+        this.formModel = new FormModel();
         this.arrayManager = null;
         
         // State management
@@ -46,14 +46,9 @@ class DynamicWorkflowManager {
      * Initialize dependency classes
      */
     initializeDependencies() {
-        // Create data manager instance
-        if (window.DataManager) {
-            this.dataManager = new DataManager();
-        }
-        
         // Create array manager instance
         if (window.ArrayManager) {
-            this.arrayManager = new ArrayManager(this.dataManager, this.schemaCache, this.fieldCache);
+            this.arrayManager = new ArrayManager(this.formModel, this.schemaCache, this.fieldCache);
             // CRITICAL: Set global reference for HTML onclick handlers
             window.arrayManager = this.arrayManager;
         }
@@ -154,18 +149,11 @@ class DynamicWorkflowManager {
         }
         // Try to load from API first
         try {
-            const apiCfg = window.API_CONFIG || {};
-            const schemaEndpointTmpl = apiCfg.endpoints?.workflowSchemaRetriever;
-            const baseUrl = apiCfg.baseUrl;
-            // Fallback to legacy API_BASE_URL if config missing
-            const url = (baseUrl && schemaEndpointTmpl)
-                ? `${baseUrl}${schemaEndpointTmpl.replace('{custom-workflow-name}', encodeURIComponent(workflowName))}${schemaEndpointTmpl.endsWith('/') ? '' : '/'}`
-                : `${this.API_BASE_URL}/schema/${encodeURIComponent(workflowName)}/`;
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`API HTTP error! status: ${response.status}`);
-            }
-            const schema = await response.json();
+            // The schema endpoint expects a trailing slash
+            const schema = await window.apiClient.get('workflowSchemaRetriever', {
+                params: { 'custom-workflow-name': workflowName },
+                path: ['']
+            });
             this.schemaCache[workflowName] = schema;
             console.log(`Successfully loaded schema for ${workflowName} from API`);
             return schema;
@@ -205,10 +193,6 @@ class DynamicWorkflowManager {
             const schema = await this.fetchSchema(schemaName);
             const rootModel = schema.schemas.RootModel;
             
-            // CRITICAL: Store the currentSchemaData for use by JSONResponseBuilder
-            this.currentSchemaData = rootModel;
-            console.log('✅ Set currentSchemaData for dynamic extraction:', this.currentSchemaData);
-            
             this.showFormHeader = true;
             this.showFormActions = true;
             
@@ -218,7 +202,7 @@ class DynamicWorkflowManager {
             const formHtml = this.generateFormFromSchema(rootModel, schema.schemas);
             this.dynamicFormHtml = formHtml;
             
-            this.initializeFormData(rootModel);
+            this.initializeFormData(schema);
             
             // Auto-add first array items after DOM update
             setTimeout(async () => {
@@ -279,6 +263,15 @@ class DynamicWorkflowManager {
             return this.generateNestedObjectField(fieldName, field, allSchemas);
         }
         
+        const widget = FieldWidgets.getWidget(field);
+        if (widget) {
+            return FieldWidgets.render(widget, field, {
+                id: fieldId,
+                label: displayName,
+                onChange: value => `window.dynamicWorkflow.updateFormData('${fieldName}', ${value})`
+            });
+        }
+        
         switch (field.ui_component) {
             case 'text_input':
                 return `
@@ -354,6 +347,12 @@ class DynamicWorkflowManager {
             return this.generateFallbackField(fieldName, field);
         }
         
+        // Enums defined as their own schema are a single choice, not an object
+        if (Array.isArray(referencedSchema.enum)) {
+            const { title, ...enumSchema } = referencedSchema;
+            return this.generateFieldHtml(fieldName, { ...enumSchema, ...field, $ref: undefined }, allSchemas);
+        }
+        
         // Generate nested fields HTML
         let nestedFieldsHtml = '';
         if (referencedSchema.properties) {
@@ -390,6 +389,15 @@ class DynamicWorkflowManager {
         const rawDisplayName = prop.display_name || prop.title || propName;
         const displayName = BaseManager.cleanDisplayName(rawDisplayName);
         const fieldId = `${parentFieldName}-${propName}`;
+        const widget = FieldWidgets.getWidget(prop);
+        if (widget) {
+            return FieldWidgets.render(widget, prop, {
+                id: fieldId,
+                label: displayName,
+                onChange: value => `window.dynamicWorkflow.updateNestedObjectFieldData('${parentFieldName}', '${propName}', ${value})`
+            });
+        }
+        
         const onChange = `onchange="window.dynamicWorkflow.updateNestedObjectFieldData('${parentFieldName}', '${propName}', this.value)"`;
         const onChangeFloat = `onchange="window.dynamicWorkflow.updateNestedObjectFieldData('${parentFieldName}', '${propName}', parseFloat(this.value))"`;
 
@@ -492,30 +500,24 @@ class DynamicWorkflowManager {
     }
 
     /**
-     * Update form data (delegate to DataManager)
+     * Update a root field (delegate to FormModel)
      */
     updateFormData(fieldName, value) {
-        if (this.dataManager) {
-            this.dataManager.updateFormData(this.currentSchema, fieldName, value);
-        }
+        this.formModel.setValue([fieldName], value);
     }
 
     /**
-     * Initialize form data (delegate to DataManager)
+     * Point the form model at the workflow schema, which clears it and applies the defaults
      */
-    initializeFormData(model) {
-        if (this.dataManager) {
-            this.dataManager.initializeFormData(this.currentSchema, model);
-        }
+    initializeFormData(schema) {
+        this.formModel.setSchema(schema.schemas.RootModel, this.getSchemaDefinitions(schema));
     }
 
     /**
-     * Reset form data (delegate to DataManager)
+     * Reset form data (delegate to FormModel)
      */
     resetFormData() {
-        if (this.dataManager) {
-            this.dataManager.resetFormData(this.currentSchema);
-        }
+        this.formModel.reset();
         
         setTimeout(() => {
             document.querySelectorAll('.form-input').forEach(input => input.value = '');
@@ -524,201 +526,24 @@ class DynamicWorkflowManager {
     }
 
     /**
-     * Get form data for schema (delegate to DataManager with DOM fallback)
+     * Form data shaped like the workflow schema, i.e. the `user_prompt` object without its envelope
      */
     getFormDataForSchema() {
-        if (this.dataManager) {
-            // Get stored data from DataManager
-            let storedData = this.dataManager.getFormDataForSchema(this.currentSchema);
-            
-            // If stored data is empty, try to collect from DOM
-            if (!storedData || Object.keys(storedData).length === 0) {
-                storedData = this.collectFormDataFromDOM();
-            }
-            
-            return storedData;
-        }
-        
-        // Fallback: collect directly from DOM if DataManager not available
-        return this.collectFormDataFromDOM();
+        return this.formModel.toJSON();
     }
 
     /**
-     * Collect current form data directly from DOM elements
-     */
-    collectFormDataFromDOM() {
-        const formData = {};
-        
-        try {
-            // Collect data from text and number inputs (including empty values)
-            const inputs = document.querySelectorAll('#dynamicFormsContainer input, #dynamicFormsContainer select, #dynamicFormsContainer textarea');
-            inputs.forEach(input => {
-                if (input.id) {
-                    // Parse field name from input ID
-                    const fieldName = this.parseFieldNameFromId(input.id);
-                    if (fieldName) {
-                        // Convert value based on input type
-                        let value = input.value;
-                        if (input.type === 'number' && value !== '') {
-                            value = parseFloat(value) || 0;
-                        }
-                        
-                        // Only set non-empty values or explicitly capture empty strings for required fields
-                        if (value !== '' || input.hasAttribute('required')) {
-                            // Handle nested field names (e.g., "parent-child" becomes nested object)
-                            this.setNestedValue(formData, fieldName, value);
-                        }
-                    }
-                }
-            });
-            
-            // Collect data from selected union options
-            const selectedOptions = document.querySelectorAll('#dynamicFormsContainer .option-card.selected');
-            selectedOptions.forEach(option => {
-                const parentContainer = option.closest('.form-group');
-                if (parentContainer) {
-                    const label = parentContainer.querySelector('.form-label');
-                    if (label) {
-                        const fieldName = this.sanitizeFieldName(label.textContent);
-                        const optionName = option.querySelector('.option-name');
-                        if (optionName) {
-                            formData[fieldName] = optionName.textContent.trim();
-                        }
-                    }
-                }
-            });
-            
-            // Collect data from array items
-            const arrayContainers = document.querySelectorAll('#dynamicFormsContainer .array-container');
-            arrayContainers.forEach(container => {
-                const arrayFieldName = this.extractArrayFieldName(container);
-                if (arrayFieldName) {
-                    const items = container.querySelectorAll('.array-item');
-                    const arrayData = [];
-                    
-                    items.forEach((item, index) => {
-                        const itemData = {};
-                        const itemInputs = item.querySelectorAll('input, select, textarea');
-                        itemInputs.forEach(input => {
-                            if (input.id && input.value !== '') {
-                                const propName = this.extractArrayItemPropName(input.id);
-                                if (propName) {
-                                    let value = input.value;
-                                    if (input.type === 'number') {
-                                        value = parseFloat(value) || 0;
-                                    }
-                                    itemData[propName] = value;
-                                }
-                            }
-                        });
-                        
-                        if (Object.keys(itemData).length > 0) {
-                            arrayData.push(itemData);
-                        }
-                    });
-                    
-                    if (arrayData.length > 0) {
-                        formData[arrayFieldName] = arrayData;
-                    }
-                }
-            });
-            
-            console.log('DynamicWorkflowManager: Enhanced form data collection from DOM:', formData);
-            
-        } catch (error) {
-            console.error('Error collecting form data from DOM:', error);
-        }
-        
-        return formData;
-    }
-
-    /**
-     * Parse field name from DOM element ID
-     */
-    parseFieldNameFromId(elementId) {
-        return BaseManager.parseFieldNameFromId(elementId);
-    }
-
-    /**
-     * Sanitize field name from label text
-     */
-    sanitizeFieldName(labelText) {
-        return BaseManager.sanitizeFieldName(labelText);
-    }
-
-    /**
-     * Extract array field name from container element
-     */
-    extractArrayFieldName(container) {
-        // Look for data attributes or class names that indicate the field name
-        const fieldName = container.getAttribute('data-field-name') || 
-                         container.getAttribute('data-array-field') ||
-                         container.id?.replace('array-', '') ||
-                         null;
-        
-        if (!fieldName) {
-            // Try to extract from the nearest label
-            const label = container.closest('.form-group')?.querySelector('.form-label');
-            if (label) {
-                return this.sanitizeFieldName(label.textContent);
-            }
-        }
-        
-        return fieldName;
-    }
-
-    /**
-     * Extract property name from array item input ID
-     */
-    extractArrayItemPropName(inputId) {
-        // Pattern: "arrayField-itemIndex-propName"
-        const parts = inputId.split('-');
-        if (parts.length >= 3) {
-            // Find the numeric index and take everything after it
-            const numberIndex = parts.findIndex(part => /^\d+$/.test(part));
-            if (numberIndex >= 0 && numberIndex < parts.length - 1) {
-                return parts.slice(numberIndex + 1).join('_');
-            }
-        }
-        
-        // Fallback: take the last part
-        return parts[parts.length - 1];
-    }
-
-    /**
-     * Set nested value in object using dot notation
-     */
-    setNestedValue(obj, path, value) {
-        const keys = path.split('.');
-        let current = obj;
-        
-        for (let i = 0; i < keys.length - 1; i++) {
-            const key = keys[i];
-            if (!current[key] || typeof current[key] !== 'object') {
-                current[key] = {};
-            }
-            current = current[key];
-        }
-        
-        current[keys[keys.length - 1]] = value;
-    }
-
-    /**
-     * Update nested object field data (delegate to DataManager)
+     * Update nested object field data (delegate to FormModel)
      */
     updateNestedObjectFieldData(parentFieldName, propName, value) {
-        if (this.dataManager) {
-            this.dataManager.updateNestedObjectFieldData(this.currentSchema, parentFieldName, propName, value);
-        }
+        this.formModel.setValue([parentFieldName, propName], value);
     }
 
     /**
-     * Update union field data (delegate to DataManager)
+     * Update union field data (delegate to FormModel)
      */
     updateUnionFieldData(parentFieldName, propName, value) {
-        if (this.dataManager) {
-            this.dataManager.updateUnionFieldData(this.currentSchema, parentFieldName, propName, value);
-        }
+        this.formModel.setValue([parentFieldName, propName], value);
     }
 
     /**
@@ -727,7 +552,7 @@ class DynamicWorkflowManager {
     async selectUnionOption(fieldName, value, element) {
         element.parentNode.querySelectorAll('.option-card').forEach(card => card.classList.remove('selected'));
         element.classList.add('selected');
-        this.updateFormData(fieldName, value);
+        this.formModel.selectUnionOption([fieldName], value);
         
         // Render dynamic fields for the selected union option
         await this.renderUnionFields(fieldName, value);
@@ -781,9 +606,6 @@ class DynamicWorkflowManager {
                 container.innerHTML = fieldsHtml;
             }
 
-            // Initialize form data for the selected union type
-            this.initializeUnionFormData(fieldName, selectedSchema);
-
         } catch (error) {
             console.error('Failed to render union fields:', error);
         }
@@ -815,6 +637,15 @@ class DynamicWorkflowManager {
     generateUnionFieldHtml(parentFieldName, propName, prop) {
         const displayName = prop.display_name || prop.title || propName;
         const fieldId = `${parentFieldName}-${propName}`;
+        const widget = FieldWidgets.getWidget(prop);
+        if (widget) {
+            return FieldWidgets.render(widget, prop, {
+                id: fieldId,
+                label: displayName,
+                onChange: value => `window.dynamicWorkflow.updateUnionFieldData('${parentFieldName}', '${propName}', ${value})`
+            });
+        }
+        
         const onChange = `onchange="window.dynamicWorkflow.updateUnionFieldData('${parentFieldName}', '${propName}', this.value)"`;
         const onChangeFloat = `onchange="window.dynamicWorkflow.updateUnionFieldData('${parentFieldName}', '${propName}', parseFloat(this.value))"`;
 
@@ -852,12 +683,184 @@ class DynamicWorkflowManager {
     }
 
     /**
-     * Initialize union form data (delegate to DataManager)
+     * Fill the rendered form from a user_prompt object, e.g. a previously exported input
+     * Array items are recreated to match the data and union options are selected before
+     * their fields are filled, so the DOM and the form model end up in the same state
+     * @param {Object} data - user_prompt object keyed by root field name
+     * @returns {Promise<Array<string>>} Paths of values that have no matching form field
+     */
+    async populateForm(data) {
+        const schema = await this.fetchSchema(this.currentSchema);
+        const rootModel = schema.schemas.RootModel;
+        const properties = rootModel.properties || {};
+        const skipped = [];
+
+        this.formModel.reset();
+
+        // Envelope keys added by JSONResponseBuilder on export
+        const envelopeKeys = ['revision_id', 'identifier'];
+        Object.keys(data)
+            .filter(key => !properties[key] && !envelopeKeys.includes(key))
+            .forEach(key => skipped.push(key));
+
+        for (const [fieldName, field] of Object.entries(properties)) {
+            const value = data[fieldName];
+
+            // Same field type precedence as generateFieldHtml
+            const nestedSchema = field.$ref && this.resolveSchemaRef(field.$ref, schema.schemas);
+            if (nestedSchema && !Array.isArray(nestedSchema.enum)) {
+                const nestedProperties = nestedSchema?.properties || {};
+                Object.keys(nestedProperties).forEach(propName => {
+                    BaseManager.setInputValue(`${fieldName}-${propName}`, value?.[propName]);
+                    if (value?.[propName] !== undefined) {
+                        this.updateNestedObjectFieldData(fieldName, propName, value[propName]);
+                    }
+                });
+                Object.keys(value || {})
+                    .filter(propName => !nestedProperties[propName])
+                    .forEach(propName => skipped.push(`${fieldName}.${propName}`));
+                continue;
+            }
+
+            switch (nestedSchema ? null : field.ui_component) {
+                case 'array':
+                    if (this.arrayManager) {
+                        await this.arrayManager.populateArrayItems(this.currentSchema, fieldName, field, Array.isArray(value) ? value : [], skipped);
+                    }
+                    break;
+                case 'union_select':
+                    await this.populateUnionField(fieldName, value, skipped);
+                    break;
+                default:
+                    BaseManager.setInputValue(`field-${fieldName}`, value);
+                    if (value !== undefined) {
+                        this.updateFormData(fieldName, value);
+                    }
+            }
+        }
+
+        console.log(`DynamicWorkflow: Populated form for ${this.currentSchema}, skipped:`, skipped);
+        return skipped;
+    }
+
+    /**
+     * Select the union option matching an imported value and fill its fields
+     */
+    async populateUnionField(fieldName, value, skipped) {
+        const cards = document.querySelectorAll(`#union-${fieldName} .option-card`);
+        cards.forEach(card => card.classList.remove('selected'));
+        const container = document.getElementById(`union-fields-${fieldName}`);
+        if (container) {
+            container.innerHTML = '';
+        }
+        if (value === undefined || value === null) return;
+
+        const { unionOptions = [], allSchemas = {} } = this.fieldCache[`${this.currentSchema}_${fieldName}_union`] || {};
+        // Values from the model know their option; imported ones are matched by their fields
+        const option = unionOptions.find(candidate => candidate.value === this.formModel.getUnionOption(value)) ||
+                       BaseManager.findUnionOption(unionOptions, value, schemaRef => this.resolveSchemaRef(schemaRef, allSchemas));
+        const card = option && cards[unionOptions.indexOf(option)];
+        if (!card) {
+            skipped.push(fieldName);
+            return;
+        }
+
+        await this.selectUnionOption(fieldName, option.value, card);
+        if (typeof value !== 'object') return;
+
+        Object.entries(value).forEach(([propName, propValue]) => {
+            if (BaseManager.setInputValue(`${fieldName}-${propName}`, propValue)) {
+                this.updateUnionFieldData(fieldName, propName, propValue);
+            } else {
+                skipped.push(`${fieldName}.${propName}`);
+            }
+        });
+    }
+
+    /**
+     * Resolve a $ref against the loaded schemas
+     */
+    resolveSchemaRef(schemaRef, allSchemas) {
+        const schemaName = schemaRef.split('/').pop();
+        return allSchemas[schemaName] ||
+               allSchemas.RootModel?.definitions?.[schemaName] ||
+               this.schemaCache[this.currentSchema]?.schemas?.RootModel?.definitions?.[schemaName];
+    }
+
+    /**
+     * Validate the form data against the workflow schema
+     * @returns {Promise<Object>} Result of ValidationUtils.validateAgainstSchema
+     */
+    async validateFormData() {
+        const { rootModel, definitions } = await this.getRootSchema();
+        return ValidationUtils.validateAgainstSchema(this.getFormDataForSchema(), rootModel, definitions);
+    }
+
+    /**
+     * Get the RootModel of the current workflow with the schemas its $ref values point to
+     * @returns {Promise<Object>} rootModel and definitions by name
+     */
+    async getRootSchema() {
+        const schema = await this.fetchSchema(this.currentSchema);
+        const rootModel = schema.schemas.RootModel;
+        return {
+            rootModel: rootModel,
+            definitions: this.getSchemaDefinitions(schema)
+        };
+    }
+
+    /**
+     * Schemas by name that the $ref values of a workflow schema point to
+     */
+    getSchemaDefinitions(schema) {
+        const rootModel = schema.schemas.RootModel;
+        return { ...rootModel.$defs, ...rootModel.definitions, ...schema.schemas };
+    }
+
+    /**
+     * Show validation errors next to the generated fields
+     * @param {Object} fieldErrors - Error messages by dotted path
+     */
+    showValidationErrors(fieldErrors) {
+        this.clearValidationErrors();
+
+        Object.entries(fieldErrors).forEach(([path, errors]) => {
+            const element = this.getFieldElement(path.split('.'));
+            if (!element) return;
+
+            ValidationUtils.showFieldError(element, errors);
+            const clearError = () => ValidationUtils.clearFieldValidation(element);
+            element.addEventListener('input', clearError, { once: true });
+            element.addEventListener('change', clearError, { once: true });
+        });
+    }
+
+    /**
+     * Remove all inline validation errors from the form
+     */
+    clearValidationErrors() {
+        document.querySelectorAll('#dynamicFormsContainer .is-invalid').forEach(element => {
+            ValidationUtils.clearFieldValidation(element);
+        });
+    }
+
+    /**
+     * Find the element of a data path, following the generated element IDs
+     * (field-name, parent-prop, array-field, union-fields-field, with array indexes in between)
+     * Falls back to the closest rendered ancestor, e.g. the union of a field that is not shown yet
+     * @param {Array<string>} path - Property names and array indexes
+     * @returns {HTMLElement|null} Field element
      */
-    initializeUnionFormData(fieldName, schema) {
-        if (this.dataManager) {
-            this.dataManager.initializeUnionFormData(this.currentSchema, fieldName, schema);
+    getFieldElement(path) {
+        for (let length = path.length; length > 0; length--) {
+            const id = path.slice(0, length).join('-');
+            const element = document.getElementById(id) ||
+                            document.getElementById(`field-${id}`) ||
+                            document.getElementById(`array-${id}`) ||
+                            document.getElementById(`union-fields-${id}`);
+            if (element) return element;
         }
+        return null;
     }
 
     /**
@@ -943,15 +946,13 @@ class DynamicWorkflowManager {
             return;
         }
         
-        if (this.dataManager) {
-            try {
-                const exportResult = this.dataManager.exportData(this.currentSchema, 'json');
-                this.downloadFile(exportResult.content, exportResult.filename, exportResult.mimeType);
-            } catch (error) {
-                console.error('Export failed:', error);
-                alert('Export failed: ' + error.message);
-            }
-        }
+        const exportData = {
+            timestamp: new Date().toISOString(),
+            workflow_name: this.currentSchema,
+            form_data: this.getFormDataForSchema()
+        };
+        const filename = `${this.currentSchema}-data-${new Date().toISOString().split('T')[0]}.json`;
+        this.downloadFile(JSON.stringify(exportData, null, 2), filename, 'application/json');
     }
 
     /**
@@ -970,10 +971,8 @@ class DynamicWorkflowManager {
      */
     resetAll() {
         if (confirm('Are you sure you want to reset all data? This action cannot be undone.')) {
-            if (this.dataManager) {
-                this.dataManager.clearAll();
-            }
-            
+            this.formModel.reset();
+
             this.currentSchema = null;
             this.dynamicFormHtml = '';
             this.resultsHtml = '';
@@ -0,0 +1,126 @@
+/**
+ * Evaluation History Manager
+ * Stores evaluation runs in IndexedDB so results survive a page reload
+ */
+
+class EvaluationHistoryManager {
+    constructor(databaseName = 'promptTuner', storeName = 'evaluationRuns') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.databasePromise = null;
+    }
+
+    /**
+     * Whether the browser supports IndexedDB
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create on first use) the history database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    openDatabase() {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('workflow', 'workflow');
+                    store.createIndex('revisionId', 'revisionId');
+                    store.createIndex('createdAt', 'createdAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                // Allow a later retry, e.g. after the user re-enables storage
+                this.databasePromise = null;
+                throw error;
+            });
+        }
+        return this.databasePromise;
+    }
+
+    /**
+     * Run a request against the object store and resolve with its result
+     */
+    async withStore(mode, callback) {
+        const database = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = callback(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Store a run
+     * @param {Object} run - Run data; id, createdAt and tags are filled in when missing
+     * @returns {Promise<Object>} Stored run
+     */
+    async saveRun(run) {
+        const record = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            createdAt: new Date().toISOString(),
+            tags: [],
+            ...run
+        };
+        await this.withStore('readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Update fields of a stored run
+     * @param {string} id - Run id
+     * @param {Object} changes - Fields to overwrite
+     * @returns {Promise<Object>} Updated run
+     */
+    async updateRun(id, changes) {
+        const run = await this.getRun(id);
+        if (!run) {
+            throw new Error(`Run ${id} not found in history`);
+        }
+        const updated = { ...run, ...changes, id: id };
+        await this.withStore('readwrite', store => store.put(updated));
+        return updated;
+    }
+
+    /**
+     * Load a stored run
+     * @param {string} id - Run id
+     * @returns {Promise<Object|undefined>} Run
+     */
+    async getRun(id) {
+        return await this.withStore('readonly', store => store.get(id));
+    }
+
+    /**
+     * List stored runs, newest first
+     * @param {string} workflow - Only runs of this workflow when given
+     * @returns {Promise<Array>} Runs
+     */
+    async listRuns(workflow = null) {
+        const runs = await this.withStore('readonly', store => workflow
+            ? store.index('workflow').getAll(workflow)
+            : store.getAll());
+        return (runs || []).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Delete a stored run
+     * @param {string} id - Run id
+     */
+    async deleteRun(id) {
+        await this.withStore('readwrite', store => store.delete(id));
+    }
+}
+
+// Global instance for easy access
+window.evaluationHistory = new EvaluationHistoryManager();
+
+// Export for use in other modules
+window.EvaluationHistoryManager = EvaluationHistoryManager;
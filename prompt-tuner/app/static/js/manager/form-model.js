@@ -0,0 +1,238 @@
+/**
+ * Form Model
+ * Holds the values of the dynamic workflow form in the shape of the workflow's JSON Schema:
+ * root fields, arrays of items, nested objects and the fields of the selected union option.
+ * Every generated widget writes here by path, so the model serializes directly to the
+ * `user_prompt` object without reading the DOM.
+ */
+
+class FormModel {
+    /**
+     * FieldWidgets widgets that render a field's default as selected
+     */
+    static PRESELECTING_WIDGETS = ['checkbox', 'switch', 'select', 'radio', 'multi_select'];
+
+    /**
+     * FieldWidgets widgets that always hold a value: an unchecked box is false
+     */
+    static BOOLEAN_WIDGETS = ['checkbox', 'switch'];
+
+    constructor(rootModel = null, definitions = {}) {
+        this.setSchema(rootModel, definitions);
+    }
+
+    /**
+     * Switch to another workflow schema and start over with its defaults
+     * @param {Object} rootModel - RootModel of the workflow schema
+     * @param {Object} definitions - Schemas by name that $ref values point to
+     */
+    setSchema(rootModel, definitions = {}) {
+        this.rootModel = rootModel;
+        this.definitions = definitions;
+        this.reset();
+    }
+
+    /**
+     * Clear all values, keeping the defaults of the root fields
+     */
+    reset() {
+        // Option selected for each union value, keyed by the value object so it follows array moves
+        this.unionOptions = new WeakMap();
+        this.values = this.rootModel ? this.createObject(this.rootModel) : {};
+    }
+
+    /**
+     * Split a path into property names and array indexes
+     * @param {string|Array} path - Dotted path ("stores.0.name") or path segments
+     * @returns {Array} Segments, with array indexes as numbers
+     */
+    static parsePath(path) {
+        const segments = Array.isArray(path) ? path : String(path).split('.');
+        return segments.map(segment => (/^\d+$/.test(String(segment)) ? Number(segment) : segment));
+    }
+
+    /**
+     * Get the value at a path
+     * @returns {*} Value, or undefined when nothing is stored there
+     */
+    getValue(path) {
+        return FormModel.parsePath(path).reduce((current, segment) => (current === undefined || current === null ? undefined : current[segment]), this.values);
+    }
+
+    /**
+     * Store a value, creating the objects and arrays on its path
+     * Empty values (empty strings, NaN, null and undefined) remove the field, as an empty input does;
+     * false is kept, as an unchecked checkbox still answers a boolean field
+     */
+    setValue(path, value) {
+        const segments = FormModel.parsePath(path);
+        const key = segments.pop();
+        const parent = this.getContainer(segments);
+
+        if (value === undefined || value === null || value === '' || Number.isNaN(value)) {
+            delete parent[key];
+        } else {
+            parent[key] = value;
+        }
+    }
+
+    /**
+     * Append an item with the defaults of the array's item schema
+     * @param {string|Array} path - Path of the array
+     * @returns {number} Index of the new item
+     */
+    addItem(path) {
+        const segments = FormModel.parsePath(path);
+        const array = this.getValue(segments);
+        if (!Array.isArray(array)) {
+            this.setValue(segments, []);
+        }
+
+        const itemSchema = this.resolveSchema(this.getSchema(segments)?.items);
+        const items = this.getValue(segments);
+        items.push(itemSchema ? this.createObject(itemSchema) : {});
+        return items.length - 1;
+    }
+
+    /**
+     * Remove an array item; later items move up one index
+     */
+    removeItem(path, index) {
+        const items = this.getValue(path);
+        if (Array.isArray(items)) {
+            items.splice(index, 1);
+        }
+    }
+
+    /**
+     * Select a union option, replacing the union's value with the defaults of the option's schema
+     * @param {string|Array} path - Path of the union field
+     * @param {string} optionValue - Value of the selected union option
+     * @returns {Object} The new union value
+     */
+    selectUnionOption(path, optionValue) {
+        const optionSchema = this.getUnionOptionSchema(this.getSchema(path), optionValue);
+        const value = optionSchema ? this.createObject(optionSchema) : {};
+        this.setValue(path, value);
+        this.unionOptions.set(value, optionValue);
+        return value;
+    }
+
+    /**
+     * Option selected for a union value
+     * @param {Object} value - Union value held by the model
+     * @returns {string|null} Option value, or null when the value was not created by selectUnionOption
+     */
+    getUnionOption(value) {
+        return (value && typeof value === 'object' && this.unionOptions.get(value)) || null;
+    }
+
+    /**
+     * Whether any field holds a value or a union option is selected
+     */
+    hasValues() {
+        const hasValue = value => {
+            if (Array.isArray(value)) return value.some(hasValue);
+            if (value && typeof value === 'object') return this.unionOptions.has(value) || Object.values(value).some(hasValue);
+            return value !== undefined;
+        };
+        return hasValue(this.values);
+    }
+
+    /**
+     * Values shaped like the schema, ready to be sent as the `user_prompt` object
+     * @returns {Object} Plain copy of the values
+     */
+    toJSON() {
+        // Array slots cleared by setValue become null in JSON and are dropped
+        return JSON.parse(JSON.stringify(this.values), (key, value) => (Array.isArray(value) ? value.filter(item => item !== null) : value));
+    }
+
+    /**
+     * Get the schema of the value at a path
+     * Follows $ref values, array items and the option selected for union values
+     * @returns {Object|null} Resolved schema, or null when the path leaves the schema
+     */
+    getSchema(path) {
+        let schema = this.rootModel;
+        let value = this.values;
+
+        for (const segment of FormModel.parsePath(path)) {
+            schema = this.resolveSchema(schema);
+            if (!schema) return null;
+
+            if (typeof segment === 'number') {
+                schema = schema.items;
+            } else {
+                const unionOption = this.getUnionOption(value);
+                if (unionOption !== null) {
+                    schema = this.resolveSchema(this.getUnionOptionSchema(schema, unionOption));
+                }
+                schema = schema?.properties?.[segment];
+            }
+            value = value?.[segment];
+        }
+        return this.resolveSchema(schema);
+    }
+
+    /**
+     * Resolve the $ref of a schema, keeping the properties set next to it (like the form generators)
+     */
+    resolveSchema(schema) {
+        if (!schema?.$ref) return schema || null;
+        const { $ref, ...siblings } = schema;
+        const referenced = this.definitions[$ref.split('/').pop()];
+        return referenced ? { ...referenced, ...siblings } : null;
+    }
+
+    /**
+     * Schema of a union option
+     * Options come from union_options or, like the array item generator, from anyOf references
+     * named after their lowercased schema name
+     */
+    getUnionOptionSchema(unionSchema, optionValue) {
+        const option = (unionSchema?.union_options || []).find(candidate => candidate.value === optionValue);
+        if (option?.schema_ref) {
+            return this.resolveSchema({ $ref: option.schema_ref });
+        }
+
+        const branch = (unionSchema?.anyOf || []).find(candidate => candidate.$ref?.split('/').pop().toLowerCase() === optionValue);
+        return branch ? this.resolveSchema(branch) : null;
+    }
+
+    /**
+     * New object for a schema, holding its default_values, the defaults that the widgets show preselected
+     * and false for checkboxes and switches without a default
+     */
+    createObject(schema) {
+        const object = {};
+        Object.entries(schema.properties || {}).forEach(([propName, prop]) => {
+            const resolved = this.resolveSchema(prop);
+            const widget = FieldWidgets.getWidget(resolved);
+            if (resolved?.default !== undefined && FormModel.PRESELECTING_WIDGETS.includes(widget)) {
+                object[propName] = JSON.parse(JSON.stringify(resolved.default));
+            } else if (FormModel.BOOLEAN_WIDGETS.includes(widget)) {
+                object[propName] = false;
+            }
+        });
+        return { ...object, ...JSON.parse(JSON.stringify(schema.default_values || {})) };
+    }
+
+    /**
+     * Get the object or array at a path, creating missing ones
+     * An array is created where the next segment is an index, an object otherwise
+     */
+    getContainer(segments) {
+        let current = this.values;
+        segments.forEach((segment, index) => {
+            if (!current[segment] || typeof current[segment] !== 'object') {
+                current[segment] = typeof segments[index + 1] === 'number' ? [] : {};
+            }
+            current = current[segment];
+        });
+        return current;
+    }
+}
+
+// Export for use in other modules
+window.FormModel = FormModel;
@@ -0,0 +1,219 @@
+/**
+ * Mock Backend
+ * Answers backend requests from config/mock-fixtures.js when the "mock" API environment is
+ * selected, so the tuner works without the API for front-end development and demos.
+ * apiClient routes requests here instead of the network; prompt edits are kept in
+ * sessionStorage so they survive page changes within the tab.
+ */
+
+class MockBackend {
+    constructor(fixtures = window.MOCK_FIXTURES, storage = window.sessionStorage, storageKey = 'promptTuner.mockPrompts', latencyMs = 300) {
+        this.fixtures = fixtures;
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.latencyMs = latencyMs;
+    }
+
+    /**
+     * Answer a request
+     * @param {Object} request - endpoint (API_CONFIG.endpoints key), params, path and method
+     * @param {Object} fetchOptions - body (JSON string) and signal of the request
+     * @returns {Promise<Response>} Fixture response; 404 for endpoints the mock does not serve
+     */
+    async handle({ endpoint, params = {}, path = [], method = 'GET' }, { body, signal } = {}) {
+        const [revisionId, filename] = path;
+        const payload = typeof body === 'string' && body ? JSON.parse(body) : {};
+
+        switch (`${method} ${endpoint}`) {
+            case 'GET workflows':
+                await this.delay(this.latencyMs, signal);
+                return this.respond({ workflows: this.fixtures.workflows });
+            case 'GET workflowsList':
+                await this.delay(this.latencyMs, signal);
+                return this.respond({ workflows: this.getWorkflowsList() });
+            case 'GET workflowAgents':
+                await this.delay(this.latencyMs, signal);
+                return this.fixtures.agents[params['workflow-name']]
+                    ? this.respond({ workflow_name: params['workflow-name'], agents: this.fixtures.agents[params['workflow-name']] })
+                    : this.respondNotFound(`Unknown workflow: ${params['workflow-name']}`);
+            case 'GET workflowSchemaRetriever':
+                await this.delay(this.latencyMs, signal);
+                return this.fixtures.schemas[params['custom-workflow-name']]
+                    ? this.respond(this.fixtures.schemas[params['custom-workflow-name']])
+                    : this.respondNotFound(`No schema for workflow: ${params['custom-workflow-name']}`);
+            case 'GET promptView': {
+                await this.delay(this.latencyMs, signal);
+                const content = this.getPrompts()[revisionId]?.[filename];
+                // Like the backend, prompt content comes back as a JSON string
+                return content === undefined
+                    ? this.respondNotFound(`Prompt file not found: ${revisionId}/${filename}`)
+                    : this.respond(content);
+            }
+            case 'POST promptUpdate':
+                await this.delay(this.latencyMs, signal);
+                this.savePrompt(revisionId, filename, payload.content ?? '');
+                return this.respond({ status: 'success', revision_id: revisionId, filename: filename });
+            case 'POST promptRename': {
+                await this.delay(this.latencyMs, signal);
+                const content = this.getPrompts()[revisionId]?.[filename];
+                if (content === undefined) {
+                    return this.respondNotFound(`Prompt file not found: ${revisionId}/${filename}`);
+                }
+                this.savePrompt(revisionId, payload.new_filename, content);
+                this.savePrompt(revisionId, filename, null);
+                return this.respond({ status: 'success', revision_id: revisionId, filename: payload.new_filename });
+            }
+            case 'DELETE promptDelete':
+                await this.delay(this.latencyMs, signal);
+                if (this.getPrompts()[revisionId]?.[filename] === undefined) {
+                    return this.respondNotFound(`Prompt file not found: ${revisionId}/${filename}`);
+                }
+                this.savePrompt(revisionId, filename, null);
+                return this.respond({ status: 'success', revision_id: revisionId, filename: filename });
+            case 'POST chat':
+                await this.delay(this.latencyMs * 4, signal);
+                return this.respond(this.buildChatResponse(payload));
+            default:
+                await this.delay(this.latencyMs, signal);
+                return this.respondNotFound(`${method} ${endpoint} is not available in mock mode`);
+        }
+    }
+
+    /**
+     * Workflows list entries with the prompt files of their active revision
+     */
+    getWorkflowsList() {
+        const prompts = this.getPrompts();
+        return this.fixtures.workflows.map(workflow => ({
+            workflow: workflow.workflow,
+            revision_id: workflow.revision_id,
+            prompt_files: Object.keys(prompts[workflow.revision_id] || {}),
+            created_at: workflow.created_at,
+            author: workflow.author
+        }));
+    }
+
+    /**
+     * Fixture prompt files merged with the edits of this session
+     * Files deleted in this session are stored as null and left out
+     * @returns {Object} Content by revision ID and file name
+     */
+    getPrompts() {
+        let edits = {};
+        try {
+            edits = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            console.warn('Could not read mock prompt edits:', error);
+        }
+
+        const prompts = {};
+        new Set([...Object.keys(this.fixtures.prompts), ...Object.keys(edits)]).forEach(revisionId => {
+            const files = { ...this.fixtures.prompts[revisionId], ...edits[revisionId] };
+            prompts[revisionId] = Object.fromEntries(Object.entries(files).filter(([, content]) => content !== null));
+        });
+        return prompts;
+    }
+
+    /**
+     * Store an edited or new prompt file for this session; null marks the file as deleted
+     */
+    savePrompt(revisionId, filename, content) {
+        let edits = {};
+        try {
+            edits = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            // Start over from the fixtures
+        }
+        edits[revisionId] = { ...edits[revisionId], [filename]: content };
+        this.storage.setItem(this.storageKey, JSON.stringify(edits));
+    }
+
+    /**
+     * Canned chat response in the backend's shape: `agent_response` is a JSON string of agents,
+     * each with a `__dict__` holding its chat name, message, token counts and timing
+     * @param {Object} payload - Chat request with `user_prompt` (JSON string) and `conversation_flow`
+     * @returns {Object} Response with agent_response, token_count, message_id and thread_id
+     */
+    buildChatResponse(payload) {
+        let input = {};
+        try {
+            input = JSON.parse(payload.user_prompt || '{}');
+        } catch (error) {
+            // Free-text prompt - answer without input details
+        }
+
+        const stores = Array.isArray(input.stores) ? input.stores : [];
+        const storeNames = stores.map(store => store.name).filter(Boolean).join(', ') || 'the stores';
+        const fill = text => text.replace('{storeCount}', stores.length || 1).replace(/\{storeNames\}/g, storeNames);
+
+        let startTime = Date.now() / 1000;
+        const agents = this.fixtures.chatOutputs.map(output => {
+            const endTime = startTime + output.duration;
+            const agent = {
+                __dict__: {
+                    chat_name: output.chat_name,
+                    chat_response: {
+                        chat_message: {
+                            __dict__: {
+                                content: fill(output.content),
+                                models_usage: { model: output.model }
+                            }
+                        }
+                    },
+                    prompt_tokens: output.prompt_tokens,
+                    completion_tokens: output.completion_tokens,
+                    start_time: startTime,
+                    end_time: endTime
+                }
+            };
+            startTime = endTime;
+            return agent;
+        });
+
+        const id = Date.now().toString(36);
+        return {
+            agent_response: JSON.stringify(agents),
+            token_count: this.fixtures.chatOutputs.reduce((sum, output) => sum + output.prompt_tokens + output.completion_tokens, 0),
+            message_id: `mock-message-${id}`,
+            thread_id: `mock-thread-${id}`,
+            conversation_flow: payload.conversation_flow || null
+        };
+    }
+
+    respond(data, status = 200) {
+        return new Response(JSON.stringify(data), {
+            status: status,
+            statusText: status === 404 ? 'Not Found' : 'OK',
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    respondNotFound(detail) {
+        return this.respond({ detail: detail }, 404);
+    }
+
+    /**
+     * Simulated network latency; rejects with an AbortError when the signal fires
+     */
+    delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The request was aborted', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', abort);
+                resolve();
+            }, ms);
+
+            if (signal?.aborted) abort();
+            signal?.addEventListener('abort', abort, { once: true });
+        });
+    }
+}
+
+// Global instance for easy access
+window.mockBackend = new MockBackend();
+
+// Export for use in other modules
+window.MockBackend = MockBackend;
@@ -0,0 +1,287 @@
+/**
+ * Revision Manager
+ * Loads the revision history of a workflow, forks revisions and renames or deletes prompt files
+ * Shared by the manage prompt and evaluation pages
+ */
+
+class RevisionManager {
+    constructor(apiClient = window.apiClient) {
+        this.apiClient = apiClient;
+        // Cleared once the backend answers that it has no delete endpoint
+        this.canDeletePrompts = true;
+    }
+
+    /**
+     * List every revision of a workflow, newest first
+     * Falls back to the single active revision from the workflows list when the
+     * backend does not expose the revisions endpoint
+     * @param {string} workflowName - Workflow name
+     * @returns {Promise<Array>} Normalized revisions
+     */
+    async listRevisions(workflowName) {
+        const workflow = await this.findWorkflow(workflowName);
+        const activeRevisionId = workflow?.revision_id || null;
+
+        let revisions = null;
+        try {
+            const data = await this.apiClient.get('revisions', { params: { 'workflow-name': workflowName } });
+            const rawRevisions = Array.isArray(data) ? data : (data?.revisions || []);
+            revisions = rawRevisions.map(raw => this.normalizeRevision(raw, activeRevisionId));
+        } catch (error) {
+            console.warn('Revisions endpoint unavailable, using workflows list:', error.message);
+        }
+
+        if (!revisions || revisions.length === 0) {
+            revisions = workflow ? this.revisionsFromWorkflows([workflow]) : [];
+        }
+
+        return this.sortRevisions(revisions);
+    }
+
+    /**
+     * Collect the active revision of every workflow that has prompt files
+     * Used when no specific workflow is selected
+     * @returns {Promise<Array>} Normalized revisions
+     */
+    async listAllActiveRevisions() {
+        const workflows = await this.fetchWorkflows();
+        return this.sortRevisions(this.revisionsFromWorkflows(workflows));
+    }
+
+    /**
+     * Fetch the workflows list
+     */
+    async fetchWorkflows() {
+        const data = await this.apiClient.get('workflowsList');
+        return data?.workflows || [];
+    }
+
+    /**
+     * Find a workflow entry in the workflows list
+     */
+    async findWorkflow(workflowName) {
+        const workflows = await this.fetchWorkflows();
+        return workflows.find(w => w.workflow === workflowName) || null;
+    }
+
+    /**
+     * Build revisions from workflows list entries (one active revision per workflow)
+     */
+    revisionsFromWorkflows(workflows) {
+        const uniqueRevisions = new Map();
+
+        workflows.forEach(workflow => {
+            if (workflow.revision_id && workflow.prompt_files && workflow.prompt_files.length > 0 && !uniqueRevisions.has(workflow.revision_id)) {
+                uniqueRevisions.set(workflow.revision_id, this.normalizeRevision({
+                    revision_id: workflow.revision_id,
+                    prompt_files: workflow.prompt_files,
+                    created_at: workflow.created_at,
+                    author: workflow.author
+                }, workflow.revision_id));
+            }
+        });
+
+        return Array.from(uniqueRevisions.values());
+    }
+
+    /**
+     * Normalize a backend revision into the shape used by the UI
+     * @param {Object} raw - Revision from the API
+     * @param {string|null} activeRevisionId - Revision currently active for the workflow
+     * @returns {Object} Revision with id, name, date, createdAt, description, author, status, promptFiles, parentId
+     */
+    normalizeRevision(raw, activeRevisionId = null) {
+        const id = raw.revision_id || raw.id;
+        const createdAt = raw.created_at || raw.createdAt || null;
+
+        return {
+            id: id,
+            name: raw.name || `${id}`,
+            date: createdAt ? this.formatDate(createdAt) : 'Unknown date',
+            createdAt: createdAt,
+            description: raw.description || `Revision ${id}`,
+            author: raw.author || raw.created_by || 'Unknown',
+            status: raw.status || (id === activeRevisionId ? 'active' : 'archived'),
+            promptFiles: raw.prompt_files || [],
+            parentId: raw.parent_revision_id || raw.source_revision_id || null
+        };
+    }
+
+    /**
+     * Sort revisions newest first; revisions without a date keep their order at the end
+     */
+    sortRevisions(revisions) {
+        return [...revisions].sort((a, b) => {
+            if (!a.createdAt && !b.createdAt) return 0;
+            if (!a.createdAt) return 1;
+            if (!b.createdAt) return -1;
+            return new Date(b.createdAt) - new Date(a.createdAt);
+        });
+    }
+
+    /**
+     * Format an ISO timestamp as YYYY-MM-DD
+     */
+    formatDate(value) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? `${value}` : date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Suggest the next revision id based on existing ids (v1, v2 -> v3)
+     */
+    suggestRevisionId(revisions, sourceRevisionId) {
+        const numbered = revisions
+            .map(revision => /^(.*?)(\d+)$/.exec(revision.id))
+            .filter(Boolean);
+
+        if (numbered.length > 0) {
+            const prefix = numbered[0][1];
+            const next = Math.max(...numbered.map(match => parseInt(match[2], 10))) + 1;
+            return `${prefix}${next}`;
+        }
+
+        return `${sourceRevisionId}-fork-${Date.now().toString(36)}`;
+    }
+
+    /**
+     * Create a new revision by forking an existing one
+     * Uses the backend fork endpoint; when it is unavailable the prompt files are
+     * copied one by one through the prompt view/update endpoints
+     * @param {string} workflowName - Workflow name
+     * @param {Object} sourceRevision - Normalized revision to fork
+     * @param {Object} options - revisionId, description and author of the new revision
+     * @returns {Promise<Object>} Normalized new revision
+     */
+    async forkRevision(workflowName, sourceRevision, { revisionId, description = '', author = 'Current User' }) {
+        if (!revisionId || !/^[\w.-]+$/.test(revisionId)) {
+            throw new Error('Revision id may only contain letters, numbers, dots, dashes and underscores');
+        }
+
+        const requestBody = {
+            source_revision_id: sourceRevision.id,
+            revision_id: revisionId,
+            description: description,
+            author: author
+        };
+
+        try {
+            const result = await this.apiClient.post('revisionFork', requestBody, { params: { 'workflow-name': workflowName } });
+            return this.normalizeRevision({
+                ...requestBody,
+                prompt_files: sourceRevision.promptFiles,
+                created_at: new Date().toISOString(),
+                ...(result?.revision || result || {})
+            });
+        } catch (error) {
+            if (!this.isEndpointUnavailable(error)) {
+                throw error;
+            }
+        }
+
+        console.warn('Fork endpoint unavailable, copying prompt files individually');
+        await this.copyPromptFiles(sourceRevision, revisionId);
+
+        return this.normalizeRevision({
+            ...requestBody,
+            prompt_files: sourceRevision.promptFiles,
+            created_at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Copy every prompt file of a revision into another revision
+     */
+    async copyPromptFiles(sourceRevision, targetRevisionId) {
+        for (const filename of sourceRevision.promptFiles) {
+            const content = this.decodePromptContent(await this.apiClient.get('promptView', {
+                path: [sourceRevision.id, filename],
+                responseType: 'text'
+            }));
+
+            const targetFilename = filename.endsWith('.jinja') ? filename : `${filename}.jinja`;
+            await this.apiClient.post('promptUpdate', { content: content, name: filename.replace(/\.[^/.]+$/, '') }, {
+                path: [targetRevisionId, targetFilename]
+            });
+        }
+    }
+
+    /**
+     * Rename a prompt file within its revision
+     * Falls back to saving the content under the new name and deleting the original when the
+     * backend does not expose the rename endpoint
+     * @param {string} revisionId - Revision of the prompt
+     * @param {string} filename - Current file name
+     * @param {string} newFilename - New file name
+     * @param {string} content - Template content, used by the fallback
+     * @throws {Error} With `copiedTo` set when the copy was saved but the original could not be deleted
+     */
+    async renamePromptFile(revisionId, filename, newFilename, content) {
+        try {
+            await this.apiClient.post('promptRename', { new_filename: newFilename }, { path: [revisionId, filename] });
+            return;
+        } catch (error) {
+            if (!this.isEndpointUnavailable(error)) {
+                throw error;
+            }
+        }
+        if (!this.canDeletePrompts) {
+            throw new Error('Renaming prompt files is not supported by this backend');
+        }
+
+        console.warn('Rename endpoint unavailable, copying the prompt file and deleting the original');
+        await this.apiClient.post('promptUpdate', { content: content, name: newFilename.replace(/\.[^/.]+$/, '') }, {
+            path: [revisionId, newFilename]
+        });
+        try {
+            await this.deletePromptFile(revisionId, filename);
+        } catch (error) {
+            throw Object.assign(new Error(`Saved as ${newFilename}, but ${filename} could not be deleted: ${error.message}`), { copiedTo: newFilename });
+        }
+    }
+
+    /**
+     * Delete a prompt file from its revision
+     * There is no fallback: when the backend has no delete endpoint, canDeletePrompts is cleared
+     * so the page can hide the action
+     * @throws {Error} When the request fails, with `unsupported` set when the backend cannot delete prompt files
+     */
+    async deletePromptFile(revisionId, filename) {
+        try {
+            await this.apiClient.request('promptDelete', { method: 'DELETE', path: [revisionId, filename] });
+        } catch (error) {
+            if (this.isEndpointUnavailable(error)) {
+                this.canDeletePrompts = false;
+                throw Object.assign(new Error('Deleting prompt files is not supported by this backend'), { unsupported: true });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Whether a request failed because the backend does not expose the endpoint
+     */
+    isEndpointUnavailable(error) {
+        return error instanceof window.ApiError && (error.status === 404 || error.status === 405);
+    }
+
+    /**
+     * Prompt view responses may be JSON-encoded strings; return the plain template text
+     */
+    decodePromptContent(text) {
+        if (text.startsWith('"')) {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                // Not a JSON string - use as-is
+            }
+        }
+        return text;
+    }
+}
+
+// Global instance for easy access
+window.revisionManager = new RevisionManager();
+
+// Export for use in other modules
+window.RevisionManager = RevisionManager;
@@ -0,0 +1,159 @@
+/**
+ * Test Case Library Manager
+ * Keeps named form inputs per workflow in localStorage and converts the library
+ * to and from a JSON file that can be shared or checked into git
+ */
+
+class TestCaseLibraryManager {
+    static EXPORT_FORMAT = 'prompt-tuner-test-cases';
+    static EXPORT_VERSION = 1;
+
+    constructor(storage = window.localStorage, storageKey = 'promptTuner.testCases') {
+        this.storage = storage;
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * List every stored test case
+     * @returns {Array<Object>} Cases with id, workflow, name, description, tags, input, expectations,
+     *                          createdAt and updatedAt
+     */
+    listCases() {
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            return raw ? JSON.parse(raw) : [];
+        } catch (error) {
+            console.warn('Could not read the test case library:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Find a case by workflow and name (names are unique per workflow)
+     */
+    findCase(workflow, name) {
+        const key = name.trim().toLowerCase();
+        return this.listCases().find(testCase => testCase.workflow === workflow && testCase.name.toLowerCase() === key) || null;
+    }
+
+    /**
+     * Save a case, replacing the case of the same workflow and name
+     * @param {Object} testCase - workflow, name, description, tags, input and expectations (AssertionUtils assertions) of the case
+     * @returns {Object} Stored case
+     */
+    saveCase({ workflow, name, description = '', tags = [], input, expectations = [] }) {
+        if (!workflow) throw new Error('A workflow is required');
+        if (!name || !name.trim()) throw new Error('A name is required');
+
+        const cases = this.listCases();
+        const existing = this.findCase(workflow, name);
+        const now = new Date().toISOString();
+        const stored = {
+            id: existing?.id || `case_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            workflow: workflow,
+            name: name.trim(),
+            description: String(description ?? '').trim(),
+            tags: this.normalizeTags(tags),
+            input: input,
+            expectations: expectations,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+
+        const index = cases.findIndex(testCase => testCase.id === stored.id);
+        if (index === -1) {
+            cases.push(stored);
+        } else {
+            cases[index] = stored;
+        }
+        this.writeCases(cases);
+        return stored;
+    }
+
+    /**
+     * Delete a case
+     * @param {string} id - Case ID
+     */
+    deleteCase(id) {
+        this.writeCases(this.listCases().filter(testCase => testCase.id !== id));
+    }
+
+    /**
+     * Build the export document of a workflow's cases
+     * @param {string} workflow - Workflow name
+     * @returns {Object} Export document
+     */
+    exportCases(workflow) {
+        return {
+            format: TestCaseLibraryManager.EXPORT_FORMAT,
+            version: TestCaseLibraryManager.EXPORT_VERSION,
+            workflow: workflow,
+            exportedAt: new Date().toISOString(),
+            // IDs are local to the browser; names identify cases across libraries
+            cases: this.listCases()
+                .filter(testCase => testCase.workflow === workflow)
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(({ id, workflow, ...testCase }) => testCase)
+        };
+    }
+
+    /**
+     * Merge an export document into the library; cases with a known name are replaced
+     * @param {Object} document - Export document from exportCases
+     * @returns {Object} added and updated case counts
+     */
+    importCases(document) {
+        if (!document || document.format !== TestCaseLibraryManager.EXPORT_FORMAT || !Array.isArray(document.cases)) {
+            throw new Error('not a test case library export');
+        }
+        if (!document.workflow) {
+            throw new Error('the export does not name its workflow');
+        }
+
+        let added = 0;
+        let updated = 0;
+        document.cases.forEach((testCase, index) => {
+            if (!testCase?.name || !testCase.input || typeof testCase.input !== 'object') {
+                throw new Error(`case ${index + 1} needs a name and an input object`);
+            }
+        });
+
+        document.cases.forEach(testCase => {
+            if (this.findCase(document.workflow, testCase.name)) {
+                updated++;
+            } else {
+                added++;
+            }
+            this.saveCase({ ...testCase, workflow: document.workflow });
+        });
+        return { added, updated };
+    }
+
+    /**
+     * Trim tags and drop empty and duplicate ones
+     * @param {Array<string>|string} tags - Tags or a comma separated list
+     * @returns {Array<string>} Tags
+     */
+    normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+    }
+
+    /**
+     * Persist the library
+     */
+    writeCases(cases) {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(cases));
+        } catch (error) {
+            // Unlike drafts the library is the user's data, so the caller reports the failure
+            throw new Error(`Could not save the test case library: ${error.message}`);
+        }
+    }
+}
+
+// Global instance for easy access
+window.testCaseLibrary = new TestCaseLibraryManager();
+
+// Export for use in other modules
+window.TestCaseLibraryManager = TestCaseLibraryManager;
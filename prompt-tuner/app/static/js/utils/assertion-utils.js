@@ -0,0 +1,282 @@
+/**
+ * AssertionUtils - Expectations on evaluation results
+ * Checks a test case's assertions against the workflow output and each agent result
+ * and turns them into scored pass/fail verdicts
+ *
+ * An expectation list looks like:
+ *   [
+ *     { "type": "contains", "value": "bike" },
+ *     { "type": "not_contains", "value": "error", "target": "*" },
+ *     { "type": "regex", "pattern": "\\d+ stores?", "flags": "i", "target": "summary" },
+ *     { "type": "json_path", "path": "$.stores[0].rating", "equals": 5, "target": "analysis" },
+ *     { "type": "max_tokens", "value": 4000 },
+ *     { "type": "max_latency_ms", "value": 30000, "weight": 2 }
+ *   ]
+ * target is "workflow" (default), an agent name, or "*" for every agent.
+ */
+class AssertionUtils {
+    /**
+     * Assertion types and the option each one needs
+     */
+    static TYPES = {
+        contains: 'value',
+        not_contains: 'value',
+        regex: 'pattern',
+        json_path: 'path',
+        max_tokens: 'value',
+        max_latency_ms: 'value'
+    };
+
+    /**
+     * Parse and check an expectation list entered as JSON
+     * @param {string} text - JSON array of assertions (empty for none)
+     * @returns {Array<Object>} Assertions
+     * @throws {Error} When the JSON or an assertion is invalid
+     */
+    static parseExpectations(text) {
+        if (!text || !text.trim()) return [];
+
+        let expectations;
+        try {
+            expectations = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Expectations are not valid JSON: ${error.message}`);
+        }
+        return this.normalizeExpectations(expectations);
+    }
+
+    /**
+     * Check the assertions of a test case
+     * @param {Array<Object>} expectations - Assertions
+     * @returns {Array<Object>} The same assertions
+     * @throws {Error} When an assertion is invalid
+     */
+    static normalizeExpectations(expectations) {
+        if (expectations === undefined || expectations === null) return [];
+        if (!Array.isArray(expectations)) {
+            throw new Error('Expectations must be a JSON array of assertions');
+        }
+
+        expectations.forEach((assertion, index) => {
+            const label = `Assertion ${index + 1}`;
+            if (!assertion || typeof assertion !== 'object') {
+                throw new Error(`${label} must be an object`);
+            }
+            if (!(assertion.type in this.TYPES)) {
+                throw new Error(`${label} has unknown type "${assertion.type}" (expected one of ${Object.keys(this.TYPES).join(', ')})`);
+            }
+            if (assertion[this.TYPES[assertion.type]] === undefined) {
+                throw new Error(`${label} (${assertion.type}) needs a "${this.TYPES[assertion.type]}"`);
+            }
+            if (assertion.type === 'regex') {
+                try {
+                    new RegExp(assertion.pattern, assertion.flags || '');
+                } catch (error) {
+                    throw new Error(`${label} has an invalid pattern: ${error.message}`);
+                }
+            }
+        });
+        return expectations;
+    }
+
+    /**
+     * Evaluate assertions against processed results
+     * @param {Object} results - Results from PromptEvaluationCore.processApiResponse
+     * @param {Array<Object>} expectations - Assertions
+     * @param {Object} options - latencyMs of the whole run (defaults to the sum of agent times)
+     * @returns {Object|null} Verdict with passed, score, passedCount, total, the workflow verdict and
+     *                        agent verdicts by agent name; null without assertions
+     */
+    static evaluate(results, expectations, { latencyMs = null } = {}) {
+        if (!expectations || expectations.length === 0) return null;
+
+        const agentResults = results.agentResults || [];
+        const workflowSubject = {
+            output: results.workflowOutput,
+            tokens: results.totalTokens || agentResults.reduce((sum, agent) => sum + (agent.tokensUsed || 0), 0),
+            latencyMs: latencyMs ?? agentResults.reduce((sum, agent) => sum + (agent.executionTime || 0), 0)
+        };
+
+        const checks = { workflow: [], agents: {} };
+        const addCheck = (agentName, check) => {
+            (checks.agents[agentName] = checks.agents[agentName] || []).push(check);
+        };
+
+        expectations.forEach(assertion => {
+            const target = assertion.target || 'workflow';
+            if (target === 'workflow') {
+                checks.workflow.push(this.check(assertion, workflowSubject));
+            } else if (target === '*') {
+                agentResults.forEach(agent => addCheck(agent.agentName, this.check(assertion, this.getAgentSubject(agent))));
+            } else {
+                const agent = agentResults.find(result => result.agentName === target);
+                addCheck(target, agent
+                    ? this.check(assertion, this.getAgentSubject(agent))
+                    : { assertion, passed: false, message: `no result from agent "${target}"` });
+            }
+        });
+
+        const agents = Object.fromEntries(Object.entries(checks.agents).map(([agentName, agentChecks]) => [agentName, this.buildVerdict(agentChecks)]));
+        return {
+            ...this.buildVerdict([...checks.workflow, ...Object.values(checks.agents).flat()]),
+            workflow: checks.workflow.length > 0 ? this.buildVerdict(checks.workflow) : null,
+            agents: agents
+        };
+    }
+
+    /**
+     * Output, tokens and latency of an agent result
+     */
+    static getAgentSubject(agent) {
+        return {
+            output: agent.output,
+            tokens: agent.tokensUsed || 0,
+            latencyMs: agent.executionTime || 0
+        };
+    }
+
+    /**
+     * Combine checks into a verdict; the score weighs each assertion by its weight (default 1)
+     * @param {Array<Object>} checks - Results of check()
+     * @returns {Object} passed, score (0-100), passedCount, total and the checks
+     */
+    static buildVerdict(checks) {
+        const weightOf = check => (typeof check.assertion.weight === 'number' ? check.assertion.weight : 1);
+        const totalWeight = checks.reduce((sum, check) => sum + weightOf(check), 0);
+        const passedWeight = checks.filter(check => check.passed).reduce((sum, check) => sum + weightOf(check), 0);
+        const passedCount = checks.filter(check => check.passed).length;
+
+        return {
+            passed: passedCount === checks.length,
+            score: totalWeight > 0 ? Math.round((passedWeight / totalWeight) * 100) : 100,
+            passedCount: passedCount,
+            total: checks.length,
+            checks: checks
+        };
+    }
+
+    /**
+     * Check a single assertion
+     * @param {Object} assertion - Assertion
+     * @param {Object} subject - output, tokens and latencyMs to check
+     * @returns {Object} assertion, passed and a message describing the outcome
+     */
+    static check(assertion, subject) {
+        const output = typeof subject.output === 'string' ? subject.output : JSON.stringify(subject.output ?? '');
+        const describe = assertion.description;
+        const result = (passed, message) => ({ assertion, passed, message: describe ? `${describe}: ${message}` : message });
+
+        switch (assertion.type) {
+            case 'contains':
+            case 'not_contains': {
+                const caseSensitive = assertion.case_sensitive === true;
+                const haystack = caseSensitive ? output : output.toLowerCase();
+                const needle = caseSensitive ? String(assertion.value) : String(assertion.value).toLowerCase();
+                const found = haystack.includes(needle);
+                const message = found ? `contains "${assertion.value}"` : `does not contain "${assertion.value}"`;
+                return result(assertion.type === 'contains' ? found : !found, message);
+            }
+            case 'regex': {
+                const matched = new RegExp(assertion.pattern, assertion.flags || '').test(output);
+                return result(matched, matched ? `matches /${assertion.pattern}/` : `does not match /${assertion.pattern}/`);
+            }
+            case 'json_path': {
+                const parsed = this.parseJsonOutput(output);
+                if (parsed === undefined) {
+                    return result(false, `output is not JSON, cannot read ${assertion.path}`);
+                }
+                const actual = this.getJsonPath(parsed, assertion.path);
+                if (!('equals' in assertion)) {
+                    return result(actual !== undefined, actual !== undefined ? `${assertion.path} exists` : `${assertion.path} is missing`);
+                }
+                const equal = this.isEqual(actual, assertion.equals);
+                return result(equal, equal
+                    ? `${assertion.path} equals ${JSON.stringify(assertion.equals)}`
+                    : `${assertion.path} is ${JSON.stringify(actual)}, expected ${JSON.stringify(assertion.equals)}`);
+            }
+            case 'max_tokens':
+                return result(subject.tokens <= assertion.value, `${subject.tokens} tokens (max ${assertion.value})`);
+            case 'max_latency_ms':
+                return result(subject.latencyMs <= assertion.value, `${subject.latencyMs}ms (max ${assertion.value}ms)`);
+            default:
+                return result(false, `unknown assertion type "${assertion.type}"`);
+        }
+    }
+
+    /**
+     * Parse agent output as JSON, also when it is wrapped in a ```json fence or surrounding text
+     * @param {string} output - Agent output
+     * @returns {*} Parsed value, or undefined when the output holds no JSON
+     */
+    static parseJsonOutput(output) {
+        const candidates = [output.trim()];
+        const fenced = output.match(/```(?:json)?\s*([\s\S]*?)```/);
+        if (fenced) candidates.push(fenced[1].trim());
+        const braced = output.match(/[[{][\s\S]*[\]}]/);
+        if (braced) candidates.push(braced[0]);
+
+        for (const candidate of candidates) {
+            try {
+                return JSON.parse(candidate);
+            } catch (error) {
+                // Try the next candidate
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Read a value by a simple JSON path ($.stores[0].name, stores.0.name or stores[0].name)
+     * @param {*} data - Parsed JSON
+     * @param {string} path - Path
+     * @returns {*} Value, or undefined when the path does not exist
+     */
+    static getJsonPath(data, path) {
+        const keys = String(path)
+            .replace(/^\$\.?/, '')
+            .replace(/\[(?:'([^']*)'|"([^"]*)"|(\d+))\]/g, (match, single, double, index) => `.${single ?? double ?? index}`)
+            .split('.')
+            .filter(key => key !== '');
+
+        return keys.reduce((current, key) => (
+            current !== null && typeof current === 'object' && key in current ? current[key] : undefined
+        ), data);
+    }
+
+    /**
+     * Deep equality of JSON values
+     */
+    static isEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        return keysA.length === keysB.length && keysA.every(key => this.isEqual(a[key], b[key]));
+    }
+
+    /**
+     * Failure messages of a verdict, for error columns and tooltips
+     * @param {Object} verdict - Verdict from evaluate()
+     * @returns {Array<string>} Messages prefixed with their target
+     */
+    static getFailures(verdict) {
+        if (!verdict) return [];
+        const failures = (target, targetVerdict) => (targetVerdict?.checks || [])
+            .filter(check => !check.passed)
+            .map(check => `${target}: ${check.message}`);
+
+        return [
+            ...failures('workflow', verdict.workflow),
+            ...Object.entries(verdict.agents || {}).flatMap(([agentName, agentVerdict]) => failures(agentName, agentVerdict))
+        ];
+    }
+}
+
+// Export for both CommonJS and ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AssertionUtils;
+} else if (typeof window !== 'undefined') {
+    window.AssertionUtils = AssertionUtils;
+}
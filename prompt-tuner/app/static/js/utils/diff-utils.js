@@ -0,0 +1,368 @@
+/**
+ * DiffUtils - Text diff utilities
+ * Provides LCS-based line and word diffs plus HTML rendering helpers
+ */
+class DiffUtils {
+    /**
+     * Maximum size of the LCS table before falling back to a coarse replace diff
+     */
+    static MAX_TABLE_CELLS = 4000000;
+
+    /**
+     * Diff two texts line by line
+     * @param {string} oldText - Original text
+     * @param {string} newText - Changed text
+     * @returns {Array} One operation per line: { type: 'equal'|'added'|'removed', value }
+     */
+    static diffLines(oldText, newText) {
+        return this.diffTokens(this.splitLines(oldText), this.splitLines(newText));
+    }
+
+    /**
+     * Diff two texts word by word, keeping whitespace so the output can be re-joined
+     * @param {string} oldText - Original text
+     * @param {string} newText - Changed text
+     * @returns {Array} Merged operations: { type: 'equal'|'added'|'removed', value }
+     */
+    static diffWords(oldText, newText) {
+        const tokenize = (text) => (text || '').split(/(\s+)/).filter(token => token.length > 0);
+        return this.mergeOps(this.diffTokens(tokenize(oldText), tokenize(newText)));
+    }
+
+    /**
+     * Split text into lines, normalizing line endings
+     * @param {string} text - Text to split
+     * @returns {Array<string>} Lines
+     */
+    static splitLines(text) {
+        if (!text) return [];
+        return text.replace(/\r\n?/g, '\n').split('\n');
+    }
+
+    /**
+     * Diff two token arrays using the longest common subsequence
+     * @param {Array<string>} oldTokens - Original tokens
+     * @param {Array<string>} newTokens - Changed tokens
+     * @returns {Array} One operation per token
+     */
+    static diffTokens(oldTokens, newTokens) {
+        // Strip the common prefix and suffix so the LCS table only covers the changed region
+        let start = 0;
+        while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+            start++;
+        }
+
+        let oldEnd = oldTokens.length;
+        let newEnd = newTokens.length;
+        while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        const prefix = oldTokens.slice(0, start).map(value => ({ type: 'equal', value }));
+        const suffix = oldTokens.slice(oldEnd).map(value => ({ type: 'equal', value }));
+        const oldMiddle = oldTokens.slice(start, oldEnd);
+        const newMiddle = newTokens.slice(start, newEnd);
+
+        return [...prefix, ...this.diffMiddle(oldMiddle, newMiddle), ...suffix];
+    }
+
+    /**
+     * LCS diff of the changed region
+     */
+    static diffMiddle(oldTokens, newTokens) {
+        const n = oldTokens.length;
+        const m = newTokens.length;
+
+        if (n === 0 || m === 0 || (n + 1) * (m + 1) > this.MAX_TABLE_CELLS) {
+            return [
+                ...oldTokens.map(value => ({ type: 'removed', value })),
+                ...newTokens.map(value => ({ type: 'added', value }))
+            ];
+        }
+
+        // table[i][j] = LCS length of oldTokens[i..] and newTokens[j..]
+        const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i][j] = oldTokens[i] === newTokens[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (oldTokens[i] === newTokens[j]) {
+                ops.push({ type: 'equal', value: oldTokens[i] });
+                i++;
+                j++;
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                ops.push({ type: 'removed', value: oldTokens[i] });
+                i++;
+            } else {
+                ops.push({ type: 'added', value: newTokens[j] });
+                j++;
+            }
+        }
+        while (i < n) ops.push({ type: 'removed', value: oldTokens[i++] });
+        while (j < m) ops.push({ type: 'added', value: newTokens[j++] });
+
+        return ops;
+    }
+
+    /**
+     * Merge adjacent operations of the same type
+     * @param {Array} ops - Diff operations
+     * @returns {Array} Merged operations
+     */
+    static mergeOps(ops) {
+        return ops.reduce((merged, op) => {
+            const last = merged[merged.length - 1];
+            if (last && last.type === op.type) {
+                last.value += op.value;
+            } else {
+                merged.push({ ...op });
+            }
+            return merged;
+        }, []);
+    }
+
+    /**
+     * Count added, removed and unchanged operations
+     * @param {Array} ops - Diff operations
+     * @returns {Object} Counts per type
+     */
+    static getStats(ops) {
+        return ops.reduce((stats, op) => {
+            stats[op.type]++;
+            return stats;
+        }, { added: 0, removed: 0, equal: 0 });
+    }
+
+    /**
+     * Map each matched token of the old side to its index on the new side
+     * @param {Array} ops - Operations from diffTokens
+     * @returns {Array<number|null>} New index per old index, null when the old token was removed
+     */
+    static matchIndexes(ops) {
+        const matches = [];
+        let newIndex = 0;
+        ops.forEach(op => {
+            if (op.type === 'equal') {
+                matches.push(newIndex++);
+            } else if (op.type === 'removed') {
+                matches.push(null);
+            } else {
+                newIndex++;
+            }
+        });
+        return matches;
+    }
+
+    /**
+     * Three-way merge of two edited versions of a common base, line by line (diff3)
+     * Regions changed on one side only are taken from that side; regions changed
+     * differently on both sides are reported as conflicts
+     * @param {string} baseText - Common ancestor
+     * @param {string} mineText - Local version
+     * @param {string} theirsText - Remote version
+     * @returns {Object} { chunks: [{ type: 'unchanged'|'mine'|'theirs'|'both'|'conflict', base, mine, theirs, resolution }], conflicts }
+     */
+    static merge3(baseText, mineText, theirsText) {
+        const base = this.splitLines(baseText);
+        const mine = this.splitLines(mineText);
+        const theirs = this.splitLines(theirsText);
+        const mineMatches = this.matchIndexes(this.diffTokens(base, mine));
+        const theirsMatches = this.matchIndexes(this.diffTokens(base, theirs));
+        const sameLines = (a, b) => a.length === b.length && a.every((line, index) => line === b[index]);
+
+        const chunks = [];
+        const pushChunk = (type, baseLines, mineLines, theirsLines) => {
+            const last = chunks[chunks.length - 1];
+            if (type === 'unchanged' && last && last.type === 'unchanged') {
+                last.base.push(...baseLines);
+                last.mine.push(...mineLines);
+                last.theirs.push(...theirsLines);
+                return;
+            }
+            chunks.push({ type, base: baseLines, mine: mineLines, theirs: theirsLines, resolution: null });
+        };
+
+        let baseIndex = 0;
+        let mineIndex = 0;
+        let theirsIndex = 0;
+
+        while (baseIndex < base.length || mineIndex < mine.length || theirsIndex < theirs.length) {
+            // Stable line: kept by both sides at the current position
+            if (baseIndex < base.length && mineMatches[baseIndex] === mineIndex && theirsMatches[baseIndex] === theirsIndex) {
+                pushChunk('unchanged', [base[baseIndex]], [mine[mineIndex]], [theirs[theirsIndex]]);
+                baseIndex++;
+                mineIndex++;
+                theirsIndex++;
+                continue;
+            }
+
+            // Changed region: runs until the next base line kept by both sides
+            let syncIndex = baseIndex;
+            while (syncIndex < base.length && (mineMatches[syncIndex] === null || theirsMatches[syncIndex] === null)) {
+                syncIndex++;
+            }
+            const mineEnd = syncIndex < base.length ? mineMatches[syncIndex] : mine.length;
+            const theirsEnd = syncIndex < base.length ? theirsMatches[syncIndex] : theirs.length;
+
+            const baseLines = base.slice(baseIndex, syncIndex);
+            const mineLines = mine.slice(mineIndex, mineEnd);
+            const theirsLines = theirs.slice(theirsIndex, theirsEnd);
+
+            if (sameLines(mineLines, theirsLines)) {
+                pushChunk(sameLines(baseLines, mineLines) ? 'unchanged' : 'both', baseLines, mineLines, theirsLines);
+            } else if (sameLines(baseLines, mineLines)) {
+                pushChunk('theirs', baseLines, mineLines, theirsLines);
+            } else if (sameLines(baseLines, theirsLines)) {
+                pushChunk('mine', baseLines, mineLines, theirsLines);
+            } else {
+                pushChunk('conflict', baseLines, mineLines, theirsLines);
+            }
+
+            baseIndex = syncIndex;
+            mineIndex = mineEnd;
+            theirsIndex = theirsEnd;
+        }
+
+        return {
+            chunks: chunks,
+            conflicts: chunks.filter(chunk => chunk.type === 'conflict').length
+        };
+    }
+
+    /**
+     * Build the merged text from merge3 chunks
+     * Conflicts use their resolution: 'mine', 'theirs' or 'both' (mine followed by theirs)
+     * @param {Array} chunks - Chunks from merge3
+     * @returns {string|null} Merged text, or null while a conflict is unresolved
+     */
+    static resolveMerge(chunks) {
+        const lines = [];
+
+        for (const chunk of chunks) {
+            if (chunk.type === 'unchanged') {
+                lines.push(...chunk.base);
+            } else if (chunk.type === 'mine' || chunk.type === 'both') {
+                lines.push(...chunk.mine);
+            } else if (chunk.type === 'theirs') {
+                lines.push(...chunk.theirs);
+            } else if (chunk.resolution === 'mine') {
+                lines.push(...chunk.mine);
+            } else if (chunk.resolution === 'theirs') {
+                lines.push(...chunk.theirs);
+            } else if (chunk.resolution === 'both') {
+                lines.push(...chunk.mine, ...chunk.theirs);
+            } else {
+                return null;
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Hash text with 32-bit FNV-1a, used to detect that content changed
+     * @param {string} text - Text to hash
+     * @returns {string} Hex hash
+     */
+    static hashText(text) {
+        let hash = 0x811c9dc5;
+        const value = String(text ?? '');
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Build unified diff rows with old/new line numbers from line operations
+     * @param {Array} ops - Line diff operations from diffLines
+     * @returns {Array} Rows: { type, oldNumber, newNumber, text }
+     */
+    static toUnifiedRows(ops) {
+        let oldNumber = 0;
+        let newNumber = 0;
+
+        return ops.map(op => {
+            if (op.type === 'removed') {
+                return { type: op.type, oldNumber: ++oldNumber, newNumber: null, text: op.value };
+            }
+            if (op.type === 'added') {
+                return { type: op.type, oldNumber: null, newNumber: ++newNumber, text: op.value };
+            }
+            return { type: op.type, oldNumber: ++oldNumber, newNumber: ++newNumber, text: op.value };
+        });
+    }
+
+    /**
+     * Build split (side-by-side) diff rows from line operations
+     * Consecutive removed/added blocks are paired line by line so changed lines sit next to each other
+     * @param {Array} ops - Line diff operations from diffLines
+     * @returns {Array} Rows: { left: { number, text, type } | null, right: { number, text, type } | null }
+     */
+    static toSplitRows(ops) {
+        const rows = [];
+        let oldNumber = 0;
+        let newNumber = 0;
+        let index = 0;
+
+        while (index < ops.length) {
+            const op = ops[index];
+
+            if (op.type === 'equal') {
+                rows.push({
+                    left: { number: ++oldNumber, text: op.value, type: 'equal' },
+                    right: { number: ++newNumber, text: op.value, type: 'equal' }
+                });
+                index++;
+                continue;
+            }
+
+            const removed = [];
+            const added = [];
+            while (index < ops.length && ops[index].type !== 'equal') {
+                (ops[index].type === 'removed' ? removed : added).push(ops[index].value);
+                index++;
+            }
+
+            for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+                rows.push({
+                    left: i < removed.length ? { number: ++oldNumber, text: removed[i], type: 'removed' } : null,
+                    right: i < added.length ? { number: ++newNumber, text: added[i], type: 'added' } : null
+                });
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Render word diff operations as inline HTML with <ins>/<del> markers
+     * @param {Array} ops - Diff operations
+     * @returns {string} HTML string
+     */
+    static toInlineHtml(ops) {
+        return ops.map(op => {
+            const text = DisplayUtils.escapeHtml(op.value);
+            if (op.type === 'added') return `<ins class="diff-added">${text}</ins>`;
+            if (op.type === 'removed') return `<del class="diff-removed">${text}</del>`;
+            return text;
+        }).join('');
+    }
+}
+
+// Export for both CommonJS and ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiffUtils;
+} else if (typeof window !== 'undefined') {
+    window.DiffUtils = DiffUtils;
+}
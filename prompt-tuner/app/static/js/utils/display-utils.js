@@ -322,6 +322,20 @@ class DisplayUtils {
         return text.substring(0, maxLength - suffix.length) + suffix;
     }
 
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    static escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * Generate a contrasting text color based on background color
      * @param {string} backgroundColor - Background color (hex)
@@ -0,0 +1,197 @@
+/**
+ * FieldWidgets - Input widgets for the dynamic form generators
+ * Picks checkbox, select, radio, date/time, textarea and multi-select widgets from a field's
+ * ui_component or, when none is given, from its JSON Schema type/format/enum
+ */
+class FieldWidgets {
+    /**
+     * String fields allowing more characters than this are edited in a textarea
+     */
+    static TEXTAREA_MIN_LENGTH = 200;
+
+    /**
+     * ui_component values handled here, mapped to their widget
+     */
+    static UI_COMPONENTS = {
+        checkbox: 'checkbox',
+        switch: 'switch',
+        select: 'select',
+        radio: 'radio',
+        date_picker: 'date',
+        time_picker: 'time',
+        datetime_picker: 'datetime',
+        textarea: 'textarea',
+        multi_select: 'multi_select'
+    };
+
+    /**
+     * Pick the widget for a field
+     * @param {Object} field - Field schema
+     * @returns {string|null} Widget name, or null when the generator's own text/number input applies
+     */
+    static getWidget(field) {
+        if (!field) return null;
+
+        // text_input, number_input, array and union_select stay with the generators
+        if (field.ui_component) {
+            return this.UI_COMPONENTS[field.ui_component] || null;
+        }
+
+        if (field.type === 'boolean') return 'checkbox';
+        if (field.type === 'array' && Array.isArray(field.items?.enum)) return 'multi_select';
+        if (Array.isArray(field.enum)) return 'select';
+
+        if (field.type === 'string') {
+            switch (field.format) {
+                case 'date':
+                    return 'date';
+                case 'time':
+                    return 'time';
+                case 'date-time':
+                    return 'datetime';
+                case 'textarea':
+                case 'multiline':
+                    return 'textarea';
+            }
+            if (field.maxLength > this.TEXTAREA_MIN_LENGTH) return 'textarea';
+        }
+
+        return null;
+    }
+
+    /**
+     * Render a widget
+     * @param {string} widget - Widget name from getWidget
+     * @param {Object} field - Field schema
+     * @param {Object} options - id and label of the input, plus onChange(valueExpression)
+     *                           returning the inline handler that stores the value
+     * @returns {string} Widget HTML
+     */
+    static render(widget, field, { id, label, onChange }) {
+        const description = field.description ? `<div class="form-text">${DisplayUtils.escapeHtml(field.description)}</div>` : '';
+        const labelHtml = `<label class="form-label" for="${id}">${label}</label>`;
+        const options = this.getOptions(field);
+
+        switch (widget) {
+            case 'checkbox':
+            case 'switch':
+                return `
+                    <div class="mb-3">
+                        <div class="form-check${widget === 'switch' ? ' form-switch' : ''}">
+                            <input class="form-check-input" type="checkbox" id="${id}"${field.default === true ? ' checked' : ''}
+                                   onchange="${onChange('this.checked')}">
+                            <label class="form-check-label" for="${id}">${label}</label>
+                        </div>
+                        ${description}
+                    </div>
+                `;
+            case 'select':
+                return `
+                    <div class="mb-3">
+                        ${labelHtml}
+                        <select class="form-select" id="${id}" onchange="${onChange(this.getValueExpression(options, 'this.value'))}">
+                            <option value="">Select ${label.toLowerCase()}...</option>
+                            ${this.renderOptions(options, field.default)}
+                        </select>
+                        ${description}
+                    </div>
+                `;
+            case 'radio':
+                // The group holds the field ID, so imports (BaseManager.setInputValue) and validation errors address the whole group
+                return `
+                    <div class="mb-3">
+                        <div class="form-label">${label}</div>
+                        <div id="${id}" data-widget="radio">
+                            ${options.map(option => `
+                                <div class="form-check form-check-inline">
+                                    <label class="form-check-label">
+                                        <input class="form-check-input" type="radio" name="${id}" value="${DisplayUtils.escapeHtml(option.value)}"
+                                               ${option.value === field.default ? 'checked' : ''}
+                                               onchange="${onChange(this.getValueExpression(options, 'this.value'))}">
+                                        ${DisplayUtils.escapeHtml(option.label)}
+                                    </label>
+                                </div>
+                            `).join('')}
+                        </div>
+                        ${description}
+                    </div>
+                `;
+            case 'date':
+            case 'time':
+            case 'datetime':
+                return `
+                    <div class="mb-3">
+                        ${labelHtml}
+                        <input type="${widget === 'datetime' ? 'datetime-local' : widget}" class="form-control" id="${id}"
+                               onchange="${onChange('this.value')}">
+                        ${description}
+                    </div>
+                `;
+            case 'textarea':
+                return `
+                    <div class="mb-3">
+                        ${labelHtml}
+                        <textarea class="form-control" id="${id}" rows="4"
+                                  ${field.maxLength ? `maxlength="${field.maxLength}"` : ''}
+                                  placeholder="Enter ${label.toLowerCase()}"
+                                  onchange="${onChange('this.value')}"
+                                  oninput="${onChange('this.value')}"></textarea>
+                        ${description}
+                    </div>
+                `;
+            case 'multi_select':
+                return `
+                    <div class="mb-3">
+                        ${labelHtml}
+                        <select class="form-select" id="${id}" multiple size="${Math.min(Math.max(options.length, 2), 6)}"
+                                onchange="${onChange(`Array.from(this.selectedOptions, option => ${this.getValueExpression(options, 'option.value')})`)}">
+                            ${this.renderOptions(options, field.default)}
+                        </select>
+                        <div class="form-text">Hold Ctrl (Cmd on Mac) to select several</div>
+                        ${description}
+                    </div>
+                `;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Options of an enum field (or of the items of a multi-select)
+     * @param {Object} field - Field schema
+     * @returns {Array<Object>} Options with value and label
+     */
+    static getOptions(field) {
+        const values = field.enum || field.items?.enum || field.options || [];
+        return values.map((value, index) => ({
+            value: value,
+            label: field.enum_labels?.[index] || DisplayUtils.formatEnumLabel(String(value))
+        }));
+    }
+
+    /**
+     * Option tags for a select, with defaults preselected
+     */
+    static renderOptions(options, defaultValue) {
+        const selected = [].concat(defaultValue ?? []);
+        return options.map(option => `
+            <option value="${DisplayUtils.escapeHtml(option.value)}"${selected.includes(option.value) ? ' selected' : ''}>${DisplayUtils.escapeHtml(option.label)}</option>
+        `).join('');
+    }
+
+    /**
+     * Expression converting a selected option back to its enum type
+     * Option values are strings in the DOM, numeric enums are stored as numbers
+     */
+    static getValueExpression(options, valueExpression) {
+        const numeric = options.length > 0 && options.every(option => typeof option.value === 'number');
+        return numeric ? `(${valueExpression} === '' ? '' : Number(${valueExpression}))` : valueExpression;
+    }
+}
+
+// Export for both CommonJS and ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FieldWidgets;
+} else if (typeof window !== 'undefined') {
+    window.FieldWidgets = FieldWidgets;
+}
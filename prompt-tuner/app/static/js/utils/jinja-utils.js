@@ -0,0 +1,1138 @@
+/**
+ * JinjaUtils - Jinja template utilities for the prompt editor
+ * Provides tokenizing, syntax highlighting, static checks (unbalanced blocks,
+ * unknown filters), variable extraction and a minimal render preview
+ */
+class JinjaUtils {
+    /**
+     * Built-in Jinja filters
+     */
+    static KNOWN_FILTERS = [
+        'abs', 'attr', 'batch', 'capitalize', 'center', 'count', 'd', 'default', 'dictsort', 'e',
+        'escape', 'filesizeformat', 'first', 'float', 'forceescape', 'format', 'groupby', 'indent',
+        'int', 'items', 'join', 'last', 'length', 'list', 'lower', 'map', 'max', 'min', 'pprint',
+        'random', 'reject', 'rejectattr', 'replace', 'reverse', 'round', 'safe', 'select', 'selectattr',
+        'slice', 'sort', 'string', 'striptags', 'sum', 'title', 'tojson', 'trim', 'truncate', 'unique',
+        'upper', 'urlencode', 'urlize', 'wordcount', 'wordwrap', 'xmlattr'
+    ];
+
+    /**
+     * Block tags that must be closed with a matching end tag
+     */
+    static BLOCK_TAGS = ['for', 'if', 'block', 'macro', 'call', 'filter', 'with', 'autoescape', 'trans', 'raw'];
+
+    /**
+     * Tags that do not open a block
+     */
+    static SINGLE_TAGS = ['include', 'extends', 'import', 'from', 'set', 'do', 'break', 'continue', 'pluralize'];
+
+    /**
+     * Names that are never template variables
+     */
+    static RESERVED_NAMES = [
+        'and', 'or', 'not', 'in', 'is', 'if', 'else', 'recursive', 'with', 'without', 'context', 'as',
+        'true', 'false', 'none', 'True', 'False', 'None', 'loop', 'caller', 'self', 'varargs', 'kwargs',
+        'range', 'dict', 'lipsum', 'cycler', 'joiner', 'namespace'
+    ];
+
+    static TAG_DELIMITERS = { '{{': '}}', '{%': '%}', '{#': '#}' };
+    static TAG_TYPES = { '{{': 'variable', '{%': 'block', '{#': 'comment' };
+
+    /**
+     * Split a template into text, variable, block and comment tokens
+     * @param {string} template - Template source
+     * @returns {Object} { tokens, errors } where each token has type, value (raw), inner, line, trimLeft, trimRight
+     */
+    static tokenize(template) {
+        const source = template || '';
+        const tokens = [];
+        const errors = [];
+        const openPattern = /\{\{|\{%|\{#/g;
+        const lineAt = (index) => source.slice(0, index).split('\n').length;
+        let position = 0;
+
+        while (position < source.length) {
+            openPattern.lastIndex = position;
+            const openMatch = openPattern.exec(source);
+
+            if (!openMatch) {
+                tokens.push({ type: 'text', value: source.slice(position), line: lineAt(position) });
+                break;
+            }
+
+            if (openMatch.index > position) {
+                tokens.push({ type: 'text', value: source.slice(position, openMatch.index), line: lineAt(position) });
+            }
+
+            const opener = openMatch[0];
+            const closer = this.TAG_DELIMITERS[opener];
+            const closeIndex = source.indexOf(closer, openMatch.index + 2);
+            const line = lineAt(openMatch.index);
+
+            if (closeIndex === -1) {
+                errors.push({ line, message: `Unclosed "${opener}" tag (missing "${closer}")` });
+                tokens.push({ type: 'text', value: source.slice(openMatch.index), line });
+                break;
+            }
+
+            let inner = source.slice(openMatch.index + 2, closeIndex);
+            const trimLeft = inner.startsWith('-');
+            const trimRight = inner.endsWith('-');
+            inner = inner.replace(/^[-+]/, '').replace(/[-+]$/, '').trim();
+
+            const token = {
+                type: this.TAG_TYPES[opener],
+                value: source.slice(openMatch.index, closeIndex + 2),
+                inner,
+                line,
+                trimLeft,
+                trimRight
+            };
+            tokens.push(token);
+            position = closeIndex + 2;
+
+            // Everything up to {% endraw %} is literal text
+            if (token.type === 'block' && /^raw$/.test(inner)) {
+                const endRawPattern = /\{%-?\s*endraw\s*-?%\}/g;
+                endRawPattern.lastIndex = position;
+                const endRawMatch = endRawPattern.exec(source);
+                const rawEnd = endRawMatch ? endRawMatch.index : source.length;
+                if (rawEnd > position) {
+                    tokens.push({ type: 'text', value: source.slice(position, rawEnd), line: lineAt(position) });
+                }
+                position = rawEnd;
+            }
+        }
+
+        return { tokens, errors };
+    }
+
+    /**
+     * Split a Jinja expression into string, number, name and operator tokens
+     * @param {string} source - Expression source
+     * @returns {Array} Tokens: { type: 'string'|'number'|'name'|'op', value }
+     */
+    static lexExpression(source) {
+        const tokens = [];
+        const pattern = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(==|!=|<=|>=|\/\/|\*\*|[<>+\-*/%~|.()[\]{},:=]))/y;
+        let match;
+
+        while (pattern.lastIndex < source.length) {
+            const start = pattern.lastIndex;
+            match = pattern.exec(source);
+            if (!match) {
+                if (/^\s*$/.test(source.slice(start))) break;
+                throw new Error(`Unexpected character "${source.slice(start).trim()[0]}"`);
+            }
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'string', value: this.unquote(match[1]) });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'number', value: parseFloat(match[2]) });
+            } else if (match[3] !== undefined) {
+                tokens.push({ type: 'name', value: match[3] });
+            } else if (match[4] !== undefined) {
+                tokens.push({ type: 'op', value: match[4] });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Strip quotes and resolve escapes of a string literal
+     */
+    static unquote(literal) {
+        return literal.slice(1, -1).replace(/\\(.)/g, (_, char) => ({ n: '\n', t: '\t', r: '\r' }[char] ?? char));
+    }
+
+    /**
+     * Analyze a template for structural errors, unknown filters and referenced variables
+     * @param {string} template - Template source
+     * @returns {Object} { errors, warnings, variables } where issues are { line, message }
+     *   and variables are { name, paths, lines, iterable }
+     */
+    static analyze(template) {
+        const { tokens, errors } = this.tokenize(template);
+        const warnings = [];
+        const stack = [];
+        const boundNames = new Set();
+        const references = [];
+
+        tokens.forEach(token => {
+            if (token.type === 'variable') {
+                this.collectExpression(token.inner, token.line, references, warnings, errors);
+                return;
+            }
+            if (token.type !== 'block') return;
+
+            const keyword = (token.inner.match(/^([A-Za-z_]+)/) || [])[1];
+            const rest = token.inner.slice(keyword ? keyword.length : 0).trim();
+
+            if (!keyword) {
+                errors.push({ line: token.line, message: `Empty or invalid tag "${token.value}"` });
+                return;
+            }
+
+            if (keyword.startsWith('end')) {
+                const opener = keyword.slice(3);
+                const top = stack[stack.length - 1];
+                if (!top) {
+                    errors.push({ line: token.line, message: `"${keyword}" has no matching "${opener}"` });
+                } else if (top.keyword !== opener) {
+                    errors.push({ line: token.line, message: `"${keyword}" does not close "${top.keyword}" opened on line ${top.line}` });
+                    // Recover if the opener is further down the stack
+                    const matchIndex = stack.map(entry => entry.keyword).lastIndexOf(opener);
+                    if (matchIndex !== -1) stack.length = matchIndex;
+                } else {
+                    stack.pop();
+                }
+                return;
+            }
+
+            if (keyword === 'elif' || keyword === 'else') {
+                const top = stack[stack.length - 1];
+                const allowed = keyword === 'elif' ? ['if'] : ['if', 'for'];
+                if (!top || !allowed.includes(top.keyword)) {
+                    errors.push({ line: token.line, message: `"${keyword}" outside of ${allowed.map(tag => `"${tag}"`).join(' or ')}` });
+                }
+                if (keyword === 'elif') {
+                    this.collectExpression(rest, token.line, references, warnings, errors);
+                }
+                return;
+            }
+
+            if (keyword === 'for') {
+                const forMatch = rest.match(/^(.+?)\s+in\s+(.+)$/);
+                if (!forMatch) {
+                    errors.push({ line: token.line, message: 'Invalid "for" tag, expected "for item in items"' });
+                } else {
+                    forMatch[1].split(',').forEach(name => boundNames.add(name.trim().replace(/[()]/g, '')));
+                    const iterableExpression = forMatch[2].replace(/\s+recursive$/, '');
+                    const [iterable, condition] = iterableExpression.split(/\s+if\s+/);
+                    this.collectExpression(iterable, token.line, references, warnings, errors, true);
+                    if (condition) this.collectExpression(condition, token.line, references, warnings, errors);
+                }
+                stack.push({ keyword, line: token.line });
+                return;
+            }
+
+            if (keyword === 'set') {
+                const setMatch = rest.match(/^([^=]+?)\s*=\s*(.+)$/);
+                if (setMatch) {
+                    setMatch[1].split(',').forEach(name => boundNames.add(name.trim()));
+                    this.collectExpression(setMatch[2], token.line, references, warnings, errors);
+                } else {
+                    // Block assignment: {% set name %}...{% endset %}
+                    boundNames.add(rest.split('|')[0].trim());
+                    stack.push({ keyword, line: token.line });
+                }
+                return;
+            }
+
+            if (keyword === 'macro') {
+                const macroMatch = rest.match(/^([A-Za-z_]\w*)\s*\(([^)]*)\)/);
+                if (macroMatch) {
+                    boundNames.add(macroMatch[1]);
+                    macroMatch[2].split(',').forEach(param => boundNames.add(param.split('=')[0].trim()));
+                }
+                stack.push({ keyword, line: token.line });
+                return;
+            }
+
+            if (keyword === 'import' || keyword === 'from') {
+                const aliasMatch = rest.match(/\bas\s+([A-Za-z_]\w*)/g) || [];
+                aliasMatch.forEach(alias => boundNames.add(alias.replace(/^as\s+/, '')));
+                const importMatch = rest.match(/\bimport\s+(.+)$/);
+                if (keyword === 'from' && importMatch) {
+                    importMatch[1].split(',').forEach(name => boundNames.add(name.trim().split(/\s+/)[0]));
+                }
+                return;
+            }
+
+            if (keyword === 'with') {
+                rest.split(',').forEach(assignment => {
+                    const [name, expression] = assignment.split('=');
+                    if (expression) {
+                        boundNames.add(name.trim());
+                        this.collectExpression(expression, token.line, references, warnings, errors);
+                    }
+                });
+                stack.push({ keyword, line: token.line });
+                return;
+            }
+
+            if (this.BLOCK_TAGS.includes(keyword)) {
+                if (keyword === 'if') {
+                    this.collectExpression(rest, token.line, references, warnings, errors);
+                } else if (keyword === 'filter') {
+                    this.checkFilterName(rest.split(/[\s(|]/)[0], token.line, warnings);
+                }
+                stack.push({ keyword, line: token.line });
+                return;
+            }
+
+            if (this.SINGLE_TAGS.includes(keyword)) {
+                if (keyword === 'do') {
+                    this.collectExpression(rest, token.line, references, warnings, errors);
+                }
+                return;
+            }
+
+            warnings.push({ line: token.line, message: `Unknown tag "${keyword}"` });
+        });
+
+        stack.forEach(entry => {
+            errors.push({ line: entry.line, message: `"${entry.keyword}" opened on line ${entry.line} is never closed with "end${entry.keyword}"` });
+        });
+
+        return {
+            errors: errors.sort((a, b) => a.line - b.line),
+            warnings: warnings.sort((a, b) => a.line - b.line),
+            variables: this.groupVariables(references.filter(reference => !boundNames.has(reference.name)))
+        };
+    }
+
+    /**
+     * Collect variable references and filter names from an expression
+     */
+    static collectExpression(source, line, references, warnings, errors, iterable = false) {
+        let tokens;
+        try {
+            tokens = this.lexExpression(source || '');
+        } catch (error) {
+            errors.push({ line, message: `Invalid expression "${source}": ${error.message}` });
+            return;
+        }
+
+        tokens.forEach((token, index) => {
+            if (token.type !== 'name') return;
+
+            const previous = tokens[index - 1];
+            const beforePrevious = tokens[index - 2];
+            const next = tokens[index + 1];
+
+            if (previous?.type === 'op' && previous.value === '|') {
+                this.checkFilterName(token.value, line, warnings);
+                return;
+            }
+            if (previous?.type === 'op' && previous.value === '.') return;
+            if (previous?.value === 'is' || (previous?.value === 'not' && beforePrevious?.value === 'is')) return;
+            if (next?.type === 'op' && next.value === '=') return; // keyword argument
+            if (this.RESERVED_NAMES.includes(token.value)) return;
+
+            // Follow attribute and constant subscript access to build a dotted path
+            let path = token.value;
+            let cursor = index + 1;
+            while (cursor < tokens.length) {
+                const accessor = tokens[cursor];
+                if (accessor.value === '.' && tokens[cursor + 1]?.type === 'name' && tokens[cursor + 2]?.value !== '(') {
+                    path += `.${tokens[cursor + 1].value}`;
+                    cursor += 2;
+                } else if (accessor.value === '[' && tokens[cursor + 1]?.type === 'string' && tokens[cursor + 2]?.value === ']') {
+                    path += `.${tokens[cursor + 1].value}`;
+                    cursor += 3;
+                } else {
+                    break;
+                }
+            }
+
+            references.push({ name: token.value, path, line, iterable: iterable && cursor >= tokens.length });
+        });
+    }
+
+    /**
+     * Warn about filters that are not part of Jinja
+     */
+    static checkFilterName(name, line, warnings) {
+        if (name && !this.KNOWN_FILTERS.includes(name)) {
+            warnings.push({ line, message: `Unknown filter "${name}"` });
+        }
+    }
+
+    /**
+     * Group variable references by root name
+     */
+    static groupVariables(references) {
+        const variables = new Map();
+
+        references.forEach(reference => {
+            if (!variables.has(reference.name)) {
+                variables.set(reference.name, { name: reference.name, paths: [], lines: [], iterable: false });
+            }
+            const variable = variables.get(reference.name);
+            if (reference.path !== reference.name && !variable.paths.includes(reference.path)) {
+                variable.paths.push(reference.path);
+            }
+            if (!variable.lines.includes(reference.line)) {
+                variable.lines.push(reference.line);
+            }
+            if (reference.iterable && reference.path === reference.name) {
+                variable.iterable = true;
+            }
+        });
+
+        return Array.from(variables.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Build a sample context skeleton from analyzed variables
+     * @param {Array} variables - Variables from analyze()
+     * @returns {Object} Sample context with placeholder values
+     */
+    static buildSampleContext(variables) {
+        const context = {};
+
+        variables.forEach(variable => {
+            if (variable.paths.length === 0) {
+                context[variable.name] = variable.iterable ? [] : `<${variable.name}>`;
+                return;
+            }
+
+            variable.paths.forEach(path => {
+                const parts = path.split('.');
+                let target = context;
+                parts.forEach((part, index) => {
+                    if (index === parts.length - 1) {
+                        if (target[part] === undefined) target[part] = `<${path}>`;
+                    } else {
+                        if (typeof target[part] !== 'object' || target[part] === null) target[part] = {};
+                        target = target[part];
+                    }
+                });
+            });
+        });
+
+        return context;
+    }
+
+    /**
+     * Render template source as HTML with Jinja tags wrapped in highlight spans
+     * @param {string} template - Template source
+     * @returns {string} HTML string
+     */
+    static highlight(template) {
+        const source = template || '';
+        const pattern = /\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}|\{#[\s\S]*?#\}/g;
+        let html = '';
+        let position = 0;
+        let match;
+
+        while ((match = pattern.exec(source)) !== null) {
+            html += DisplayUtils.escapeHtml(source.slice(position, match.index));
+            const type = this.TAG_TYPES[match[0].slice(0, 2)];
+            html += `<span class="jinja-${type}">${DisplayUtils.escapeHtml(match[0])}</span>`;
+            position = match.index + match[0].length;
+        }
+        html += DisplayUtils.escapeHtml(source.slice(position));
+
+        // A trailing newline needs an extra line so the overlay keeps the textarea's height
+        return source.endsWith('\n') ? `${html} ` : html;
+    }
+
+    /**
+     * Render a template with a context for previewing
+     * Supports output expressions with filters, if/elif/else, for loops (with loop.*), set,
+     * comments, raw blocks and whitespace control. Other tags raise an error.
+     * @param {string} template - Template source
+     * @param {Object} context - Variables available to the template
+     * @returns {string} Rendered text
+     */
+    static render(template, context = {}) {
+        const { tokens, errors } = this.tokenize(template);
+        if (errors.length > 0) {
+            throw new Error(`Line ${errors[0].line}: ${errors[0].message}`);
+        }
+
+        this.applyWhitespaceControl(tokens);
+        const cursor = { index: 0 };
+        const nodes = this.parseNodes(tokens, cursor, []);
+        return this.renderNodes(nodes, { ...context });
+    }
+
+    /**
+     * Apply "-" whitespace control markers to neighbouring text tokens
+     */
+    static applyWhitespaceControl(tokens) {
+        tokens.forEach((token, index) => {
+            if (token.type === 'text') return;
+            const previous = tokens[index - 1];
+            const next = tokens[index + 1];
+            if (token.trimLeft && previous?.type === 'text') previous.value = previous.value.replace(/\s+$/, '');
+            if (token.trimRight && next?.type === 'text') next.value = next.value.replace(/^\s+/, '');
+        });
+    }
+
+    /**
+     * Parse tokens into a node tree until one of the end keywords is reached
+     */
+    static parseNodes(tokens, cursor, endKeywords) {
+        const nodes = [];
+
+        while (cursor.index < tokens.length) {
+            const token = tokens[cursor.index];
+
+            if (token.type === 'text') {
+                nodes.push({ type: 'text', value: token.value });
+                cursor.index++;
+                continue;
+            }
+            if (token.type === 'comment') {
+                cursor.index++;
+                continue;
+            }
+            if (token.type === 'variable') {
+                nodes.push({ type: 'output', expression: this.compileExpression(token.inner, token.line), line: token.line });
+                cursor.index++;
+                continue;
+            }
+
+            const keyword = (token.inner.match(/^([A-Za-z_]+)/) || [])[1];
+            const rest = token.inner.slice(keyword ? keyword.length : 0).trim();
+
+            if (endKeywords.includes(keyword)) {
+                return nodes;
+            }
+
+            cursor.index++;
+
+            if (keyword === 'if') {
+                const branches = [{ condition: this.compileExpression(rest, token.line), body: this.parseNodes(tokens, cursor, ['elif', 'else', 'endif']) }];
+                let elseBody = [];
+                while (cursor.index < tokens.length) {
+                    const branchToken = tokens[cursor.index];
+                    const branchKeyword = branchToken.inner.match(/^([A-Za-z_]+)/)[1];
+                    cursor.index++;
+                    if (branchKeyword === 'elif') {
+                        const condition = this.compileExpression(branchToken.inner.slice(4).trim(), branchToken.line);
+                        branches.push({ condition, body: this.parseNodes(tokens, cursor, ['elif', 'else', 'endif']) });
+                    } else if (branchKeyword === 'else') {
+                        elseBody = this.parseNodes(tokens, cursor, ['endif']);
+                    } else {
+                        break;
+                    }
+                }
+                nodes.push({ type: 'if', branches, elseBody });
+            } else if (keyword === 'for') {
+                const forMatch = rest.match(/^(.+?)\s+in\s+(.+?)(?:\s+if\s+(.+?))?(?:\s+recursive)?$/);
+                if (!forMatch) throw new Error(`Line ${token.line}: invalid "for" tag`);
+                const body = this.parseNodes(tokens, cursor, ['else', 'endfor']);
+                let elseBody = [];
+                if (tokens[cursor.index]?.inner.startsWith('else')) {
+                    cursor.index++;
+                    elseBody = this.parseNodes(tokens, cursor, ['endfor']);
+                }
+                cursor.index++;
+                nodes.push({
+                    type: 'for',
+                    targets: forMatch[1].split(',').map(name => name.trim().replace(/[()]/g, '')),
+                    iterable: this.compileExpression(forMatch[2], token.line),
+                    condition: forMatch[3] ? this.compileExpression(forMatch[3], token.line) : null,
+                    body,
+                    elseBody
+                });
+            } else if (keyword === 'set') {
+                const setMatch = rest.match(/^([^=]+?)\s*=\s*(.+)$/);
+                if (setMatch) {
+                    nodes.push({
+                        type: 'set',
+                        targets: setMatch[1].split(',').map(name => name.trim()),
+                        expression: this.compileExpression(setMatch[2], token.line)
+                    });
+                } else {
+                    const body = this.parseNodes(tokens, cursor, ['endset']);
+                    cursor.index++;
+                    nodes.push({ type: 'setBlock', target: rest.trim(), body });
+                }
+            } else if (keyword === 'raw' || keyword === 'block') {
+                const body = this.parseNodes(tokens, cursor, [`end${keyword}`]);
+                cursor.index++;
+                nodes.push({ type: 'group', body });
+            } else {
+                throw new Error(`Line ${token.line}: "${keyword}" is not supported in the preview`);
+            }
+        }
+
+        if (endKeywords.length > 0) {
+            throw new Error(`Missing "${endKeywords[endKeywords.length - 1]}"`);
+        }
+        return nodes;
+    }
+
+    /**
+     * Render a node tree with the given scope
+     */
+    static renderNodes(nodes, scope) {
+        let output = '';
+
+        nodes.forEach(node => {
+            switch (node.type) {
+                case 'text':
+                    output += node.value;
+                    break;
+                case 'output':
+                    output += this.toOutputString(node.expression(scope));
+                    break;
+                case 'group':
+                    output += this.renderNodes(node.body, scope);
+                    break;
+                case 'set': {
+                    const value = node.expression(scope);
+                    this.assignTargets(scope, node.targets, value);
+                    break;
+                }
+                case 'setBlock':
+                    scope[node.target] = this.renderNodes(node.body, Object.create(scope));
+                    break;
+                case 'if': {
+                    const branch = node.branches.find(candidate => this.isTruthy(candidate.condition(scope)));
+                    output += this.renderNodes(branch ? branch.body : node.elseBody, scope);
+                    break;
+                }
+                case 'for': {
+                    let items = this.toIterable(node.iterable(scope));
+                    if (node.condition) {
+                        items = items.filter(item => {
+                            const itemScope = Object.create(scope);
+                            this.assignTargets(itemScope, node.targets, item);
+                            return this.isTruthy(node.condition(itemScope));
+                        });
+                    }
+                    if (items.length === 0) {
+                        output += this.renderNodes(node.elseBody, scope);
+                        break;
+                    }
+                    items.forEach((item, index) => {
+                        const loopScope = Object.create(scope);
+                        this.assignTargets(loopScope, node.targets, item);
+                        loopScope.loop = {
+                            index: index + 1,
+                            index0: index,
+                            revindex: items.length - index,
+                            revindex0: items.length - index - 1,
+                            first: index === 0,
+                            last: index === items.length - 1,
+                            length: items.length,
+                            previtem: items[index - 1],
+                            nextitem: items[index + 1],
+                            cycle: (...values) => values[index % values.length]
+                        };
+                        output += this.renderNodes(node.body, loopScope);
+                    });
+                    break;
+                }
+            }
+        });
+
+        return output;
+    }
+
+    /**
+     * Assign one or more unpacked targets in a scope
+     */
+    static assignTargets(scope, targets, value) {
+        if (targets.length === 1) {
+            scope[targets[0]] = value;
+            return;
+        }
+        const values = Array.isArray(value) ? value : [];
+        targets.forEach((target, index) => {
+            scope[target] = values[index];
+        });
+    }
+
+    /**
+     * Compile an expression into a function of the scope
+     * @param {string} source - Expression source
+     * @param {number} line - Line number for error messages
+     * @returns {Function} (scope) => value
+     */
+    static compileExpression(source, line) {
+        let tokens;
+        try {
+            tokens = this.lexExpression(source);
+        } catch (error) {
+            throw new Error(`Line ${line}: ${error.message}`);
+        }
+
+        const parser = new JinjaExpressionParser(tokens, line);
+        const expression = parser.parseExpression();
+        if (!parser.isAtEnd()) {
+            throw new Error(`Line ${line}: unexpected "${parser.peek().value}" in expression "${source}"`);
+        }
+        return expression;
+    }
+
+    /**
+     * Python-style truthiness
+     */
+    static isTruthy(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        if (value && typeof value === 'object') return Object.keys(value).length > 0;
+        return Boolean(value);
+    }
+
+    /**
+     * Convert a value to a list for iteration (objects iterate over their keys)
+     */
+    static toIterable(value) {
+        if (value === undefined || value === null) return [];
+        if (Array.isArray(value)) return value;
+        if (typeof value === 'string') return value.split('');
+        if (typeof value === 'object') return Object.keys(value);
+        throw new Error(`${this.toOutputString(value)} is not iterable`);
+    }
+
+    /**
+     * Convert a value to its template output string (undefined renders as empty)
+     */
+    static toOutputString(value) {
+        if (value === undefined) return '';
+        if (typeof value === 'string') return value;
+        return this.toPythonRepr(value);
+    }
+
+    /**
+     * Python-like representation of a value, as Jinja prints it
+     */
+    static toPythonRepr(value, nested = false) {
+        if (value === null || value === undefined) return 'None';
+        if (value === true) return 'True';
+        if (value === false) return 'False';
+        if (typeof value === 'string') return nested ? `'${value.replace(/'/g, "\\'")}'` : value;
+        if (Array.isArray(value)) return `[${value.map(item => this.toPythonRepr(item, true)).join(', ')}]`;
+        if (typeof value === 'object') {
+            return `{${Object.entries(value).map(([key, item]) => `'${key}': ${this.toPythonRepr(item, true)}`).join(', ')}}`;
+        }
+        return String(value);
+    }
+
+    /**
+     * Resolve an attribute or item, exposing a few Python methods on dicts and strings
+     */
+    static getAttribute(target, name) {
+        if (target === undefined || target === null) return undefined;
+
+        if (typeof target === 'string') {
+            const stringMethods = {
+                upper: () => target.toUpperCase(),
+                lower: () => target.toLowerCase(),
+                strip: () => target.trim(),
+                split: (separator) => separator === undefined ? target.trim().split(/\s+/) : target.split(separator),
+                startswith: (prefix) => target.startsWith(prefix),
+                endswith: (suffix) => target.endsWith(suffix),
+                replace: (oldValue, newValue) => target.split(oldValue).join(newValue)
+            };
+            if (name in stringMethods) return stringMethods[name];
+        }
+
+        if (typeof target === 'object' && !Array.isArray(target) && !Object.prototype.hasOwnProperty.call(target, name)) {
+            const dictMethods = {
+                items: () => Object.entries(target),
+                keys: () => Object.keys(target),
+                values: () => Object.values(target),
+                get: (key, fallback = null) => (key in target ? target[key] : fallback)
+            };
+            if (name in dictMethods) return dictMethods[name];
+        }
+
+        if (Array.isArray(target) && typeof name === 'number' && name < 0) {
+            return target[target.length + name];
+        }
+
+        return target[name];
+    }
+
+    /**
+     * Filters available in the render preview
+     */
+    static RENDER_FILTERS = {
+        abs: (value) => Math.abs(value),
+        capitalize: (value) => { const text = JinjaUtils.toOutputString(value); return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase(); },
+        count: (value) => JinjaUtils.RENDER_FILTERS.length(value),
+        d: (value, fallback = '', boolean = false) => JinjaUtils.RENDER_FILTERS.default(value, fallback, boolean),
+        default: (value, fallback = '', boolean = false) => ((value === undefined || (boolean && !JinjaUtils.isTruthy(value))) ? fallback : value),
+        dictsort: (value) => Object.entries(value || {}).sort(([a], [b]) => a.localeCompare(b)),
+        e: (value) => DisplayUtils.escapeHtml(JinjaUtils.toOutputString(value)),
+        escape: (value) => DisplayUtils.escapeHtml(JinjaUtils.toOutputString(value)),
+        first: (value) => JinjaUtils.toIterable(value)[0],
+        float: (value, fallback = 0.0) => { const number = parseFloat(value); return isNaN(number) ? fallback : number; },
+        indent: (value, width = 4, first = false) => {
+            const pad = typeof width === 'number' ? ' '.repeat(width) : width;
+            return JinjaUtils.toOutputString(value).split('\n').map((line, index) => ((index > 0 || first) && line ? pad + line : line)).join('\n');
+        },
+        int: (value, fallback = 0) => { const number = parseInt(value, 10); return isNaN(number) ? fallback : number; },
+        items: (value) => Object.entries(value || {}),
+        join: (value, separator = '', attribute = null) => JinjaUtils.toIterable(value)
+            .map(item => JinjaUtils.toOutputString(attribute ? JinjaUtils.getAttribute(item, attribute) : item)).join(separator),
+        last: (value) => { const items = JinjaUtils.toIterable(value); return items[items.length - 1]; },
+        length: (value) => (value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value).length : (value?.length ?? 0)),
+        list: (value) => [...JinjaUtils.toIterable(value)],
+        lower: (value) => JinjaUtils.toOutputString(value).toLowerCase(),
+        max: (value) => Math.max(...JinjaUtils.toIterable(value)),
+        min: (value) => Math.min(...JinjaUtils.toIterable(value)),
+        pprint: (value) => JSON.stringify(value, null, 2),
+        replace: (value, oldValue, newValue) => JinjaUtils.toOutputString(value).split(oldValue).join(newValue),
+        reverse: (value) => (typeof value === 'string' ? value.split('').reverse().join('') : [...JinjaUtils.toIterable(value)].reverse()),
+        round: (value, precision = 0) => Number(Number(value).toFixed(precision)),
+        safe: (value) => value,
+        sort: (value, reverse = false) => {
+            const sorted = [...JinjaUtils.toIterable(value)].sort((a, b) => (a > b ? 1 : a < b ? -1 : 0));
+            return reverse ? sorted.reverse() : sorted;
+        },
+        string: (value) => JinjaUtils.toOutputString(value),
+        striptags: (value) => JinjaUtils.toOutputString(value).replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim(),
+        sum: (value) => JinjaUtils.toIterable(value).reduce((total, item) => total + item, 0),
+        title: (value) => JinjaUtils.toOutputString(value).replace(/\w\S*/g, word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()),
+        tojson: (value, indent = null) => JSON.stringify(value, null, indent || undefined),
+        trim: (value) => JinjaUtils.toOutputString(value).trim(),
+        truncate: (value, length = 255, killwords = false, end = '...') => {
+            const text = JinjaUtils.toOutputString(value);
+            if (text.length <= length) return text;
+            const cut = text.slice(0, length - end.length);
+            return (killwords ? cut : cut.replace(/\s+\S*$/, '')) + end;
+        },
+        unique: (value) => [...new Set(JinjaUtils.toIterable(value))],
+        upper: (value) => JinjaUtils.toOutputString(value).toUpperCase(),
+        wordcount: (value) => (JinjaUtils.toOutputString(value).match(/\S+/g) || []).length
+    };
+
+    /**
+     * Tests available in the render preview ("x is defined")
+     */
+    static RENDER_TESTS = {
+        defined: (value) => value !== undefined,
+        undefined: (value) => value === undefined,
+        none: (value) => value === null,
+        boolean: (value) => typeof value === 'boolean',
+        true: (value) => value === true,
+        false: (value) => value === false,
+        number: (value) => typeof value === 'number',
+        integer: (value) => Number.isInteger(value),
+        string: (value) => typeof value === 'string',
+        mapping: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+        sequence: (value) => Array.isArray(value) || typeof value === 'string',
+        iterable: (value) => Array.isArray(value) || typeof value === 'string' || (value !== null && typeof value === 'object'),
+        even: (value) => value % 2 === 0,
+        odd: (value) => value % 2 === 1,
+        divisibleby: (value, divisor) => value % divisor === 0,
+        lower: (value) => typeof value === 'string' && value === value.toLowerCase(),
+        upper: (value) => typeof value === 'string' && value === value.toUpperCase()
+    };
+}
+
+/**
+ * Recursive-descent parser that compiles a Jinja expression into a scope => value function
+ */
+class JinjaExpressionParser {
+    constructor(tokens, line) {
+        this.tokens = tokens;
+        this.line = line;
+        this.position = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.position + offset];
+    }
+
+    isAtEnd() {
+        return this.position >= this.tokens.length;
+    }
+
+    matches(value, offset = 0) {
+        const token = this.peek(offset);
+        return Boolean(token) && (token.type === 'op' || token.type === 'name') && token.value === value;
+    }
+
+    consume(value) {
+        if (value !== undefined && !this.matches(value)) {
+            const found = this.peek() ? `"${this.peek().value}"` : 'end of expression';
+            throw new Error(`Line ${this.line}: expected "${value}" but found ${found}`);
+        }
+        return this.tokens[this.position++];
+    }
+
+    parseExpression() {
+        const value = this.parseOr();
+        if (this.matches('if')) {
+            this.consume('if');
+            const condition = this.parseOr();
+            let otherwise = () => undefined;
+            if (this.matches('else')) {
+                this.consume('else');
+                otherwise = this.parseExpression();
+            }
+            return (scope) => (JinjaUtils.isTruthy(condition(scope)) ? value(scope) : otherwise(scope));
+        }
+        return value;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.matches('or')) {
+            this.consume('or');
+            const previous = left;
+            const right = this.parseAnd();
+            left = (scope) => { const value = previous(scope); return JinjaUtils.isTruthy(value) ? value : right(scope); };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.matches('and')) {
+            this.consume('and');
+            const previous = left;
+            const right = this.parseNot();
+            left = (scope) => { const value = previous(scope); return JinjaUtils.isTruthy(value) ? right(scope) : value; };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.matches('not')) {
+            this.consume('not');
+            const operand = this.parseNot();
+            return (scope) => !JinjaUtils.isTruthy(operand(scope));
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        let left = this.parseConcat();
+        const comparators = {
+            '==': (a, b) => JSON.stringify(a) === JSON.stringify(b),
+            '!=': (a, b) => JSON.stringify(a) !== JSON.stringify(b),
+            '<': (a, b) => a < b,
+            '>': (a, b) => a > b,
+            '<=': (a, b) => a <= b,
+            '>=': (a, b) => a >= b
+        };
+        const contains = (container, item) => {
+            if (typeof container === 'string') return container.includes(item);
+            if (Array.isArray(container)) return container.some(element => JSON.stringify(element) === JSON.stringify(item));
+            return container !== null && typeof container === 'object' && item in container;
+        };
+
+        while (!this.isAtEnd()) {
+            const previous = left;
+            const token = this.peek();
+
+            if (token.type === 'op' && comparators[token.value]) {
+                this.consume();
+                const right = this.parseConcat();
+                const compare = comparators[token.value];
+                left = (scope) => compare(previous(scope), right(scope));
+            } else if (this.matches('in')) {
+                this.consume('in');
+                const right = this.parseConcat();
+                left = (scope) => contains(right(scope), previous(scope));
+            } else if (this.matches('not') && this.matches('in', 1)) {
+                this.consume('not');
+                this.consume('in');
+                const right = this.parseConcat();
+                left = (scope) => !contains(right(scope), previous(scope));
+            } else if (this.matches('is')) {
+                this.consume('is');
+                const negate = this.matches('not');
+                if (negate) this.consume('not');
+                const testName = this.consume().value;
+                const test = JinjaUtils.RENDER_TESTS[testName];
+                if (!test) throw new Error(`Line ${this.line}: test "${testName}" is not supported in the preview`);
+                const args = [];
+                if (this.matches('(')) {
+                    args.push(...this.parseArguments().positional);
+                } else if (!this.isAtEnd() && ['number', 'string'].includes(this.peek().type)) {
+                    const argument = this.parsePrimary();
+                    args.push(argument);
+                }
+                left = (scope) => {
+                    const result = test(previous(scope), ...args.map(arg => arg(scope)));
+                    return negate ? !result : result;
+                };
+            } else {
+                break;
+            }
+        }
+        return left;
+    }
+
+    parseConcat() {
+        let left = this.parseAdditive();
+        while (this.matches('~')) {
+            this.consume('~');
+            const previous = left;
+            const right = this.parseAdditive();
+            left = (scope) => JinjaUtils.toOutputString(previous(scope)) + JinjaUtils.toOutputString(right(scope));
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.matches('+') || this.matches('-')) {
+            const operator = this.consume().value;
+            const previous = left;
+            const right = this.parseMultiplicative();
+            left = operator === '+'
+                ? (scope) => { const a = previous(scope); const b = right(scope); return Array.isArray(a) ? a.concat(b) : a + b; }
+                : (scope) => previous(scope) - right(scope);
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        const operators = {
+            '*': (a, b) => (typeof a === 'string' ? a.repeat(b) : a * b),
+            '/': (a, b) => a / b,
+            '//': (a, b) => Math.floor(a / b),
+            '%': (a, b) => a % b,
+            '**': (a, b) => a ** b
+        };
+        while (!this.isAtEnd() && this.peek().type === 'op' && operators[this.peek().value]) {
+            const operate = operators[this.consume().value];
+            const previous = left;
+            const right = this.parseUnary();
+            left = (scope) => operate(previous(scope), right(scope));
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.matches('-')) {
+            this.consume('-');
+            const operand = this.parseUnary();
+            return (scope) => -operand(scope);
+        }
+        if (this.matches('+')) {
+            this.consume('+');
+            return this.parseUnary();
+        }
+        return this.parseFiltered();
+    }
+
+    parseFiltered() {
+        let value = this.parsePostfix();
+        while (this.matches('|')) {
+            this.consume('|');
+            const filterName = this.consume().value;
+            const filter = JinjaUtils.RENDER_FILTERS[filterName];
+            if (!filter) throw new Error(`Line ${this.line}: filter "${filterName}" is not supported in the preview`);
+            const args = this.matches('(') ? this.parseArguments().positional : [];
+            const previous = value;
+            value = (scope) => filter(previous(scope), ...args.map(arg => arg(scope)));
+        }
+        return value;
+    }
+
+    parsePostfix() {
+        let value = this.parsePrimary();
+        while (!this.isAtEnd()) {
+            const previous = value;
+            if (this.matches('.')) {
+                this.consume('.');
+                const name = this.consume().value;
+                value = (scope) => JinjaUtils.getAttribute(previous(scope), name);
+            } else if (this.matches('[')) {
+                this.consume('[');
+                const key = this.parseExpression();
+                this.consume(']');
+                value = (scope) => JinjaUtils.getAttribute(previous(scope), key(scope));
+            } else if (this.matches('(')) {
+                const { positional, keyword } = this.parseArguments();
+                value = (scope) => {
+                    const callee = previous(scope);
+                    if (typeof callee !== 'function') throw new Error(`Line ${this.line}: value is not callable`);
+                    const kwargs = Object.keys(keyword).length > 0 ? [Object.fromEntries(Object.entries(keyword).map(([name, arg]) => [name, arg(scope)]))] : [];
+                    return callee(...positional.map(arg => arg(scope)), ...kwargs);
+                };
+            } else {
+                break;
+            }
+        }
+        return value;
+    }
+
+    parseArguments() {
+        this.consume('(');
+        const positional = [];
+        const keyword = {};
+        while (!this.matches(')')) {
+            if (this.peek()?.type === 'name' && this.matches('=', 1)) {
+                const name = this.consume().value;
+                this.consume('=');
+                keyword[name] = this.parseExpression();
+            } else {
+                positional.push(this.parseExpression());
+            }
+            if (!this.matches(')')) this.consume(',');
+        }
+        this.consume(')');
+        return { positional, keyword };
+    }
+
+    parsePrimary() {
+        const token = this.consume();
+        if (!token) throw new Error(`Line ${this.line}: unexpected end of expression`);
+
+        if (token.type === 'string' || token.type === 'number') {
+            const literal = token.value;
+            return () => literal;
+        }
+
+        if (token.type === 'name') {
+            const constants = { true: true, True: true, false: false, False: false, none: null, None: null };
+            if (token.value in constants) {
+                const constant = constants[token.value];
+                return () => constant;
+            }
+            if (token.value === 'range') {
+                return () => (start, stop, step = 1) => {
+                    if (stop === undefined) [start, stop] = [0, start];
+                    const values = [];
+                    for (let i = start; step > 0 ? i < stop : i > stop; i += step) values.push(i);
+                    return values;
+                };
+            }
+            const name = token.value;
+            return (scope) => scope[name];
+        }
+
+        if (token.value === '(') {
+            const inner = this.parseExpression();
+            this.consume(')');
+            return inner;
+        }
+
+        if (token.value === '[') {
+            const items = [];
+            while (!this.matches(']')) {
+                items.push(this.parseExpression());
+                if (!this.matches(']')) this.consume(',');
+            }
+            this.consume(']');
+            return (scope) => items.map(item => item(scope));
+        }
+
+        if (token.value === '{') {
+            const entries = [];
+            while (!this.matches('}')) {
+                const key = this.parseExpression();
+                this.consume(':');
+                entries.push([key, this.parseExpression()]);
+                if (!this.matches('}')) this.consume(',');
+            }
+            this.consume('}');
+            return (scope) => Object.fromEntries(entries.map(([key, value]) => [key(scope), value(scope)]));
+        }
+
+        throw new Error(`Line ${this.line}: unexpected "${token.value}"`);
+    }
+}
+
+// Export for both CommonJS and ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JinjaUtils;
+} else if (typeof window !== 'undefined') {
+    window.JinjaUtils = JinjaUtils;
+}
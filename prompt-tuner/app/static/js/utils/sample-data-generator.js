@@ -0,0 +1,278 @@
+/**
+ * SampleDataGenerator - Synthetic workflow inputs
+ * Walks a workflow schema and its $ref definitions to build randomized but realistic values.
+ * A seed makes the output reproducible, so a generated dataset can be regenerated exactly.
+ */
+class SampleDataGenerator {
+    /**
+     * Word lists used for string fields, picked by hints in the field name
+     */
+    static VOCABULARY = {
+        firstNames: ['Anna', 'Ben', 'Carla', 'David', 'Elena', 'Farid', 'Greta', 'Hugo', 'Ines', 'Jonas', 'Kira', 'Luca', 'Maya', 'Noah', 'Olga', 'Pablo'],
+        lastNames: ['Berger', 'Costa', 'Diaz', 'Fischer', 'Jensen', 'Kowalski', 'Larsen', 'Martin', 'Novak', 'Rossi', 'Schmidt', 'Silva', 'Weber', 'Young'],
+        brands: ['Trek', 'Giant', 'Specialized', 'Cannondale', 'Scott', 'Bianchi', 'Canyon', 'Cube', 'Merida', 'Orbea'],
+        models: ['Aero', 'Allroad', 'Comp', 'Elite', 'Expert', 'Pro', 'Sport', 'Touring', 'Trail', 'Urban'],
+        cities: ['Amsterdam', 'Barcelona', 'Berlin', 'Copenhagen', 'Lisbon', 'Lyon', 'Milan', 'Munich', 'Oslo', 'Vienna', 'Zurich'],
+        storeWords: ['Cycles', 'Bike Shop', 'Pedal House', 'Wheelworks', 'Velo', 'Ride Center'],
+        colors: ['black', 'blue', 'green', 'grey', 'orange', 'red', 'silver', 'white', 'yellow'],
+        words: ['fast', 'reliable', 'light', 'comfortable', 'durable', 'stylish', 'affordable', 'smooth', 'sturdy', 'quiet'],
+        sentences: [
+            'Great value for the price and the staff were very helpful.',
+            'The frame feels solid but the saddle could be more comfortable.',
+            'Delivery took longer than expected, otherwise a good experience.',
+            'Shifting is smooth and precise even on steep climbs.',
+            'Perfect for the daily commute, light enough to carry upstairs.',
+            'Brakes needed adjusting after the first week of riding.',
+            'Sales picked up after the spring promotion started.',
+            'Customers keep asking for more electric models in this size.'
+        ]
+    };
+
+    /**
+     * Create a seeded pseudo-random number generator (mulberry32)
+     * @param {string|number} seed - Seed; equal seeds give equal sequences
+     * @returns {Function} Function returning floats in [0, 1)
+     */
+    static createRandom(seed) {
+        // FNV-1a turns any seed string into a 32 bit state
+        let state = 0x811c9dc5;
+        for (const char of String(seed)) {
+            state ^= char.charCodeAt(0);
+            state = Math.imul(state, 0x01000193) >>> 0;
+        }
+
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Generate a random seed to show to the user
+     * @returns {string} Seed
+     */
+    static createSeed() {
+        return Math.random().toString(36).slice(2, 8);
+    }
+
+    /**
+     * Generate one value for a schema
+     * @param {Object} schema - JSON Schema of the value (e.g. a workflow RootModel)
+     * @param {Object} definitions - Schemas by name that $ref values point to
+     * @param {Object} options - seed, or random to continue an existing sequence
+     * @returns {*} Generated value
+     */
+    static generate(schema, definitions = {}, { seed = this.createSeed(), random = null } = {}) {
+        return this.generateValue(schema, definitions, random || this.createRandom(seed), '', 0);
+    }
+
+    /**
+     * Generate several cases in the `{ user_prompt, conversation_flow }` layout of the batch datasets
+     * @param {Object} schema - Workflow RootModel
+     * @param {Object} definitions - Schemas by name that $ref values point to
+     * @param {Object} options - count, seed and workflow (conversation_flow) of the cases
+     * @returns {Array<Object>} Cases
+     */
+    static generateCases(schema, definitions = {}, { count = 10, seed = this.createSeed(), workflow = null } = {}) {
+        const random = this.createRandom(seed);
+        return Array.from({ length: count }, (_, index) => ({
+            user_prompt: {
+                identifier: `sample-${seed}-${index + 1}`,
+                ...this.generate(schema, definitions, { random })
+            },
+            conversation_flow: workflow
+        }));
+    }
+
+    /**
+     * Serialize cases as JSONL
+     * @param {Array<Object>} cases - Cases from generateCases
+     * @returns {string} One JSON document per line
+     */
+    static toJsonl(cases) {
+        return cases.map(testCase => JSON.stringify(testCase)).join('\n') + '\n';
+    }
+
+    /**
+     * Generate a value, recursing into objects and arrays
+     * @param {Object} schema - Schema of the value
+     * @param {Object} definitions - Schemas by name for $ref resolution
+     * @param {Function} random - Seeded generator
+     * @param {string} fieldName - Name of the field, used to pick realistic strings
+     * @param {number} depth - Nesting depth, guards against recursive schemas
+     */
+    static generateValue(schema, definitions, random, fieldName, depth) {
+        if (!schema || depth > 8) return null;
+
+        if (schema.$ref) {
+            const { $ref, ...siblings } = schema;
+            return this.generateValue({ ...definitions[$ref.split('/').pop()], ...siblings }, definitions, random, fieldName, depth + 1);
+        }
+        if (schema.const !== undefined) return schema.const;
+        if (Array.isArray(schema.enum) && schema.enum.length > 0) return this.pick(random, schema.enum);
+
+        // Union fields list their options with a schema_ref, like anyOf branches
+        const unionBranches = (schema.union_options || []).filter(option => option.schema_ref).map(option => ({ $ref: option.schema_ref }));
+        const branches = (unionBranches.length > 0 ? unionBranches : schema.anyOf || schema.oneOf || []).filter(branch => branch.type !== 'null');
+        if (branches.length > 0) {
+            return this.generateValue(this.pick(random, branches), definitions, random, fieldName, depth + 1);
+        }
+        if (schema.allOf) {
+            const merged = schema.allOf.reduce((result, part) => ({ ...result, ...(part.$ref ? definitions[part.$ref.split('/').pop()] : part) }), {});
+            return this.generateValue(merged, definitions, random, fieldName, depth + 1);
+        }
+
+        const type = [].concat(schema.type || (schema.properties ? 'object' : 'string')).find(candidate => candidate !== 'null');
+        switch (type) {
+            case 'object':
+                return Object.entries(schema.properties || {}).reduce((result, [propName, propSchema]) => {
+                    result[propName] = this.generateValue(propSchema, definitions, random, propName, depth + 1);
+                    return result;
+                }, {});
+            case 'array': {
+                const minItems = schema.minItems ?? 1;
+                const maxItems = schema.maxItems ?? Math.max(minItems, 3);
+                const length = minItems + Math.floor(random() * (maxItems - minItems + 1));
+                if (Array.isArray(schema.items?.enum)) {
+                    // Multi-select: distinct values
+                    return this.shuffle(random, schema.items.enum).slice(0, Math.min(length, schema.items.enum.length));
+                }
+                return Array.from({ length }, () => this.generateValue(schema.items, definitions, random, fieldName, depth + 1));
+            }
+            case 'integer':
+            case 'number':
+                return this.generateNumber(schema, type, random, fieldName);
+            case 'boolean':
+                return random() < 0.5;
+            default:
+                return this.generateString(schema, random, fieldName);
+        }
+    }
+
+    /**
+     * Random number within the schema bounds (minimum/maximum or number_config)
+     */
+    static generateNumber(schema, type, random, fieldName) {
+        const numberConfig = schema.number_config || {};
+        const bound = (...candidates) => candidates.find(candidate => typeof candidate === 'number');
+
+        // Field names hint at sensible default ranges
+        const name = fieldName.toLowerCase();
+        const defaultMax = /price|cost|revenue|amount|total/.test(name) ? 5000
+            : /percent|rate|share/.test(name) ? 100
+            : /rating|score/.test(name) ? 5
+            : 100;
+
+        let minimum = bound(schema.minimum, numberConfig.min, typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum + 1 : undefined, 0);
+        let maximum = bound(schema.maximum, numberConfig.max, typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum - 1 : undefined, minimum + defaultMax);
+        if (maximum < minimum) [minimum, maximum] = [maximum, minimum];
+
+        if (type === 'integer') {
+            minimum = Math.ceil(minimum);
+            return minimum + Math.floor(random() * (Math.floor(maximum) - minimum + 1));
+        }
+
+        const step = numberConfig.step || 0.01;
+        const steps = Math.floor((maximum - minimum) / step);
+        const decimals = (String(step).split('.')[1] || '').length;
+        return Number((minimum + Math.floor(random() * (steps + 1)) * step).toFixed(decimals));
+    }
+
+    /**
+     * Random string matching the format, length limits and field name of the schema
+     */
+    static generateString(schema, random, fieldName) {
+        const vocabulary = this.VOCABULARY;
+        const name = fieldName.toLowerCase();
+        let value;
+
+        switch (schema.format) {
+            case 'date':
+                value = this.randomDate(random).toISOString().split('T')[0];
+                break;
+            case 'time':
+                value = this.randomDate(random).toISOString().slice(11, 16);
+                break;
+            case 'date-time':
+                value = this.randomDate(random).toISOString().slice(0, 16);
+                break;
+            case 'email':
+                value = `${this.pick(random, vocabulary.firstNames)}.${this.pick(random, vocabulary.lastNames)}@example.com`.toLowerCase();
+                break;
+        }
+
+        if (value === undefined) {
+            if (/email/.test(name)) {
+                value = `${this.pick(random, vocabulary.firstNames)}.${this.pick(random, vocabulary.lastNames)}@example.com`.toLowerCase();
+            } else if (/phone/.test(name)) {
+                value = `+41 ${this.digits(random, 2)} ${this.digits(random, 3)} ${this.digits(random, 2)} ${this.digits(random, 2)}`;
+            } else if (/store|shop/.test(name)) {
+                value = `${this.pick(random, vocabulary.cities)} ${this.pick(random, vocabulary.storeWords)}`;
+            } else if (/brand|manufacturer/.test(name)) {
+                value = this.pick(random, vocabulary.brands);
+            } else if (/model|product/.test(name)) {
+                value = `${this.pick(random, vocabulary.brands)} ${this.pick(random, vocabulary.models)} ${this.digits(random, 1)}`;
+            } else if (/city|location|region|address/.test(name)) {
+                value = this.pick(random, vocabulary.cities);
+            } else if (/colou?r/.test(name)) {
+                value = this.pick(random, vocabulary.colors);
+            } else if (/(^|_)(id|identifier|code|sku)$/.test(name)) {
+                value = `${this.pick(random, ['BK', 'ST', 'CU', 'PR'])}-${this.digits(random, 4)}`;
+            } else if (/name|customer|owner|manager|person/.test(name)) {
+                value = `${this.pick(random, vocabulary.firstNames)} ${this.pick(random, vocabulary.lastNames)}`;
+            } else if (/review|comment|feedback|description|note|summary|text|message/.test(name) || schema.maxLength > 200) {
+                value = Array.from({ length: 1 + Math.floor(random() * 3) }, () => this.pick(random, vocabulary.sentences)).join(' ');
+            } else {
+                value = `${this.pick(random, vocabulary.words)} ${this.pick(random, vocabulary.words)}`;
+            }
+        }
+
+        if (schema.maxLength !== undefined) value = value.slice(0, schema.maxLength);
+        if (schema.minLength !== undefined) value = value.padEnd(schema.minLength, 'x');
+        return value;
+    }
+
+    /**
+     * Random date within the last year
+     */
+    static randomDate(random) {
+        const yearMs = 365 * 24 * 60 * 60 * 1000;
+        return new Date(Date.UTC(2024, 0, 1) + Math.floor(random() * yearMs));
+    }
+
+    /**
+     * Random entry of a list
+     */
+    static pick(random, values) {
+        return values[Math.floor(random() * values.length)];
+    }
+
+    /**
+     * Copy of a list in random order
+     */
+    static shuffle(random, values) {
+        const result = [...values];
+        for (let index = result.length - 1; index > 0; index--) {
+            const swapIndex = Math.floor(random() * (index + 1));
+            [result[index], result[swapIndex]] = [result[swapIndex], result[index]];
+        }
+        return result;
+    }
+
+    /**
+     * String of random digits
+     */
+    static digits(random, count) {
+        return Array.from({ length: count }, () => Math.floor(random() * 10)).join('');
+    }
+}
+
+// Export for both CommonJS and ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SampleDataGenerator;
+} else if (typeof window !== 'undefined') {
+    window.SampleDataGenerator = SampleDataGenerator;
+}
@@ -129,6 +129,182 @@ class ValidationUtils {
         return result;
     }
 
+    /**
+     * Validate data against a JSON Schema, following $ref into the named definitions
+     * Supports type, required, enum, const, numeric and length limits, pattern, array items and
+     * anyOf/oneOf/allOf. Properties the schema does not describe are ignored, and numeric strings
+     * count as numbers because the backend coerces them.
+     * @param {*} data - Data to validate
+     * @param {Object} schema - Schema of the data (e.g. a workflow RootModel)
+     * @param {Object} definitions - Schemas by name that $ref values point to
+     * @returns {Object} Validation result with isValid, errors, and fieldErrors keyed by dotted path
+     */
+    static validateAgainstSchema(data, schema, definitions = {}) {
+        const fieldErrors = {};
+        this.collectSchemaErrors(data, schema, definitions, [], fieldErrors);
+
+        const errors = [];
+        Object.entries(fieldErrors).forEach(([path, messages]) => {
+            const label = this.formatSchemaPath(path) || 'Input';
+            errors.push(...messages.map(message => `${label}: ${message}`));
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors,
+            fieldErrors: fieldErrors
+        };
+    }
+
+    /**
+     * Collect schema violations of a value into fieldErrors
+     * @param {*} value - Value to validate
+     * @param {Object} schema - Schema of the value
+     * @param {Object} definitions - Schemas by name for $ref resolution
+     * @param {Array} path - Property names and array indexes leading to the value
+     * @param {Object} fieldErrors - Error messages by dotted path, updated in place
+     */
+    static collectSchemaErrors(value, schema, definitions, path, fieldErrors) {
+        // Missing and blank values are only checked by the parent's required list
+        if (!schema || value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+            return;
+        }
+
+        const addError = (message) => {
+            const key = path.join('.');
+            (fieldErrors[key] = fieldErrors[key] || []).push(message);
+        };
+
+        if (schema.$ref) {
+            const resolved = definitions[schema.$ref.split('/').pop()];
+            if (!resolved) {
+                console.warn(`ValidationUtils: Unresolved schema reference ${schema.$ref}`);
+                return;
+            }
+            const { $ref, ...siblings } = schema;
+            schema = { ...resolved, ...siblings };
+        }
+
+        (schema.allOf || []).forEach(subSchema => this.collectSchemaErrors(value, subSchema, definitions, path, fieldErrors));
+
+        const branches = schema.anyOf || schema.oneOf;
+        if (branches) {
+            const branchErrors = branches.map(branch => {
+                const errors = {};
+                this.collectSchemaErrors(value, branch, definitions, path, errors);
+                return errors;
+            });
+            const errorCount = (errors) => Object.values(errors).reduce((sum, messages) => sum + messages.length, 0);
+            if (!branchErrors.some(errors => errorCount(errors) === 0)) {
+                // Report the closest branch so the errors point at concrete fields: fewest errors,
+                // then most properties shared with the value (union values carry no discriminator)
+                const sharedKeys = (branch) => {
+                    const properties = (branch.$ref ? definitions[branch.$ref.split('/').pop()] : branch)?.properties || {};
+                    return typeof value === 'object' ? Object.keys(value).filter(key => key in properties).length : 0;
+                };
+                let closest = 0;
+                branchErrors.forEach((errors, index) => {
+                    const difference = errorCount(errors) - errorCount(branchErrors[closest]);
+                    if (difference < 0 || (difference === 0 && sharedKeys(branches[index]) > sharedKeys(branches[closest]))) {
+                        closest = index;
+                    }
+                });
+                Object.entries(branchErrors[closest]).forEach(([key, messages]) => {
+                    fieldErrors[key] = [...(fieldErrors[key] || []), ...messages];
+                });
+            }
+        }
+
+        const types = [].concat(schema.type || []);
+        if ((types.includes('number') || types.includes('integer')) && typeof value === 'string' && !isNaN(Number(value))) {
+            value = Number(value);
+        }
+        if (types.length > 0 && !types.some(type => this.validateType(value, type))) {
+            addError(`Expected ${types.join(' or ')}`);
+            return;
+        }
+
+        if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+            addError('Invalid option selected');
+        }
+        if (schema.const !== undefined && value !== schema.const) {
+            addError(`Must be ${schema.const}`);
+        }
+
+        if (typeof value === 'number') {
+            const minimum = schema.minimum ?? schema.number_config?.min;
+            const maximum = schema.maximum ?? schema.number_config?.max;
+            if (minimum !== undefined && minimum !== null && minimum !== '' && value < minimum) {
+                addError(`Minimum value is ${minimum}`);
+            }
+            if (maximum !== undefined && maximum !== null && maximum !== '' && value > maximum) {
+                addError(`Maximum value is ${maximum}`);
+            }
+            if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+                addError(`Must be greater than ${schema.exclusiveMinimum}`);
+            }
+            if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+                addError(`Must be less than ${schema.exclusiveMaximum}`);
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                addError(`Minimum length is ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                addError(`Maximum length is ${schema.maxLength} characters`);
+            }
+            if (schema.pattern) {
+                try {
+                    if (!new RegExp(schema.pattern).test(value)) {
+                        addError('Invalid format');
+                    }
+                } catch (error) {
+                    console.warn(`ValidationUtils: Unsupported pattern ${schema.pattern}`);
+                }
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                addError(`At least ${schema.minItems} item(s) required`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                addError(`At most ${schema.maxItems} item(s) allowed`);
+            }
+            if (schema.items && !Array.isArray(schema.items)) {
+                value.forEach((item, index) => this.collectSchemaErrors(item, schema.items, definitions, [...path, index], fieldErrors));
+            }
+        }
+
+        if (typeof value === 'object' && !Array.isArray(value) && schema.properties) {
+            const required = new Set(Array.isArray(schema.required) ? schema.required : []);
+            Object.entries(schema.properties).forEach(([propName, propSchema]) => {
+                const propPath = [...path, propName];
+                if ((required.has(propName) || propSchema.required === true) && this.isEmpty(value[propName])) {
+                    const key = propPath.join('.');
+                    (fieldErrors[key] = fieldErrors[key] || []).push('This field is required');
+                    return;
+                }
+                this.collectSchemaErrors(value[propName], propSchema, definitions, propPath, fieldErrors);
+            });
+        }
+    }
+
+    /**
+     * Format a dotted error path for display, e.g. "stores.0.name" as "stores[0].name"
+     * @param {string} path - Dotted path from validateAgainstSchema
+     * @returns {string} Readable path
+     */
+    static formatSchemaPath(path) {
+        if (!path) return '';
+        return path.split('.').reduce((label, segment) => {
+            if (/^\d+$/.test(segment)) return `${label}[${segment}]`;
+            return label ? `${label}.${segment}` : segment;
+        }, '');
+    }
+
     /**
      * Check if a field is required based on field definition
      * @param {Object} fieldDef - Field definition
@@ -159,6 +335,8 @@ class ValidationUtils {
                 return Array.isArray(value);
             case 'object':
                 return typeof value === 'object' && value !== null && !Array.isArray(value);
+            case 'null':
+                return value === null;
             case 'email':
                 return this.isValidEmail(value);
             case 'url':
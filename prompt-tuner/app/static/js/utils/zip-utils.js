@@ -0,0 +1,207 @@
+/**
+ * ZipUtils - Minimal zip archive support
+ * Writes uncompressed (STORE) zip archives and reads STORE/DEFLATE archives so prompt
+ * bundles can be exported and imported without a library
+ */
+class ZipUtils {
+    static CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    /**
+     * Compute the CRC-32 checksum of bytes
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned CRC-32
+     */
+    static crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Convert a Date to MS-DOS time and date fields
+     */
+    static toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Create a zip archive
+     * @param {Array} files - Entries: { name, content (string or Uint8Array), date? }
+     * @returns {Uint8Array} Zip archive bytes
+     */
+    static createZip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const nameBytes = encoder.encode(file.name);
+            const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+            const crc = this.crc32(data);
+            const { time, date } = this.toDosDateTime(file.date || new Date());
+
+            const localHeader = new DataView(new ArrayBuffer(30));
+            localHeader.setUint32(0, 0x04034b50, true);  // local file header signature
+            localHeader.setUint16(4, 20, true);          // version needed to extract
+            localHeader.setUint16(6, 0x0800, true);      // flags: UTF-8 file names
+            localHeader.setUint16(8, 0, true);           // compression: STORE
+            localHeader.setUint16(10, time, true);
+            localHeader.setUint16(12, date, true);
+            localHeader.setUint32(14, crc, true);
+            localHeader.setUint32(18, data.length, true); // compressed size
+            localHeader.setUint32(22, data.length, true); // uncompressed size
+            localHeader.setUint16(26, nameBytes.length, true);
+            localHeader.setUint16(28, 0, true);          // extra field length
+
+            const centralHeader = new DataView(new ArrayBuffer(46));
+            centralHeader.setUint32(0, 0x02014b50, true); // central directory signature
+            centralHeader.setUint16(4, 20, true);         // version made by
+            centralHeader.setUint16(6, 20, true);         // version needed to extract
+            centralHeader.setUint16(8, 0x0800, true);
+            centralHeader.setUint16(10, 0, true);
+            centralHeader.setUint16(12, time, true);
+            centralHeader.setUint16(14, date, true);
+            centralHeader.setUint32(16, crc, true);
+            centralHeader.setUint32(20, data.length, true);
+            centralHeader.setUint32(24, data.length, true);
+            centralHeader.setUint16(28, nameBytes.length, true);
+            centralHeader.setUint32(42, offset, true);    // offset of local header
+
+            localParts.push(new Uint8Array(localHeader.buffer), nameBytes, data);
+            centralParts.push(new Uint8Array(centralHeader.buffer), nameBytes);
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+        const endRecord = new DataView(new ArrayBuffer(22));
+        endRecord.setUint32(0, 0x06054b50, true);         // end of central directory signature
+        endRecord.setUint16(8, files.length, true);       // entries on this disk
+        endRecord.setUint16(10, files.length, true);      // total entries
+        endRecord.setUint32(12, centralSize, true);
+        endRecord.setUint32(16, offset, true);            // central directory offset
+
+        return this.concatBytes([...localParts, ...centralParts, new Uint8Array(endRecord.buffer)]);
+    }
+
+    /**
+     * Read the file entries of a zip archive
+     * Supports STORE and DEFLATE entries; directories are skipped
+     * @param {ArrayBuffer|Uint8Array} buffer - Zip archive bytes
+     * @returns {Promise<Array>} Entries: { name, content (Uint8Array) }
+     */
+    static async readZip(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+
+        // The end of central directory record sits in the last 22 bytes plus an optional comment
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) {
+            throw new Error('Not a zip archive (end of central directory not found)');
+        }
+
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+        const entries = [];
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupt zip archive (invalid central directory entry)');
+            }
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue;
+
+            const localNameLength = view.getUint16(localOffset + 26, true);
+            const localExtraLength = view.getUint16(localOffset + 28, true);
+            const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            if (method === 0) {
+                entries.push({ name, content: data.slice() });
+            } else if (method === 8) {
+                entries.push({ name, content: await this.inflateRaw(data) });
+            } else {
+                throw new Error(`Unsupported compression method ${method} for "${name}"`);
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Decompress raw DEFLATE data with the browser's DecompressionStream
+     */
+    static async inflateRaw(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress zip archives');
+        }
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Concatenate byte arrays
+     */
+    static concatBytes(parts) {
+        const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            result.set(part, position);
+            position += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * Trigger a browser download of a Blob
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Download file name
+     */
+    static downloadBlob(blob, filename) {
+        const url = window.URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        window.URL.revokeObjectURL(url);
+    }
+}
+
+// Export for both CommonJS and ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipUtils;
+} else if (typeof window !== 'undefined') {
+    window.ZipUtils = ZipUtils;
+}
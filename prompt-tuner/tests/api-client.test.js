@@ -0,0 +1,29 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers/browser-env');
+
+describe('wait', () => {
+    test('stops listening for the abort signal once the delay is over', async () => {
+        const { apiClient } = loadScripts(['manager/api-client.js']);
+        const signal = new AbortController().signal;
+        const listeners = new Set();
+        signal.addEventListener = (type, listener) => listeners.add(listener);
+        signal.removeEventListener = (type, listener) => listeners.delete(listener);
+
+        await apiClient.wait(1, signal);
+
+        assert.equal(listeners.size, 0);
+    });
+
+    test('ends early when the signal fires', async () => {
+        const { apiClient } = loadScripts(['manager/api-client.js']);
+        const controller = new AbortController();
+        const started = Date.now();
+        const waiting = apiClient.wait(10000, controller.signal);
+        controller.abort();
+        await waiting;
+
+        assert.ok(Date.now() - started < 1000);
+    });
+});
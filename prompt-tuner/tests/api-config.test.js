@@ -0,0 +1,43 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers/browser-env');
+
+let API_CONFIG;
+
+beforeEach(() => {
+    API_CONFIG = loadScripts(['config/api.js']).API_CONFIG;
+});
+
+describe('buildUrl', () => {
+    test('encodes the endpoint parameters and path segments', () => {
+        assert.equal(
+            API_CONFIG.buildUrl('workflowAgents', { 'workflow-name': 'bike insights' }),
+            'http://localhost:8000/api/v1/custom-workflows/agents/bike%20insights'
+        );
+        assert.equal(
+            API_CONFIG.buildUrl('promptView', {}, 'v1/draft', 'summary #2.jinja'),
+            'http://localhost:8000/api/v1/prompts/view/v1%2Fdraft/summary%20%232.jinja'
+        );
+    });
+
+    test('keeps an empty segment as a trailing slash', () => {
+        assert.equal(
+            API_CONFIG.buildUrl('workflowSchemaRetriever', { 'custom-workflow-name': 'bike_insights' }, ''),
+            'http://localhost:8000/api/v1/custom-workflows/schema/bike_insights/'
+        );
+    });
+});
+
+describe('environments', () => {
+    test('falls back to the local backend without injected settings', () => {
+        assert.deepEqual(Object.keys(API_CONFIG.environments), ['local']);
+        assert.equal(API_CONFIG.isMock, false);
+    });
+
+    test('offers the mock backend in the fallback only when mock mode is enabled', () => {
+        const config = loadScripts(['config/api.js'], { API_SETTINGS: { mockEnabled: true } }).API_CONFIG;
+
+        assert.deepEqual(Object.keys(config.environments), ['local', 'mock']);
+    });
+});
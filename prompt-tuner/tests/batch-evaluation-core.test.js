@@ -0,0 +1,93 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts, plain } = require('./helpers/browser-env');
+
+let window;
+let BatchEvaluationCore;
+
+beforeEach(() => {
+    window = loadScripts([
+        'manager/base-manager.js',
+        'utils/assertion-utils.js',
+        'components/prompt-evaluation-core.js',
+        'components/batch-evaluation-core.js'
+    ], { performance, AbortController });
+    BatchEvaluationCore = window.BatchEvaluationCore;
+});
+
+// Agent entry in the backend's agent_response shape
+const agent = (chatName, content) => ({
+    __dict__: { chat_name: chatName, chat_response: { chat_message: { __dict__: { content: content } } } }
+});
+
+describe('normalizeCase', () => {
+    const expectations = [{ type: 'contains', value: 'bike' }];
+
+    test('reads the expectations next to a user_prompt', () => {
+        const testCase = BatchEvaluationCore.normalizeCase({ user_prompt: { stores: [] }, expectations }, 0);
+
+        assert.deepEqual(plain(testCase.userPrompt), { stores: [] });
+        assert.deepEqual(plain(testCase.expectations), expectations);
+    });
+
+    test('takes the expectations out of a bare entry', () => {
+        const testCase = BatchEvaluationCore.normalizeCase({ stores: [], expectations }, 0);
+
+        assert.deepEqual(plain(testCase.userPrompt), { stores: [] });
+        assert.deepEqual(plain(testCase.expectations), expectations);
+    });
+
+    test('rejects invalid expectations in a bare entry', () => {
+        assert.throws(() => BatchEvaluationCore.normalizeCase({ stores: [], expectations: 'bike' }, 0), /must be a JSON array/);
+    });
+
+    test('rejects entries for another workflow than the selected one', () => {
+        const entry = { user_prompt: { stores: [] }, conversation_flow: 'laptop_insights' };
+
+        assert.throws(() => BatchEvaluationCore.normalizeCase(entry, 0, 'bike_insights'), /does not match the selected workflow "bike_insights"/);
+        assert.equal(BatchEvaluationCore.normalizeCase({ ...entry, conversation_flow: 'bike_insights' }, 0, 'bike_insights').conversationFlow, 'bike_insights');
+    });
+});
+
+describe('runCase', () => {
+    const testCase = { id: '1', name: 'Alpha', identifier: 'case-1', userPrompt: { stores: [] }, expectations: [] };
+
+    const runWithResponse = apiResponse => {
+        window.PromptEvaluationCore.sendChatRequest = async () => apiResponse;
+        return BatchEvaluationCore.runCase(testCase, 'v1', 'bike_insights');
+    };
+
+    test('passes when an agent answered', async () => {
+        const record = await runWithResponse({ agent_response: JSON.stringify([agent('summary', 'Sales are up')]) });
+
+        assert.equal(record.status, 'passed');
+        assert.equal(record.error, null);
+    });
+
+    test('fails on an error response', async () => {
+        const record = await runWithResponse({ detail: 'Workflow crashed' });
+
+        assert.equal(record.status, 'failed');
+        assert.equal(record.error, 'Workflow crashed');
+    });
+
+    test('fails a case recorded for another workflow without sending it', async () => {
+        let sent = false;
+        window.PromptEvaluationCore.sendChatRequest = async () => {
+            sent = true;
+        };
+        const record = await BatchEvaluationCore.runCase({ ...testCase, conversationFlow: 'laptop_insights' }, 'v1', 'bike_insights');
+
+        assert.equal(record.status, 'failed');
+        assert.match(record.error, /does not match the selected workflow/);
+        assert.equal(sent, false);
+    });
+
+    test('fails when no agent produced output', async () => {
+        const record = await runWithResponse({ agent_response: JSON.stringify([agent('summary', '  ')]) });
+
+        assert.equal(record.status, 'failed');
+        assert.equal(record.error, 'No agent output received');
+    });
+});
@@ -0,0 +1,22 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers/browser-env');
+
+describe('escapeHtml', () => {
+    test('escapes markup characters and accepts missing values', () => {
+        const { DisplayUtils } = loadScripts(['utils/display-utils.js']);
+
+        assert.equal(DisplayUtils.escapeHtml(`<b title="x">Tom & Jerry's</b>`), '&lt;b title=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/b&gt;');
+        assert.equal(DisplayUtils.escapeHtml(null), '');
+    });
+
+    test('is used by the widgets, the diff and the Jinja highlighter', () => {
+        const window = loadScripts(['utils/display-utils.js', 'utils/field-widgets.js', 'utils/diff-utils.js', 'utils/jinja-utils.js']);
+        const html = window.FieldWidgets.render('select', { enum: ['<a>'] }, { id: 'tone', label: 'Tone', onChange: () => '' });
+
+        assert.match(html, /value="&lt;a&gt;"/);
+        assert.match(window.DiffUtils.toInlineHtml([{ type: 'equal', value: '<a>' }]), /&lt;a&gt;/);
+        assert.match(window.JinjaUtils.highlight('<p>{{ name }}</p>'), /^&lt;p&gt;/);
+    });
+});
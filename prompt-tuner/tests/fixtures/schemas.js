@@ -0,0 +1,96 @@
+/**
+ * Workflow schemas in the shape of the schema endpoint (`{ schemas: { RootModel } }`)
+ */
+
+// One root array with nested arrays, a referenced object and a union
+const bikeInsights = {
+    schemas: {
+        RootModel: {
+            title: 'Bike Insights',
+            type: 'object',
+            required: ['stores'],
+            properties: {
+                stores: { type: 'array', ui_component: 'array', items: { $ref: '#/$defs/RootModel_Store' } }
+            },
+            definitions: {
+                RootModel_Store: {
+                    properties: {
+                        name: { type: 'string' },
+                        location: { type: 'string' },
+                        bike_sales: { type: 'array', items: { $ref: '#/$defs/RootModel_BikeSale' } },
+                        bike_stock: { type: 'array', items: { $ref: '#/$defs/RootModel_BikeStock' } }
+                    }
+                },
+                RootModel_BikeSale: {
+                    properties: {
+                        product_code: { type: 'string' },
+                        quantity: { type: 'integer' },
+                        customer_review: { $ref: '#/$defs/RootModel_CustomerReview' }
+                    }
+                },
+                RootModel_CustomerReview: {
+                    properties: {
+                        rating: { type: 'number' },
+                        comment: { type: 'string' }
+                    }
+                },
+                RootModel_BikeStock: {
+                    properties: {
+                        bike: {
+                            anyOf: [
+                                { $ref: '#/$defs/RootModel_MountainBike' },
+                                { $ref: '#/$defs/RootModel_RoadBike' }
+                            ]
+                        },
+                        quantity: { type: 'integer' }
+                    }
+                },
+                RootModel_MountainBike: {
+                    properties: {
+                        brand: { type: 'string' },
+                        suspension: { type: 'string' }
+                    }
+                },
+                RootModel_RoadBike: {
+                    properties: {
+                        brand: { type: 'string' },
+                        frame_material: { type: 'string' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Two root arrays next to a scalar root field
+const multipleContainers = {
+    schemas: {
+        RootModel: {
+            type: 'object',
+            properties: {
+                region: { type: 'string' },
+                stores: { type: 'array', items: { $ref: '#/$defs/Store' } },
+                warehouses: { type: 'array', items: { $ref: '#/$defs/Warehouse' } }
+            },
+            definitions: {
+                Store: { properties: { name: { type: 'string' } } },
+                Warehouse: { properties: { city: { type: 'string' }, capacity: { type: 'integer' } } }
+            }
+        }
+    }
+};
+
+// Scalar root fields only
+const noArrayRoot = {
+    schemas: {
+        RootModel: {
+            type: 'object',
+            properties: {
+                question: { type: 'string' },
+                tone: { type: 'string', enum: ['formal', 'casual'] }
+            }
+        }
+    }
+};
+
+module.exports = { bikeInsights, multipleContainers, noArrayRoot };
@@ -0,0 +1,275 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts, plain } = require('./helpers/browser-env');
+const { bikeInsights, multipleContainers, noArrayRoot } = require('./fixtures/schemas');
+
+let FormModel;
+let ValidationUtils;
+
+beforeEach(() => {
+    ({ FormModel, ValidationUtils } = loadScripts(['utils/field-widgets.js', 'utils/validation-utils.js', 'manager/form-model.js']));
+});
+
+// Same definitions as DynamicWorkflowManager.getSchemaDefinitions
+const createModel = schema => {
+    const rootModel = schema.schemas.RootModel;
+    return new FormModel(rootModel, { ...rootModel.$defs, ...rootModel.definitions, ...schema.schemas });
+};
+
+describe('parsePath', () => {
+    test('splits dotted paths and turns indexes into numbers', () => {
+        assert.deepEqual(plain(FormModel.parsePath('stores.0.bike_sales.1.quantity')), ['stores', 0, 'bike_sales', 1, 'quantity']);
+        assert.deepEqual(plain(FormModel.parsePath(['stores', '2', 'name'])), ['stores', 2, 'name']);
+    });
+});
+
+describe('setValue', () => {
+    test('creates the objects and arrays on the path', () => {
+        const model = createModel(bikeInsights);
+        model.setValue('stores.0.bike_sales.0.customer_review.rating', 5);
+
+        assert.deepEqual(plain(model.toJSON()), { stores: [{ bike_sales: [{ customer_review: { rating: 5 } }] }] });
+    });
+
+    test('removes fields set to an empty value', () => {
+        const model = createModel(noArrayRoot);
+        model.setValue(['question'], 'Why?');
+        model.setValue(['question'], '');
+
+        assert.deepEqual(plain(model.toJSON()), {});
+        assert.equal(model.hasValues(), false);
+    });
+});
+
+describe('arrays', () => {
+    test('keeps nested arrays inside the item they belong to', () => {
+        const model = createModel(bikeInsights);
+        model.addItem(['stores']);
+        model.addItem(['stores']);
+        model.setValue(['stores', 0, 'name'], 'Alpha');
+        model.setValue(['stores', 1, 'name'], 'Beta');
+        assert.equal(model.addItem(['stores', 1, 'bike_sales']), 0);
+        model.setValue(['stores', 1, 'bike_sales', 0, 'product_code'], 'MB-1');
+
+        assert.deepEqual(plain(model.toJSON()), {
+            stores: [{ name: 'Alpha' }, { name: 'Beta', bike_sales: [{ product_code: 'MB-1' }] }]
+        });
+    });
+
+    test('moves later items up when an item is removed', () => {
+        const model = createModel(bikeInsights);
+        ['Alpha', 'Beta', 'Gamma'].forEach(name => {
+            const index = model.addItem('stores');
+            model.setValue(['stores', index, 'name'], name);
+        });
+        model.removeItem('stores', 1);
+
+        assert.deepEqual(plain(model.toJSON()), { stores: [{ name: 'Alpha' }, { name: 'Gamma' }] });
+        assert.equal(model.addItem('stores'), 2);
+    });
+
+    test('builds nested arrays, referenced objects and union values inside each item', () => {
+        const model = createModel(bikeInsights);
+        model.setValue(['stores', model.addItem('stores'), 'name'], 'Alpha');
+        model.setValue(['stores', model.addItem('stores'), 'name'], 'Beta');
+        const sale = model.addItem('stores.0.bike_sales');
+        model.setValue(['stores', 0, 'bike_sales', sale, 'product_code'], 'MB-1');
+        model.setValue(['stores', 0, 'bike_sales', sale, 'customer_review', 'rating'], 4);
+        const stock = model.addItem('stores.1.bike_stock');
+        model.selectUnionOption(['stores', 1, 'bike_stock', stock, 'bike'], 'rootmodel_roadbike');
+        model.setValue(['stores', 1, 'bike_stock', stock, 'bike', 'brand'], 'Trek');
+        model.setValue(['stores', 1, 'bike_stock', stock, 'quantity'], 3);
+
+        assert.deepEqual(plain(model.toJSON()), {
+            stores: [
+                { name: 'Alpha', bike_sales: [{ product_code: 'MB-1', customer_review: { rating: 4 } }] },
+                { name: 'Beta', bike_stock: [{ bike: { brand: 'Trek' }, quantity: 3 }] }
+            ]
+        });
+        assert.deepEqual(plain(model.getSchema('stores.0.bike_sales.0.customer_review.rating')), { type: 'number' });
+    });
+
+    test('removes an item together with its nested arrays', () => {
+        const model = createModel(bikeInsights);
+        model.addItem('stores');
+        model.addItem('stores');
+        model.addItem('stores.0.bike_sales');
+        model.setValue('stores.0.bike_sales.0.quantity', 2);
+        model.setValue('stores.1.name', 'Beta');
+        model.removeItem('stores', 0);
+
+        assert.deepEqual(plain(model.toJSON()), { stores: [{ name: 'Beta' }] });
+        assert.equal(model.addItem('stores.0.bike_sales'), 0);
+    });
+
+    test('serializes every root array next to scalar root fields', () => {
+        const model = createModel(multipleContainers);
+        model.setValue(['region'], 'EU');
+        model.addItem(['stores']);
+        model.setValue(['stores', 0, 'name'], 'Alpha');
+        model.addItem(['warehouses']);
+        model.setValue(['warehouses', 0, 'capacity'], 40);
+
+        assert.deepEqual(plain(model.toJSON()), { region: 'EU', stores: [{ name: 'Alpha' }], warehouses: [{ capacity: 40 }] });
+    });
+
+    test('keeps the other root arrays when an item is removed', () => {
+        const model = createModel(multipleContainers);
+        ['Alpha', 'Beta'].forEach(name => model.setValue(['stores', model.addItem('stores'), 'name'], name));
+        model.setValue(['warehouses', model.addItem('warehouses'), 'city'], 'Lyon');
+        model.removeItem('stores', 0);
+
+        assert.deepEqual(plain(model.toJSON()), { stores: [{ name: 'Beta' }], warehouses: [{ city: 'Lyon' }] });
+    });
+});
+
+describe('unions', () => {
+    let model;
+
+    beforeEach(() => {
+        model = createModel(bikeInsights);
+        model.addItem(['stores']);
+        model.addItem(['stores', 0, 'bike_stock']);
+    });
+
+    test('stores the fields of the selected option under the union field', () => {
+        model.selectUnionOption(['stores', 0, 'bike_stock', 0, 'bike'], 'rootmodel_roadbike');
+        model.setValue(['stores', 0, 'bike_stock', 0, 'bike', 'brand'], 'Trek');
+        model.setValue(['stores', 0, 'bike_stock', 0, 'bike', 'frame_material'], 'carbon');
+        model.setValue(['stores', 0, 'bike_stock', 0, 'quantity'], 3);
+
+        assert.deepEqual(plain(model.toJSON()), {
+            stores: [{ bike_stock: [{ bike: { brand: 'Trek', frame_material: 'carbon' }, quantity: 3 }] }]
+        });
+    });
+
+    test('resolves schemas through the selected option', () => {
+        const value = model.selectUnionOption('stores.0.bike_stock.0.bike', 'rootmodel_mountainbike');
+
+        assert.equal(model.getUnionOption(value), 'rootmodel_mountainbike');
+        assert.equal(model.getSchema('stores.0.bike_stock.0.bike').anyOf.length, 2);
+        assert.deepEqual(plain(model.getSchema('stores.0.bike_stock.0.bike.suspension')), { type: 'string' });
+        assert.equal(model.getSchema('stores.0.bike_stock.0.bike.frame_material'), null);
+    });
+
+    test('replaces the previous option\'s fields when another option is selected', () => {
+        model.selectUnionOption('stores.0.bike_stock.0.bike', 'rootmodel_mountainbike');
+        model.setValue('stores.0.bike_stock.0.bike.suspension', 'full');
+        model.selectUnionOption('stores.0.bike_stock.0.bike', 'rootmodel_roadbike');
+
+        assert.deepEqual(plain(model.toJSON().stores[0].bike_stock[0]), { bike: {} });
+        assert.equal(model.getUnionOption({ brand: 'Trek' }), null);
+    });
+
+    test('keeps the selected option of each item when an earlier item is removed', () => {
+        model.addItem(['stores', 0, 'bike_stock']);
+        model.selectUnionOption('stores.0.bike_stock.0.bike', 'rootmodel_mountainbike');
+        const roadBike = model.selectUnionOption('stores.0.bike_stock.1.bike', 'rootmodel_roadbike');
+        model.setValue('stores.0.bike_stock.1.bike.frame_material', 'carbon');
+        model.removeItem('stores.0.bike_stock', 0);
+
+        assert.equal(model.getValue('stores.0.bike_stock.0.bike'), roadBike);
+        assert.equal(model.getUnionOption(roadBike), 'rootmodel_roadbike');
+        assert.deepEqual(plain(model.getSchema('stores.0.bike_stock.0.bike.frame_material')), { type: 'string' });
+        assert.deepEqual(plain(model.toJSON().stores[0].bike_stock), [{ bike: { frame_material: 'carbon' } }]);
+    });
+
+    test('counts a selected option as a value', () => {
+        assert.equal(model.hasValues(), false);
+        model.selectUnionOption('stores.0.bike_stock.0.bike', 'rootmodel_roadbike');
+        assert.equal(model.hasValues(), true);
+    });
+
+    test('uses union_options when the schema lists them', () => {
+        const rootModel = {
+            properties: {
+                vehicle: {
+                    ui_component: 'union_select',
+                    union_options: [{ value: 'bike', label: 'Bike', schema_ref: '#/$defs/Bike' }]
+                }
+            }
+        };
+        const unionModel = new FormModel(rootModel, { Bike: { properties: { gears: { type: 'integer' } } } });
+        unionModel.selectUnionOption(['vehicle'], 'bike');
+
+        assert.deepEqual(plain(unionModel.getSchema('vehicle.gears')), { type: 'integer' });
+    });
+});
+
+describe('defaults', () => {
+    const rootModel = {
+        properties: {
+            tone: { type: 'string', enum: ['formal', 'casual'], default: 'casual' },
+            verbose: { type: 'boolean', default: false },
+            question: { type: 'string', default: 'Shown as a placeholder only' },
+            items: { type: 'array', items: { $ref: '#/$defs/Item' } }
+        },
+        default_values: { question: 'Why?' }
+    };
+    const definitions = {
+        Item: { properties: { unit: { enum: ['kg', 'lb'], default: 'kg' } }, default_values: { count: 1 } }
+    };
+
+    test('starts with the defaults that widgets show as selected and default_values', () => {
+        const model = new FormModel(rootModel, definitions);
+
+        assert.deepEqual(plain(model.toJSON()), { tone: 'casual', verbose: false, question: 'Why?' });
+    });
+
+    test('starts a required boolean without a default as false', () => {
+        const requiredBoolean = { properties: { notify: { type: 'boolean' } }, required: ['notify'] };
+        const model = new FormModel(requiredBoolean, {});
+
+        assert.deepEqual(plain(model.toJSON()), { notify: false });
+        assert.equal(ValidationUtils.validateAgainstSchema(model.toJSON(), requiredBoolean).isValid, true);
+
+        model.setValue('notify', true);
+        model.setValue('notify', false);
+        assert.deepEqual(plain(model.toJSON()), { notify: false });
+    });
+
+    test('applies the item schema\'s defaults to new array items', () => {
+        const model = new FormModel(rootModel, definitions);
+        model.addItem('items');
+
+        assert.deepEqual(plain(model.toJSON().items), [{ unit: 'kg', count: 1 }]);
+    });
+
+    test('reset clears values but keeps the defaults', () => {
+        const model = new FormModel(rootModel, definitions);
+        model.setValue('tone', 'formal');
+        model.addItem('items');
+        model.reset();
+
+        assert.deepEqual(plain(model.toJSON()), { tone: 'casual', verbose: false, question: 'Why?' });
+    });
+});
+
+describe('root without arrays', () => {
+    test('holds the scalar root fields', () => {
+        const model = createModel(noArrayRoot);
+        model.setValue('question', 'Why?');
+        model.setValue('tone', 'formal');
+
+        assert.deepEqual(plain(model.toJSON()), { question: 'Why?', tone: 'formal' });
+        assert.deepEqual(plain(model.getSchema('tone').enum), ['formal', 'casual']);
+    });
+});
+
+describe('toJSON', () => {
+    test('returns a copy of the values', () => {
+        const model = createModel(noArrayRoot);
+        model.setValue('question', 'Why?');
+        model.toJSON().question = 'Changed';
+
+        assert.equal(model.getValue('question'), 'Why?');
+    });
+
+    test('drops array slots left empty by sparse writes', () => {
+        const model = createModel(bikeInsights);
+        model.setValue('stores.2.name', 'Gamma');
+
+        assert.deepEqual(plain(model.toJSON()), { stores: [{ name: 'Gamma' }] });
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Browser environment for unit tests
+ * Runs the front-end's classic scripts (app/static/js) in a Node vm context with a minimal DOM
+ * shim, so classes that export through `window.X = X` can be tested without a browser.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const STATIC_JS_DIR = path.join(__dirname, '..', '..', 'app', 'static', 'js');
+
+/**
+ * In-memory Web Storage (localStorage/sessionStorage)
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear(),
+        key: index => Array.from(items.keys())[index] ?? null,
+        get length() {
+            return items.size;
+        }
+    };
+}
+
+/**
+ * Document without any elements: lookups find nothing and listeners never fire
+ */
+function createDocument() {
+    return {
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener: () => {},
+        removeEventListener: () => {}
+    };
+}
+
+/**
+ * Console that drops the scripts' debug output; set DEBUG_TESTS=1 to see it
+ */
+function createConsole() {
+    if (process.env.DEBUG_TESTS) return console;
+    const ignore = () => {};
+    return { log: ignore, info: ignore, debug: ignore, warn: ignore, error: ignore, table: ignore, group: ignore, groupEnd: ignore };
+}
+
+/**
+ * Load scripts into a fresh browser-like context
+ * @param {Array<string>} scripts - Paths relative to app/static/js, in load order
+ * @param {Object} globals - Extra globals (e.g. a stubbed window.dynamicWorkflow)
+ * @returns {Object} The context's window, holding everything the scripts exported
+ */
+function loadScripts(scripts, globals = {}) {
+    const window = {
+        console: createConsole(),
+        document: createDocument(),
+        localStorage: createStorage(),
+        sessionStorage: createStorage(),
+        setTimeout,
+        clearTimeout,
+        ...globals
+    };
+    window.window = window;
+    vm.createContext(window);
+
+    scripts.forEach(script => {
+        const filename = path.join(STATIC_JS_DIR, script);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+    });
+    return window;
+}
+
+/**
+ * Copy a value created inside the context into plain Node objects, so assert.deepStrictEqual
+ * does not trip over the context's own Object and Array prototypes
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, plain };
@@ -0,0 +1,79 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts, plain } = require('./helpers/browser-env');
+
+let JSONResponseBuilder;
+
+beforeEach(() => {
+    JSONResponseBuilder = loadScripts(['utils/json-response-builder.js']).JSONResponseBuilder;
+});
+
+describe('createFormattedJsonStructure', () => {
+    test('wraps the form data in the chat payload', () => {
+        const payload = JSONResponseBuilder.createFormattedJsonStructure({
+            stores: [{ name: 'Alpha', bike_sales: [{ product_code: 'MB-1', quantity: 2 }] }]
+        }, 'v1', 'bike_insights', 'case-1');
+
+        assert.deepEqual(plain(payload), {
+            user_prompt: {
+                revision_id: 'v1',
+                identifier: 'case-1',
+                stores: [{ name: 'Alpha', bike_sales: [{ product_code: 'MB-1', quantity: 2 }] }]
+            },
+            conversation_flow: 'bike_insights'
+        });
+    });
+
+    test('fills in defaults for the revision, identifier and workflow', () => {
+        const { user_prompt: userPrompt, conversation_flow: conversationFlow } = plain(
+            JSONResponseBuilder.createFormattedJsonStructure({ stores: [] }, null, null)
+        );
+
+        assert.equal(userPrompt.revision_id, 'no-version-selected');
+        assert.match(userPrompt.identifier, /^test-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}Z$/);
+        assert.equal(conversationFlow, 'unknown-workflow');
+    });
+
+    test('keeps every root field, whether or not the schema has a root array', () => {
+        const multiple = JSONResponseBuilder.createFormattedJsonStructure({
+            region: 'EU',
+            stores: [{ name: 'Alpha' }],
+            warehouses: [{ city: 'Lyon' }]
+        }, 'v1', 'multi', 'case-1');
+        const scalarsOnly = JSONResponseBuilder.createFormattedJsonStructure({ question: 'Why?', tone: 'casual' }, 'v1', 'qa', 'case-1');
+
+        assert.deepEqual(plain(multiple.user_prompt), {
+            revision_id: 'v1',
+            identifier: 'case-1',
+            region: 'EU',
+            stores: [{ name: 'Alpha' }],
+            warehouses: [{ city: 'Lyon' }]
+        });
+        assert.deepEqual(plain(scalarsOnly.user_prompt), { revision_id: 'v1', identifier: 'case-1', question: 'Why?', tone: 'casual' });
+    });
+
+    test('keeps each root array to itself', () => {
+        const payload = JSONResponseBuilder.createFormattedJsonStructure({
+            stores: [{ name: 'Alpha' }, { name: 'Beta' }],
+            warehouses: [{ city: 'Lyon' }]
+        }, 'v1', 'multi', 'case-1');
+
+        assert.deepEqual(plain(payload.user_prompt.stores), [{ name: 'Alpha' }, { name: 'Beta' }]);
+        assert.deepEqual(plain(payload.user_prompt.warehouses), [{ city: 'Lyon' }]);
+    });
+
+    test('passes union values through unchanged', () => {
+        const payload = JSONResponseBuilder.createFormattedJsonStructure({
+            stores: [{ bike_stock: [{ bike: { brand: 'Trek', frame_material: 'carbon' }, quantity: 3 }] }]
+        }, 'v1', 'bike_insights', 'case-1');
+
+        assert.deepEqual(plain(payload.user_prompt.stores), [{ bike_stock: [{ bike: { brand: 'Trek', frame_material: 'carbon' }, quantity: 3 }] }]);
+    });
+});
+
+describe('generateCompactIdentifier', () => {
+    test('uses the current time without colons or milliseconds', () => {
+        assert.match(JSONResponseBuilder.generateCompactIdentifier(), /^test-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}Z$/);
+    });
+});
@@ -0,0 +1,30 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers/browser-env');
+
+let app;
+
+beforeEach(() => {
+    const window = loadScripts(['manager/api-client.js', 'manager/revision-manager.js', 'components/manage-prompt.js']);
+    app = window.managePromptsApp();
+    app.revisions = [{ id: 'v1', promptFiles: ['summary.jinja'] }];
+});
+
+describe('duplicatePrompt', () => {
+    test('saves the template text of the original unchanged', async () => {
+        const content = '  "{{ store.name }}" said \\"hi\\"\\n{% if x %}\'{{ x }}\'{% endif %}\n\n';
+        const prompt = { id: 'prompt-v1-summary', revision_id: 'v1', file_path: 'summary.jinja', content: content };
+        app.prompts = [prompt];
+        const requests = [];
+        app.sendPromptRequest = async (endpoint, revisionId, filename, options) => {
+            requests.push({ endpoint, revisionId, filename, content: options.body.content });
+            return {};
+        };
+
+        await app.duplicatePrompt(prompt);
+
+        assert.deepEqual(requests, [{ endpoint: 'promptUpdate', revisionId: 'v1', filename: 'summary_copy.jinja', content: content }]);
+        assert.equal(app.prompts[1].content, content);
+    });
+});
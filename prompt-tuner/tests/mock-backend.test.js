@@ -0,0 +1,42 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers/browser-env');
+
+let mockBackend;
+
+beforeEach(() => {
+    const window = loadScripts(['config/mock-fixtures.js', 'manager/mock-backend.js'], { Response, DOMException });
+    mockBackend = new window.MockBackend(window.MOCK_FIXTURES, window.sessionStorage, 'test.mockPrompts', 0);
+});
+
+const send = async (method, endpoint, path = [], body) => {
+    const response = await mockBackend.handle({ endpoint, method, path }, { body: body && JSON.stringify(body) });
+    return { status: response.status, data: await response.json() };
+};
+
+const listPromptFiles = async () => (await send('GET', 'workflowsList')).data.workflows[0].prompt_files;
+
+describe('prompt files', () => {
+    test('renames a prompt file', async () => {
+        const { data: original } = await send('GET', 'promptView', ['v1', 'summary_agent.jinja']);
+        const rename = await send('POST', 'promptRename', ['v1', 'summary_agent.jinja'], { new_filename: 'recap_agent.jinja' });
+
+        assert.equal(rename.status, 200);
+        assert.equal(rename.data.filename, 'recap_agent.jinja');
+        assert.equal((await send('GET', 'promptView', ['v1', 'recap_agent.jinja'])).data, original);
+        assert.equal((await send('GET', 'promptView', ['v1', 'summary_agent.jinja'])).status, 404);
+    });
+
+    test('deletes a prompt file', async () => {
+        const result = await send('DELETE', 'promptDelete', ['v1', 'summary_agent.jinja']);
+
+        assert.equal(result.status, 200);
+        assert.equal((await listPromptFiles()).includes('summary_agent.jinja'), false);
+        assert.equal((await send('DELETE', 'promptDelete', ['v1', 'summary_agent.jinja'])).status, 404);
+    });
+
+    test('answers 404 for unknown files', async () => {
+        assert.equal((await send('POST', 'promptRename', ['v1', 'missing.jinja'], { new_filename: 'other.jinja' })).status, 404);
+    });
+});
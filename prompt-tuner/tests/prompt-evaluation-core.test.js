@@ -0,0 +1,43 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers/browser-env');
+
+describe('downloadComparison', () => {
+    test('exports the input the comparison ran on, not the current form data', async () => {
+        const blobs = [];
+        const window = loadScripts(['components/prompt-evaluation-core.js'], {
+            Blob,
+            URL: {
+                createObjectURL: blob => {
+                    blobs.push(blob);
+                    return 'blob:comparison';
+                },
+                revokeObjectURL: () => {}
+            }
+        });
+        window.document.createElement = () => ({ click: () => {} });
+        const results = { workflowOutput: 'Sales are up', agentResults: [] };
+        const app = {
+            workflow: { name: 'Bike Insights' },
+            currentSchema: 'bike_insights',
+            evaluationId: 'case-1',
+            comparison: {
+                revisionA: 'v1',
+                revisionB: 'v2',
+                timestamp: '2026-01-01T00:00:00.000Z',
+                totals: {},
+                resultsA: results,
+                resultsB: results,
+                agents: [],
+                inputData: { stores: [{ name: 'Alpha' }] }
+            },
+            getFormDataForSchema: () => ({ stores: [{ name: 'Edited after the run' }] })
+        };
+
+        window.PromptEvaluationCore.downloadComparison(app);
+
+        const exported = JSON.parse(await blobs[0].text());
+        assert.deepEqual(exported.inputData, { stores: [{ name: 'Alpha' }] });
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers/browser-env');
+
+let window;
+
+beforeEach(() => {
+    window = loadScripts(['manager/api-client.js', 'manager/revision-manager.js']);
+});
+
+// API client that answers 404 for the listed endpoints and records every other request
+const createApiClient = (unavailable = []) => {
+    const requests = [];
+    const request = async (endpoint, options = {}) => {
+        if (unavailable.includes(endpoint)) {
+            throw new window.ApiError('http', { method: options.method || 'GET', url: endpoint, status: 404 });
+        }
+        requests.push({ endpoint, method: options.method || 'GET', path: options.path, body: options.body });
+        return {};
+    };
+    return {
+        requests,
+        request,
+        post: (endpoint, body, options = {}) => request(endpoint, { ...options, method: 'POST', body })
+    };
+};
+
+describe('deletePromptFile', () => {
+    test('marks deleting as unsupported when the backend has no delete endpoint', async () => {
+        const revisionManager = new window.RevisionManager(createApiClient(['promptDelete']));
+
+        await assert.rejects(revisionManager.deletePromptFile('v1', 'a.jinja'), /Deleting prompt files is not supported by this backend/);
+        assert.equal(revisionManager.canDeletePrompts, false);
+    });
+});
+
+describe('renamePromptFile', () => {
+    test('uses the rename endpoint when the backend has it', async () => {
+        const apiClient = createApiClient();
+        await new window.RevisionManager(apiClient).renamePromptFile('v1', 'a.jinja', 'b.jinja', 'Hi');
+
+        assert.deepEqual(apiClient.requests.map(({ endpoint }) => endpoint), ['promptRename']);
+    });
+
+    test('copies and deletes the file without the rename endpoint', async () => {
+        const apiClient = createApiClient(['promptRename']);
+        await new window.RevisionManager(apiClient).renamePromptFile('v1', 'a.jinja', 'b.jinja', 'Hi');
+
+        assert.deepEqual(apiClient.requests.map(({ endpoint, method, path }) => `${method} ${endpoint} ${path.join('/')}`), [
+            'POST promptUpdate v1/b.jinja',
+            'DELETE promptDelete v1/a.jinja'
+        ]);
+        assert.equal(apiClient.requests[0].body.content, 'Hi');
+    });
+
+    test('reports the copy when the original cannot be deleted', async () => {
+        const apiClient = createApiClient(['promptRename', 'promptDelete']);
+
+        await assert.rejects(
+            new window.RevisionManager(apiClient).renamePromptFile('v1', 'a.jinja', 'b.jinja', 'Hi'),
+            error => error.copiedTo === 'b.jinja' && /not supported by this backend/.test(error.message)
+        );
+    });
+
+    test('does not copy once the backend is known to have no delete endpoint', async () => {
+        const apiClient = createApiClient(['promptRename', 'promptDelete']);
+        const revisionManager = new window.RevisionManager(apiClient);
+        await assert.rejects(revisionManager.deletePromptFile('v1', 'a.jinja'), error => error.unsupported === true);
+
+        await assert.rejects(revisionManager.renamePromptFile('v1', 'a.jinja', 'b.jinja', 'Hi'), /Renaming prompt files is not supported/);
+        assert.deepEqual(apiClient.requests, []);
+    });
+});
@@ -0,0 +1,35 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts, plain } = require('./helpers/browser-env');
+
+let library;
+
+beforeEach(() => {
+    const window = loadScripts(['manager/test-case-library-manager.js']);
+    library = new window.TestCaseLibraryManager(window.localStorage, 'test.testCases');
+});
+
+describe('importCases', () => {
+    const exportDocument = cases => ({ format: 'prompt-tuner-test-cases', version: 1, workflow: 'bike_insights', cases });
+
+    test('adds new cases and replaces cases of the same name', () => {
+        library.saveCase({ workflow: 'bike_insights', name: 'Alpha', input: { stores: [] } });
+        const result = library.importCases(exportDocument([
+            { name: 'alpha', input: { stores: [{ name: 'Alpha' }] } },
+            { name: 'Beta', input: { stores: [] } }
+        ]));
+
+        assert.deepEqual(plain(result), { added: 1, updated: 1 });
+        assert.equal(library.listCases().length, 2);
+    });
+
+    test('accepts cases without a usable description', () => {
+        library.importCases(exportDocument([
+            { name: 'Alpha', description: null, input: {} },
+            { name: 'Beta', description: 42, input: {} }
+        ]));
+
+        assert.deepEqual(plain(library.listCases().map(testCase => testCase.description)), ['', '42']);
+    });
+});